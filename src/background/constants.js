@@ -4,9 +4,14 @@
 
 export const CONFIG = {
   DB: {
-    CACHE: { name: "LyricsCacheDB", version: 2, store: "lyrics" },
-    TRANSLATIONS: { name: "TranslationsDB", version: 2, store: "translations" },
-    LOCAL: { name: "LocalLyricsDB", version: 2, store: "localLyrics" }
+    CACHE: { name: "LyricsCacheDB", version: 3, store: "lyrics", lru: true },
+    TRANSLATIONS: { name: "TranslationsDB", version: 3, store: "translations", lru: true },
+    LOCAL: { name: "LocalLyricsDB", version: 5, store: "localLyrics" },
+    PINNED: { name: "PinnedLyricsDB", version: 2, store: "pinned" },
+    ALIASES: { name: "SongAliasDB", version: 1, store: "aliases" },
+    TRANSLATION_MEMORY: { name: "TranslationMemoryDB", version: 2, store: "memory", lru: true },
+    NEGATIVE: { name: "NegativeLyricsCacheDB", version: 1, store: "misses" },
+    OFFSETS: { name: "SongOffsetDB", version: 1, store: "offsets" }
   },
 
   CACHE_EXPIRY: {
@@ -14,6 +19,20 @@ export const CONFIG = {
     moderate: 12 * 60 * 60 * 1000
   },
 
+  // "No lyrics found" answers are remembered for BASE_TTL_MS, doubling on every
+  // further miss up to MAX_TTL_MS; a miss older than MAX_TTL_MS is forgotten
+  NEGATIVE_CACHE: {
+    BASE_TTL_MS: 30 * 60 * 1000,
+    MAX_TTL_MS: 3 * 24 * 60 * 60 * 1000
+  },
+
+  CACHE_QUOTA: {
+    DEFAULT_MB: 50,
+    EVICTION_BATCH: 20,
+    // Reads refresh an entry's LRU position at most this often, to spare writes
+    ACCESS_UPDATE_INTERVAL_MS: 60 * 1000
+  },
+
   KPOE_SERVERS: [
     "https://lyricsplus.prjktla.my.id", //youly's main server
     "https://lyricsplus.binimum.org", //binimum's server
@@ -30,6 +49,78 @@ export const CONFIG = {
   GOOGLE: {
     MAX_RETRIES: 3,
     RETRY_DELAY_MS: 500
+  },
+
+  MATCHING: {
+    MIN_CONFIDENCE: 0.8,
+    BASE_TITLE_PENALTY: 0.65,
+    DURATION_TOLERANCE_S: 2,
+    MAX_DURATION_DIFF_S: 15,
+    // Score multiplier when one title is tagged remix, live, sped up, ... and the other is not
+    VERSION_MISMATCH_PENALTY: 0.75,
+    WEIGHTS: { title: 0.55, artist: 0.3, duration: 0.15 }
+  },
+
+  IDENTITY: {
+    DURATION_BUCKET_S: 4,
+    // Resolved cache keys kept in memory, least recently used dropped first
+    ALIAS_MEMO_SIZE: 500
+  },
+
+  TRANSLATION_MEMORY: {
+    STATS_KEY: "translationMemoryStats",
+    SAVE_DELAY_MS: 1000
+  },
+
+  PROVIDER_HEALTH: {
+    STORAGE_KEY: "providerHealth",
+    FAILURE_THRESHOLD: 3,
+    COOLDOWN_MS: 5 * 60 * 1000,
+    MAX_COOLDOWN_MS: 60 * 60 * 1000,
+    LATENCY_SAMPLES: 50,
+    SAVE_DELAY_MS: 1000
+  },
+
+  LYRICS_SCORING: {
+    EARLY_EXIT_SCORE: 0.8,
+    DURATION_TOLERANCE_S: 3,
+    MAX_OVERSHOOT_S: 20,
+    MIN_COVERAGE: 0.5,
+    MIN_LINES_PER_MINUTE: 4,
+    MAX_LINES_PER_MINUTE: 45,
+    WEIGHTS: { sync: 3, durationFit: 2, coverage: 1.5, density: 1, metadata: 2, extras: 0.5 }
+  },
+
+  MERGE: {
+    MIN_TEXT_SIMILARITY: 0.7,
+    TEXT_WEIGHT: 0.7,
+    SEARCH_WINDOW: 10
+  },
+
+  ALIGNMENT: {
+    TOLERANCE_S: 2,
+    MAX_OFFSET_S: 60,
+    MIN_TEMPO_CHANGE: 0.03,
+    MAX_TEMPO_CHANGE: 0.5
+  },
+
+  CUSTOM_PROVIDERS: {
+    ID_PREFIX: "custom:",
+    TIMEOUT_MS: 8000
+  },
+
+  PREFETCH: {
+    MAX_SONGS: 3,
+    START_DELAY_MS: 5000,
+    SONG_DELAY_MS: 2000
+  },
+
+  BACKUP: {
+    FORMAT: 'newsync-backup',
+    SCHEMA_VERSION: 1,
+    // Records per message when moving an archive between the settings page
+    // and the background, so no single message nears the size limit
+    PAGE_SIZE: 100
   }
 };
 
@@ -57,6 +148,28 @@ export const MESSAGE_TYPES = {
   GET_LOCAL_LYRICS_LIST: 'GET_LOCAL_LYRICS_LIST',
   DELETE_LOCAL_LYRICS: 'DELETE_LOCAL_LYRICS',
   FETCH_LOCAL_LYRICS: 'FETCH_LOCAL_LYRICS',
+  UPDATE_LOCAL_LYRICS: 'UPDATE_LOCAL_LYRICS',
   FETCH_IMAGE: 'FETCH_IMAGE',
+  GET_PROVIDER_HEALTH: 'GET_PROVIDER_HEALTH',
+  RESET_PROVIDER_HEALTH: 'RESET_PROVIDER_HEALTH',
+  PREFETCH_LYRICS: 'PREFETCH_LYRICS',
+  CANCEL_PREFETCH: 'CANCEL_PREFETCH',
+  GET_PIN_STATUS: 'GET_PIN_STATUS',
+  PIN_SONG: 'PIN_SONG',
+  PIN_ALBUM: 'PIN_ALBUM',
+  UNPIN: 'UNPIN',
+  GET_PINNED_LIST: 'GET_PINNED_LIST',
+  REDOWNLOAD_PINNED: 'REDOWNLOAD_PINNED',
+  EXPORT_BACKUP: 'EXPORT_BACKUP',
+  EXPORT_BACKUP_PAGE: 'EXPORT_BACKUP_PAGE',
+  IMPORT_BACKUP: 'IMPORT_BACKUP',
+  IMPORT_BACKUP_PAGE: 'IMPORT_BACKUP_PAGE',
+  IMPORT_BACKUP_FINISH: 'IMPORT_BACKUP_FINISH',
+  GET_TRANSLATION_MEMORY_STATS: 'GET_TRANSLATION_MEMORY_STATS',
+  PURGE_TRANSLATION_MEMORY: 'PURGE_TRANSLATION_MEMORY',
+  EXPORT_LYRICS: 'EXPORT_LYRICS',
+  SAVE_SYNCED_LYRICS: 'SAVE_SYNCED_LYRICS',
+  GET_SONG_OFFSET: 'GET_SONG_OFFSET',
+  SET_SONG_OFFSET: 'SET_SONG_OFFSET',
   BROADCAST_REFRESH_TRANSLATION: 'BROADCAST_REFRESH_TRANSLATION'
 };
@@ -0,0 +1,204 @@
+// ==================================================================================================
+// BACKUP SERVICE
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { state } from '../storage/state.js';
+import { lyricsDB, translationsDB, localLyricsDB, pinnedDB, songOffsetsDB, aliasDB, translationMemoryDB } from '../storage/database.js';
+import { cacheQuota } from '../storage/cacheQuota.js';
+import { songAliases } from '../storage/songAliases.js';
+
+const pBrowser = typeof browser !== 'undefined'
+  ? browser
+  : (typeof chrome !== 'undefined' ? chrome : null);
+
+const ART_KEY_PREFIX = 'bls_';
+
+// Fields the database layer derives on every write, left out of archives
+const DERIVED_FIELDS = ['size', 'lastAccess', 'searchKeys'];
+
+// Records carry no common timestamp, so each store says which field dates it
+const STORES = {
+  lyrics: { db: lyricsDB, keyPath: 'key', getTimestamp: record => record.timestamp || 0 },
+  translations: { db: translationsDB, keyPath: 'key', getTimestamp: record => record.originalVersion || 0 },
+  localLyrics: { db: localLyricsDB, keyPath: 'songId', getTimestamp: record => record.updatedAt || record.timestamp || 0 },
+  pinned: { db: pinnedDB, keyPath: 'key', getTimestamp: record => record.updatedAt || record.pinnedAt || 0 },
+  songOffsets: { db: songOffsetsDB, keyPath: 'key', getTimestamp: record => record.timestamp || 0 },
+  translationMemory: { db: translationMemoryDB, keyPath: 'key', getTimestamp: record => record.timestamp || 0 },
+  // A link never moves once written, so an existing alias always wins a merge
+  songAliases: { db: aliasDB, keyPath: 'key', getTimestamp: () => 0 }
+};
+
+function stripDerivedFields(record) {
+  const copy = { ...record };
+  DERIVED_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
+function storageLocal(method, arg) {
+  return new Promise((resolve, reject) => {
+    if (!pBrowser?.storage?.local?.[method]) {
+      resolve(method === 'get' ? {} : undefined);
+      return;
+    }
+    pBrowser.storage.local[method](arg, (result) => {
+      if (pBrowser.runtime?.lastError) {
+        reject(new Error(pBrowser.runtime.lastError.message));
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+async function getArtCache() {
+  const all = await storageLocal('get', null) || {};
+  return Object.fromEntries(Object.entries(all).filter(([key]) => key.startsWith(ART_KEY_PREFIX)));
+}
+
+export class BackupService {
+  /**
+   * Starts an export of the lyrics and translation caches, uploaded and pinned
+   * lyrics, per-song offsets, the translation memory, learned song aliases and
+   * the animated art cache. Archives can outgrow a single runtime message, so
+   * the caller reads each store with readPage and assembles the archive itself.
+   * @returns {{manifest: object, stores: string[]}}
+   */
+  static createManifest() {
+    return {
+      manifest: {
+        format: CONFIG.BACKUP.FORMAT,
+        schemaVersion: CONFIG.BACKUP.SCHEMA_VERSION,
+        createdAt: new Date().toISOString(),
+        extensionVersion: pBrowser?.runtime?.getManifest?.().version || null
+      },
+      stores: [...Object.keys(STORES), 'artCache']
+    };
+  }
+
+  /**
+   * One page of a store's records in key order. The art cache lives in
+   * storage.local, which is small, and comes back whole.
+   * @param {string} name - A store name from createManifest.
+   * @param {string|null} after - `next` from the previous page, null for the first.
+   * @returns {Promise<{records: Array<object>|object, next: string|null}>}
+   */
+  static async readPage(name, after = null) {
+    if (name === 'artCache') {
+      return { records: await getArtCache(), next: null };
+    }
+    if (!STORES[name]) {
+      throw new Error(`Unknown backup store: ${name}`);
+    }
+
+    const { db, keyPath } = STORES[name];
+    const records = await db.getPage(after, CONFIG.BACKUP.PAGE_SIZE);
+    return {
+      records: records.map(stripDerivedFields),
+      next: records.length === CONFIG.BACKUP.PAGE_SIZE ? records.at(-1)[keyPath] : null
+    };
+  }
+
+  static validateManifest(manifest) {
+    if (!manifest || manifest.format !== CONFIG.BACKUP.FORMAT) {
+      throw new Error('Not a NewSync backup file');
+    }
+    if (!(manifest.schemaVersion <= CONFIG.BACKUP.SCHEMA_VERSION)) {
+      throw new Error(`Backup schema version ${manifest.schemaVersion} is newer than this version supports`);
+    }
+  }
+
+  /**
+   * Starts a restore. "replace" empties every store now; "merge" keeps the
+   * newer of two records with the same key and never deletes anything. The
+   * caller then sends each store through restorePage and ends with
+   * finishRestore.
+   * @param {object} manifest - The archive's manifest.
+   * @param {'merge'|'replace'} mode
+   * @returns {Promise<{stores: string[], pageSize: number}>}
+   */
+  static async beginRestore(manifest, mode = 'merge') {
+    this.validateManifest(manifest);
+    if (mode === 'replace') {
+      for (const { db } of Object.values(STORES)) {
+        await db.clear();
+      }
+    }
+    return { stores: [...Object.keys(STORES), 'artCache'], pageSize: CONFIG.BACKUP.PAGE_SIZE };
+  }
+
+  /**
+   * Restores one page of a store's records.
+   * @returns {Promise<object>} added, updated and skipped counts for the page.
+   */
+  static async restorePage(name, records, mode = 'merge') {
+    const replace = mode === 'replace';
+    if (name === 'artCache') {
+      return this.restoreArtCache(records && typeof records === 'object' ? records : {}, replace);
+    }
+    if (!STORES[name]) {
+      throw new Error(`Unknown backup store: ${name}`);
+    }
+
+    const { db, keyPath, getTimestamp } = STORES[name];
+    const counts = { added: 0, updated: 0, skipped: 0 };
+
+    for (const record of Array.isArray(records) ? records : []) {
+      if (!record?.[keyPath]) {
+        counts.skipped++;
+        continue;
+      }
+
+      const existing = replace ? null : await db.get(record[keyPath]);
+      if (existing && getTimestamp(existing) >= getTimestamp(record)) {
+        counts.skipped++;
+        continue;
+      }
+
+      await db.set(stripDerivedFields(record));
+      counts[existing ? 'updated' : 'added']++;
+    }
+    return counts;
+  }
+
+  static async finishRestore() {
+    state.clear();
+    songAliases.clear();
+    await cacheQuota.enforce();
+  }
+
+  /**
+   * Art entries have no timestamp. When merging, an archived entry only fills
+   * a missing key or replaces a "not found" marker with found art.
+   */
+  static async restoreArtCache(entries, replace) {
+    const counts = { added: 0, updated: 0, skipped: 0 };
+    const existing = await getArtCache();
+
+    if (replace && Object.keys(existing).length > 0) {
+      await storageLocal('remove', Object.keys(existing));
+    }
+
+    const toWrite = {};
+    for (const [key, value] of Object.entries(entries)) {
+      if (!key.startsWith(ART_KEY_PREFIX)) {
+        counts.skipped++;
+        continue;
+      }
+
+      const current = replace ? undefined : existing[key];
+      if (current !== undefined && (!current?.notFoundAt || value?.notFoundAt)) {
+        counts.skipped++;
+        continue;
+      }
+
+      toWrite[key] = value;
+      counts[current === undefined ? 'added' : 'updated']++;
+    }
+
+    if (Object.keys(toWrite).length > 0) {
+      await storageLocal('set', toWrite);
+    }
+    return counts;
+  }
+}
@@ -5,19 +5,55 @@
 import { state } from '../storage/state.js';
 import { lyricsDB, localLyricsDB, translationsDB } from '../storage/database.js';
 import { SettingsManager } from '../storage/settings.js';
+import { providerHealth } from '../storage/providerHealth.js';
+import { pinnedLibrary } from '../storage/pinnedLibrary.js';
+import { cacheQuota } from '../storage/cacheQuota.js';
+import { songAliases } from '../storage/songAliases.js';
+import { negativeCache } from '../storage/negativeCache.js';
 import { CONFIG, PROVIDERS } from '../constants.js';
 import { DataParser } from '../utils/dataParser.js';
 import { Utilities } from '../utils/utilities.js';
+import { SongMatcher } from '../utils/songMatcher.js';
+import { SongIdentity } from '../utils/songIdentity.js';
+import { LyricsScorer } from '../utils/lyricsScorer.js';
+import { LyricsMerger } from '../utils/lyricsMerger.js';
+import { LyricsAligner } from '../utils/lyricsAligner.js';
+import { LyricsTrace } from '../utils/lyricsTrace.js';
 import { KPoeService } from '../services/kpoeService.js';
 import { LRCLibService } from '../services/lrclibService.js';
 import { UnisonService } from '../services/unisonService.js';
 import { BiniLyricsService } from '../services/biniLyricsService.js';
 import { YouTubeService } from '../services/youtubeService.js';
+import { CustomProviderService } from '../services/customProviderService.js';
 import { parseAppleTTML } from '../../lib/parser.js';
 
+// Song IDs an upload can be linked to
+const LINKED_ID_FIELDS = ['isrc', 'videoId', 'appleId', 'tidalId'];
+
 export class LyricsService {
   static createCacheKey(songInfo) {
-    return `${songInfo.title} - ${songInfo.artist} - ${songInfo.album} - ${songInfo.duration}`;
+    return SongIdentity.getKeys(songInfo)[0];
+  }
+
+  /**
+   * The key the song's lyrics are cached under. Any identity key already
+   * holding lyrics, or aliased to a key that does, wins over createCacheKey,
+   * so one cached record serves every platform and duration variant.
+   */
+  static async resolveCacheKey(songInfo) {
+    return songAliases.resolve(SongIdentity.getKeys(songInfo), async key =>
+      state.hasCached(key) || Boolean(await lyricsDB.get(key)) || Boolean(await pinnedLibrary.getSong(key))
+    );
+  }
+
+  /**
+   * Drops what is cached for the song, including a remembered miss, so the
+   * next request looks through the local library and providers again.
+   */
+  static async forgetCachedLyrics(songInfo) {
+    const cacheKey = await this.resolveCacheKey(songInfo);
+    state.deleteCached(cacheKey);
+    await Promise.all([lyricsDB.delete(cacheKey), negativeCache.forget(cacheKey)]);
   }
 
   static async clearExpiredCache() {
@@ -38,19 +74,30 @@ export class LyricsService {
 
       const [deletedLyrics, deletedTrans] = await Promise.all([
         lyricsDB.deleteExpired(expirationTime),
-        translationsDB.deleteExpired(expirationTime)
+        translationsDB.deleteExpired(expirationTime),
+        negativeCache.deleteExpired()
       ]);
 
       if (deletedLyrics > 0 || deletedTrans > 0) {
         console.log(`Cleared expired cache: ${deletedLyrics} lyrics, ${deletedTrans} translations.`);
       }
+
+      // The quota may have been lowered since the caches were last written
+      await cacheQuota.enforce();
     } catch (error) {
       console.error('Error clearing expired cache:', error);
     }
   }
 
-  static async getOrFetch(songInfo, forceReload = false) {
+  /**
+   * Resolves with `{lyrics, version, trace}`, where trace is the serialized
+   * LyricsTrace of this request. Errors carry the trace as `error.trace`.
+   * Provider lyrics are timing-corrected for the song unless `correctTiming`
+   * is false, as it is for copies that are stored.
+   */
+  static async getOrFetch(songInfo, forceReload = false, correctTiming = true) {
     let embeddedFallback = null;
+    const trace = new LyricsTrace(songInfo, null, forceReload);
 
     // Parse Apple Music TTML if provided
     if (songInfo.appleMusicTTML && typeof songInfo.appleMusicTTML === 'string') {
@@ -72,30 +119,32 @@ export class LyricsService {
 
       if (!settings.appleMusicTTMLBypass || lyricsJsonType === "WORD") {
         console.log('Using embedded lyrics (platform specific)');
-        return embeddedResult;
+        trace.embedded = 'used';
+        return { ...embeddedResult, trace: trace.finish('embedded', embeddedResult.lyrics).toJSON() };
       }
 
       console.log('Apple Music TTML bypass active. Attempting to fetch external lyrics...');
+      trace.embedded = 'bypassed';
       embeddedFallback = embeddedResult;
     }
 
-    const cacheKey = this.createCacheKey(songInfo);
+    const cacheKey = await this.resolveCacheKey(songInfo);
+    trace.cacheKey = cacheKey;
     let result = null;
 
     if (!forceReload) {
-      if (state.hasCached(cacheKey)) {
-        result = state.getCached(cacheKey);
-      } else {
-        result = await this.getFromDB(cacheKey) || await this.checkLocalLyrics(songInfo);
-        if (result) state.setCached(cacheKey, result);
-      }
+      result = await this.getFromCaches(songInfo, cacheKey, trace);
+    }
+
+    if (!result && !forceReload && !state.hasOngoingFetch(cacheKey)) {
+      await this.checkNegativeCache(cacheKey, trace);
     }
 
     if (!result) {
       if (state.hasOngoingFetch(cacheKey)) {
         result = await state.getOngoingFetch(cacheKey);
       } else {
-        const fetchPromise = this.fetchNewLyrics(songInfo, cacheKey, forceReload);
+        const fetchPromise = this.fetchNewLyrics(songInfo, cacheKey, forceReload, trace);
         state.setOngoingFetch(cacheKey, fetchPromise);
         result = await fetchPromise;
       }
@@ -104,11 +153,87 @@ export class LyricsService {
     if (embeddedFallback) {
       if (!result || (result.type && result.type.toUpperCase() !== "WORD")) {
         console.log('Fetched lyrics not WORD synced. Reverting to embedded Apple Music lyrics.');
-        return embeddedFallback;
+        trace.embedded = 'fallback';
+        return { ...embeddedFallback, trace: trace.finish('embedded', embeddedFallback.lyrics).toJSON() };
+      }
+    }
+
+    return correctTiming ? this.withTimingCorrection(result, songInfo) : result;
+  }
+
+  /**
+   * Corrects provider lyrics timed against another edit of the song (see
+   * LyricsAligner). Caches keep the provider's own timing and the correction
+   * is worked out as lyrics are served, so turning the setting off, or a
+   * better aligner, takes effect without clearing anything.
+   * @returns {Promise<{lyrics: object, correction: object|null}>}
+   */
+  static async correctTiming(lyrics, songInfo) {
+    // Captions and uploads come with the song itself, so only provider lyrics can be off
+    const provider = lyrics?.metadata?.provider;
+    if (!provider || provider === PROVIDERS.LOCAL || lyrics.metadata.timingCorrection) {
+      return { lyrics, correction: null };
+    }
+
+    const { autoCorrectTiming } = await SettingsManager.get({ autoCorrectTiming: false });
+    const correction = autoCorrectTiming ? LyricsAligner.detect(lyrics, songInfo) : null;
+    return { lyrics: correction ? LyricsAligner.apply(lyrics, correction) : lyrics, correction };
+  }
+
+  static async withTimingCorrection(result, songInfo) {
+    const { lyrics, correction } = await this.correctTiming(result?.lyrics, songInfo);
+    if (!correction) return result;
+    return { ...result, lyrics, trace: result.trace && { ...result.trace, timingCorrection: correction } };
+  }
+
+  /**
+   * Looks the song up in memory, the lyrics cache, the pinned library and the
+   * uploaded lyrics, in that order. A hit gets a trace of its own that links
+   * the trace of the fetch which produced the lyrics.
+   */
+  static async getFromCaches(songInfo, cacheKey, trace) {
+    const hit = (source, result) => {
+      trace.recordCacheHit(source, result.trace || null);
+      return { ...result, trace: trace.finish('cache', result.lyrics).toJSON() };
+    };
+
+    if (state.hasCached(cacheKey)) {
+      return hit('memory', state.getCached(cacheKey));
+    }
+
+    const lookups = [
+      ['database', () => this.getFromDB(cacheKey)],
+      ['pinned', () => pinnedLibrary.getLyrics(cacheKey)],
+      ['local', () => this.checkLocalLyrics(songInfo, trace)]
+    ];
+
+    for (const [source, lookup] of lookups) {
+      const result = await lookup();
+      if (result) {
+        state.setCached(cacheKey, result);
+        return hit(source, result);
       }
     }
 
-    return result;
+    return null;
+  }
+
+  /**
+   * Throws, as a fetch would, if the song recently had no lyrics from any
+   * provider under the current provider setup.
+   */
+  static async checkNegativeCache(cacheKey, trace) {
+    const settings = await SettingsManager.getLyricsSettings();
+    if (settings.cacheStrategy === 'none') return;
+
+    const miss = await negativeCache.getActive(cacheKey, settings);
+    if (!miss) return;
+
+    console.log(`No lyrics for "${trace.song.title}" on the last ${miss.misses} attempt(s), not asking providers again until ${new Date(miss.expiresAt).toLocaleTimeString()}`);
+    trace.negativeCache = { misses: miss.misses, expiresAt: miss.expiresAt, recorded: false };
+    const error = new Error('No lyrics found from any provider');
+    error.trace = trace.fail(error).toJSON();
+    throw error;
   }
 
   static async getFromDB(key) {
@@ -127,35 +252,62 @@ export class LyricsService {
     const age = now - result.timestamp;
 
     if (age < expirationTime) {
-      return { lyrics: result.lyrics, version: result.version };
+      return { lyrics: result.lyrics, version: result.version, trace: result.trace || null };
     }
 
     await lyricsDB.delete(key);
     return null;
   }
 
-  static async checkLocalLyrics(songInfo) {
-    const localLyricsList = await localLyricsDB.getAll();
-    const matched = localLyricsList.find(item => {
-      if (item.songInfo.title !== songInfo.title || item.songInfo.artist !== songInfo.artist) {
-        return false;
-      }
-      if (item.songInfo.duration && songInfo.duration) {
-        return Math.abs(item.songInfo.duration - songInfo.duration) < 2;
-      }
-      if (!item.songInfo.duration) {
-        return true;
-      }
-      return false;
-    });
+  /**
+   * Uploads sharing an ISRC, a platform ID or a normalized title and artist
+   * with the song, read from the local library's indexes.
+   */
+  static async findLocalLyricsCandidates(songInfo) {
+    const lookups = SongMatcher.searchKeys(songInfo).map(key => ['searchKeys', key]);
+    for (const field of LINKED_ID_FIELDS) {
+      if (songInfo[field]) lookups.push([field, songInfo[field]]);
+    }
+
+    const results = await Promise.all(lookups.map(([index, key]) => localLyricsDB.getAllFromIndex(index, key)));
+    return [...new Map(results.flat().map(item => [item.songId, item])).values()];
+  }
 
-    if (matched) {
-      const fetchedLocal = await localLyricsDB.get(matched.songId);
-      if (fetchedLocal) {
-        console.log(`Found local lyrics for "${songInfo.title}"`);
+  /**
+   * The upload the user linked to one of the song's IDs, if any. A link is
+   * exact, so it wins over any match by title and artist.
+   */
+  static findLinkedLocalLyrics(songInfo, candidates) {
+    const normalize = (field, value) => (field === 'isrc' ? String(value).trim().toUpperCase() : String(value));
+    return candidates.find(item => LINKED_ID_FIELDS.some(field =>
+      songInfo[field] && item.songInfo?.[field] &&
+      normalize(field, songInfo[field]) === normalize(field, item.songInfo[field])
+    )) || null;
+  }
+
+  static async checkLocalLyrics(songInfo, trace = null) {
+    const candidates = await this.findLocalLyricsCandidates(songInfo);
+    const linked = this.findLinkedLocalLyrics(songInfo, candidates);
+    const best = linked
+      ? { item: linked, match: { score: 1, title: 1, artist: 1, duration: null, linked: true } }
+      : SongMatcher.findBestMatch(songInfo, candidates, item => item.songInfo);
+    trace?.recordLocalMatch(candidates.length, best);
+
+    if (best) {
+      const { item: fetchedLocal, match } = best;
+      const lyrics = DataParser.parseKPoeFormat(fetchedLocal.lyrics);
+      if (lyrics) {
+        console.log(`Found local lyrics for "${songInfo.title}" (score ${match.score.toFixed(2)})`);
+        lyrics.metadata.matchScore = Number(match.score.toFixed(3));
+        lyrics.metadata.matchDetails = {
+          songId: fetchedLocal.songId,
+          title: Number(match.title.toFixed(3)),
+          artist: Number(match.artist.toFixed(3)),
+          duration: match.duration === null ? null : Number(match.duration.toFixed(3))
+        };
         return {
-          lyrics: DataParser.parseKPoeFormat(fetchedLocal.lyrics),
-          version: fetchedLocal.timestamp || matched.songId
+          lyrics,
+          version: fetchedLocal.updatedAt || fetchedLocal.timestamp || fetchedLocal.songId
         };
       }
     }
@@ -163,37 +315,69 @@ export class LyricsService {
     return null;
   }
 
-  static async fetchNewLyrics(songInfo, cacheKey, forceReload) {
+  static async fetchNewLyrics(songInfo, cacheKey, forceReload, trace = new LyricsTrace(songInfo, cacheKey, forceReload)) {
     try {
       const settings = await SettingsManager.getLyricsSettings();
       const fetchOptions = settings.cacheStrategy === 'none' ? { cache: 'no-store' } : {};
-      const providers = this.getProviderOrder(settings, songInfo, settings.preferUnisonVideo);
+      const providerOrder = this.getProviderOrder(settings, songInfo, settings.preferUnisonVideo);
+      const providers = await this.skipCoolingProviders(providerOrder, forceReload);
+      trace.setProviderOrder(providerOrder, providers);
 
       const controllers = new Map(
         providers.map(p => [p, new AbortController()])
       );
 
-      let usedProvider = null;
-      const promises = providers.map((provider, index) =>
-        this.fetchFromProvider(provider, songInfo, settings, fetchOptions, forceReload, controllers.get(provider).signal)
-          .then(result => {
-            if (result && usedProvider === null) {
-              usedProvider = provider;
-            }
-            return result;
-          })
-          .catch(() => null)
-      );
+      const promises = providers.map(provider => {
+        const { signal } = controllers.get(provider);
+        return trace.timeProvider(
+          provider,
+          this.fetchFromProvider(provider, songInfo, settings, fetchOptions, forceReload, signal, trace),
+          signal
+        );
+      });
 
-      const lyrics = await this.raceWithEarlyExit(promises, providers, controllers);
+      // Merging needs every provider's answer, so no early exit
+      const race = await this.raceWithEarlyExit(promises, providers, controllers, songInfo, !settings.mergeProviderResults);
+      const usedProvider = race.provider;
+      trace.recordRace(race);
 
-      let finalLyrics = lyrics;
+      let finalLyrics = race.lyrics;
+
+      if (settings.mergeProviderResults && usedProvider) {
+        finalLyrics = this.mergeSecondaryResults(race);
+        trace.merged = finalLyrics.metadata?.merged || null;
+      }
 
       if (Utilities.isEmptyLyrics(finalLyrics) && songInfo.videoId && songInfo.subtitle) {
+        const startedAt = Date.now();
         finalLyrics = await YouTubeService.fetchSubtitles(songInfo);
+        trace.youtubeCaptions = {
+          tracks: songInfo.subtitle.captionTracks?.length || 0,
+          found: !Utilities.isEmptyLyrics(finalLyrics),
+          latencyMs: Date.now() - startedAt
+        };
       }
 
       if (Utilities.isEmptyLyrics(finalLyrics)) {
+        const pinned = await pinnedLibrary.getLyrics(cacheKey);
+        trace.pinnedFallback = Boolean(pinned);
+        if (pinned) {
+          console.log(`No provider answered for "${songInfo.title}", using pinned lyrics`);
+          const result = { ...pinned, trace: trace.finish('pinned-fallback', pinned.lyrics).toJSON() };
+          state.setCached(cacheKey, result);
+          return result;
+        }
+
+        // Only a provider that answered (a 404 or an empty result) can say there are no lyrics;
+        // services throw on network errors, timeouts and server errors, which may be an outage.
+        // The local library always answers, so it does not count either
+        const answered = Object.entries(trace.providers)
+          .some(([provider, entry]) => provider !== PROVIDERS.LOCAL && entry.status === 'empty');
+        if (answered && settings.cacheStrategy !== 'none') {
+          const miss = await negativeCache.recordMiss(cacheKey, settings)
+            .catch(error => console.warn('Failed to record lyrics miss:', error));
+          if (miss) trace.negativeCache = { misses: miss.misses, expiresAt: miss.expiresAt, recorded: true };
+        }
         throw new Error('No lyrics found from any provider');
       }
 
@@ -201,62 +385,111 @@ export class LyricsService {
         finalLyrics.ignoreSponsorblock = true;
       }
 
+      if (usedProvider) {
+        finalLyrics.metadata = { ...finalLyrics.metadata, provider: usedProvider, providerScores: race.scores };
+      }
+
       const version = Date.now();
-      const result = { lyrics: finalLyrics, version };
+      const outcome = usedProvider ? 'provider' : 'youtube-captions';
+      const result = { lyrics: finalLyrics, version, trace: trace.finish(outcome, finalLyrics).toJSON() };
 
       state.setCached(cacheKey, result);
 
       if (settings.cacheStrategy !== 'none') {
-        await lyricsDB.set({ key: cacheKey, lyrics: finalLyrics, version, timestamp: Date.now(), duration: songInfo.duration });
+        await lyricsDB.set({
+          key: cacheKey, lyrics: finalLyrics, version, timestamp: Date.now(), duration: songInfo.duration, trace: result.trace
+        });
+        cacheQuota.enforce().catch(error => console.warn('Failed to enforce cache quota:', error));
       }
 
+      await pinnedLibrary.saveLyrics(cacheKey, songInfo, result)
+        .catch(error => console.warn('Failed to update pinned lyrics:', error));
+      await negativeCache.forget(cacheKey)
+        .catch(error => console.warn('Failed to clear lyrics miss:', error));
+
       return result;
 
+    } catch (error) {
+      error.trace = trace.fail(error).toJSON();
+      throw error;
     } finally {
       state.deleteOngoingFetch(cacheKey);
     }
   }
 
-  static raceWithEarlyExit(promises, providers, controllers) {
+  /**
+   * Resolves with the best result once every provider has answered, or early
+   * with a confident word-synced result that no higher-priority provider is
+   * still working on. Ties go to the higher-priority provider.
+   * @returns {Promise<{lyrics: object|null, provider: string|null, earlyExit: boolean, scores: object, results: object}>}
+   *   scores maps each provider that answered to its LyricsScorer result,
+   *   results to its lyrics.
+   */
+  static raceWithEarlyExit(promises, providers, controllers, songInfo, allowEarlyExit = true) {
     return new Promise((resolve) => {
       const results = new Array(promises.length).fill(undefined);
+      const scores = new Array(promises.length).fill(undefined);
       const pending = new Set(promises.map((_, i) => i));
       let won = false;
 
+      const finish = (index, earlyExit = false) => {
+        won = true;
+        const scoreMap = {};
+        const resultMap = {};
+        scores.forEach((score, i) => {
+          if (!score) return;
+          scoreMap[providers[i]] = score;
+          resultMap[providers[i]] = results[i];
+        });
+        resolve({
+          lyrics: index === -1 ? null : results[index],
+          provider: index === -1 ? null : providers[index],
+          earlyExit,
+          scores: scoreMap,
+          results: resultMap
+        });
+      };
+
       const abortRemaining = () => {
         for (const i of pending) {
           controllers.get(providers[i])?.abort();
         }
       };
 
+      const isConfident = (i) =>
+        LyricsScorer.syncScore(results[i]) === 1 &&
+        scores[i].total >= CONFIG.LYRICS_SCORING.EARLY_EXIT_SCORE;
+
       const tryResolve = () => {
         if (won) return;
 
         const bestIdx = results.findIndex(
-          (r, i) => !pending.has(i) && this.scoreLyrics(r) === 3
+          (r, i) => !pending.has(i) && r && isConfident(i)
         );
 
-        if (bestIdx !== -1) {
+        if (allowEarlyExit && bestIdx !== -1) {
           const blockedByEarlier = [...pending].some(i => i < bestIdx);
           if (!blockedByEarlier) {
-            won = true;
             abortRemaining();
-            return resolve(results[bestIdx]);
+            return finish(bestIdx, true);
           }
         }
 
         if (pending.size === 0) {
-          const best = results.reduce((b, r) =>
-            this.scoreLyrics(r) > this.scoreLyrics(b) ? r : b
-            , null);
-          resolve(best);
+          const bestScored = scores.reduce((best, score, i) =>
+            score.total > 0 && (best === -1 || score.total > scores[best].total) ? i : best
+            , -1);
+          finish(bestScored);
         }
       };
 
+      if (promises.length === 0) return finish(-1);
+
       promises.forEach((p, i) => {
         Promise.resolve(p).then(result => {
           if (won) return;
           results[i] = result;
+          scores[i] = LyricsScorer.score(result, songInfo);
           pending.delete(i);
           tryResolve();
         });
@@ -264,12 +497,24 @@ export class LyricsService {
     });
   }
 
-  static scoreLyrics(lyrics) {
-    if (Utilities.isEmptyLyrics(lyrics)) return 0;
-    const type = (lyrics.type || '').toUpperCase();
-    if (type === 'WORD') return 3;
-    if (type === 'LINE') return 2;
-    return 1;
+  /**
+   * Grafts translations, romanizations and song parts from the losing providers
+   * onto the winner, best-scored first.
+   */
+  static mergeSecondaryResults(race) {
+    const secondaries = Object.keys(race.results)
+      .filter(provider => provider !== race.provider && race.scores[provider].total > 0)
+      .sort((a, b) => race.scores[b].total - race.scores[a].total)
+      .map(provider => race.results[provider]);
+
+    if (!secondaries.length) return race.lyrics;
+
+    const { lyrics, grafted } = LyricsMerger.merge(race.lyrics, secondaries);
+    if (!grafted.sources.length) return race.lyrics;
+
+    console.log(`Merged lyrics from ${grafted.sources.join(', ')}: ${grafted.translation} translations, ${grafted.romanizedText} romanizations, ${grafted.songParts} song parts`);
+    lyrics.metadata = { ...lyrics.metadata, merged: grafted };
+    return lyrics;
   }
 
   static getProviderOrder(settings, songInfo = null, preferUnisonVideo = false) {
@@ -280,7 +525,7 @@ export class LyricsService {
 
     let validProviders = providersList.filter(p => [
       PROVIDERS.KPOE, PROVIDERS.CUSTOM_KPOE, PROVIDERS.UNISON, PROVIDERS.BINILYRICS, PROVIDERS.LRCLIB
-    ].includes(p));
+    ].includes(p) || CustomProviderService.findDefinition(p, settings.customProviders));
 
     if (!settings.customKpoeUrl) {
       validProviders = validProviders.filter(p => p !== PROVIDERS.CUSTOM_KPOE);
@@ -297,7 +542,24 @@ export class LyricsService {
     return validProviders;
   }
 
-  static async fetchFromProvider(provider, songInfo, settings, fetchOptions, forceReload, signal) {
+  /**
+   * Drops providers that are in a health cool-down, unless the user forced a
+   * reload or nothing would be left to ask.
+   */
+  static async skipCoolingProviders(providers, forceReload) {
+    if (forceReload) return providers;
+
+    const availability = await Promise.all(providers.map(p => providerHealth.isAvailable(p)));
+    const available = providers.filter((_, i) => availability[i]);
+
+    if (available.length !== providers.length) {
+      console.log(`Skipping cooling-down providers: ${providers.filter((_, i) => !availability[i]).join(', ')}`);
+    }
+
+    return available.length ? available : providers;
+  }
+
+  static async fetchFromProvider(provider, songInfo, settings, fetchOptions, forceReload, signal, trace = null) {
     const opts = { ...fetchOptions, signal };
     switch (provider) {
       case PROVIDERS.KPOE:
@@ -318,11 +580,16 @@ export class LyricsService {
         return LRCLibService.fetch(songInfo, opts);
 
       case PROVIDERS.LOCAL:
-        const localResult = await this.checkLocalLyrics(songInfo);
+        const localResult = await this.checkLocalLyrics(songInfo, trace);
         return localResult?.lyrics || null;
 
-      default:
+      default: {
+        const definition = CustomProviderService.findDefinition(provider, settings.customProviders);
+        if (definition)
+          return CustomProviderService.fetch(definition, songInfo, opts);
+
         return null;
+      }
     }
   }
 }
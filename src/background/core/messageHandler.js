@@ -5,15 +5,35 @@
 import { MESSAGE_TYPES } from '../constants.js';
 import { state } from '../storage/state.js';
 import { lyricsDB, translationsDB, localLyricsDB } from '../storage/database.js';
+import { providerHealth } from '../storage/providerHealth.js';
+import { pinnedLibrary } from '../storage/pinnedLibrary.js';
+import { cacheQuota } from '../storage/cacheQuota.js';
+import { translationMemory } from '../storage/translationMemory.js';
+import { negativeCache } from '../storage/negativeCache.js';
+import { songOffsets } from '../storage/songOffsets.js';
 import { LyricsService } from './lyricsService.js';
 import { TranslationService } from './translationService.js';
+import { prefetchQueue } from './prefetchQueue.js';
+import { PinnedLibraryService } from './pinnedLibraryService.js';
+import { BackupService } from './backupService.js';
 import { SponsorBlockService } from '../services/sponsorblockService.js';
 import { DataParser } from '../utils/dataParser.js';
+import { exportLyrics } from '../../lib/exporter.js';
+import { repairLyrics } from '../../lib/validator.js';
 
 const pBrowser = typeof browser !== 'undefined'
   ? browser
   : (typeof chrome !== 'undefined' ? chrome : null);
 
+const LOCAL_SONG_FIELDS = ['title', 'artist', 'album', 'duration', 'isrc', 'videoId', 'appleId', 'tidalId'];
+
+// What an upload keeps of a songInfo: names, duration and the IDs it is linked to
+function pickLocalSongInfo(songInfo) {
+  return Object.fromEntries(LOCAL_SONG_FIELDS
+    .map(field => [field, typeof songInfo[field] === 'string' ? songInfo[field].trim() : songInfo[field]])
+    .filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
 export class MessageHandler {
   static handle(message, sender, sendResponse) {
     const handlers = {
@@ -26,7 +46,29 @@ export class MessageHandler {
       [MESSAGE_TYPES.GET_LOCAL_LYRICS_LIST]: () => this.getLocalLyricsList(sendResponse),
       [MESSAGE_TYPES.DELETE_LOCAL_LYRICS]: () => this.deleteLocalLyrics(message, sendResponse),
       [MESSAGE_TYPES.FETCH_LOCAL_LYRICS]: () => this.fetchLocalLyrics(message, sendResponse),
-      [MESSAGE_TYPES.FETCH_IMAGE]: () => this.fetchImage(message, sendResponse)
+      [MESSAGE_TYPES.UPDATE_LOCAL_LYRICS]: () => this.updateLocalLyrics(message, sendResponse),
+      [MESSAGE_TYPES.FETCH_IMAGE]: () => this.fetchImage(message, sendResponse),
+      [MESSAGE_TYPES.GET_PROVIDER_HEALTH]: () => this.getProviderHealth(sendResponse),
+      [MESSAGE_TYPES.RESET_PROVIDER_HEALTH]: () => this.resetProviderHealth(sendResponse),
+      [MESSAGE_TYPES.PREFETCH_LYRICS]: () => this.prefetchLyrics(message, sendResponse),
+      [MESSAGE_TYPES.CANCEL_PREFETCH]: () => this.cancelPrefetch(sendResponse),
+      [MESSAGE_TYPES.GET_PIN_STATUS]: () => this.getPinStatus(message, sendResponse),
+      [MESSAGE_TYPES.PIN_SONG]: () => this.pinSong(message, sendResponse),
+      [MESSAGE_TYPES.PIN_ALBUM]: () => this.pinAlbum(message, sendResponse),
+      [MESSAGE_TYPES.UNPIN]: () => this.unpin(message, sendResponse),
+      [MESSAGE_TYPES.GET_PINNED_LIST]: () => this.getPinnedList(sendResponse),
+      [MESSAGE_TYPES.REDOWNLOAD_PINNED]: () => this.redownloadPinned(message, sendResponse),
+      [MESSAGE_TYPES.EXPORT_BACKUP]: () => this.exportBackup(sendResponse),
+      [MESSAGE_TYPES.EXPORT_BACKUP_PAGE]: () => this.exportBackupPage(message, sendResponse),
+      [MESSAGE_TYPES.IMPORT_BACKUP]: () => this.importBackup(message, sendResponse),
+      [MESSAGE_TYPES.IMPORT_BACKUP_PAGE]: () => this.importBackupPage(message, sendResponse),
+      [MESSAGE_TYPES.IMPORT_BACKUP_FINISH]: () => this.finishBackupImport(sendResponse),
+      [MESSAGE_TYPES.GET_TRANSLATION_MEMORY_STATS]: () => this.getTranslationMemoryStats(sendResponse),
+      [MESSAGE_TYPES.PURGE_TRANSLATION_MEMORY]: () => this.purgeTranslationMemory(sendResponse),
+      [MESSAGE_TYPES.EXPORT_LYRICS]: () => this.exportLyrics(message, sendResponse),
+      [MESSAGE_TYPES.SAVE_SYNCED_LYRICS]: () => this.saveSyncedLyrics(message, sendResponse),
+      [MESSAGE_TYPES.GET_SONG_OFFSET]: () => this.getSongOffset(message, sendResponse),
+      [MESSAGE_TYPES.SET_SONG_OFFSET]: () => this.setSongOffset(message, sendResponse)
     };
 
     const handler = handlers[message.type];
@@ -46,11 +88,11 @@ export class MessageHandler {
 
   static async fetchLyrics(message, sendResponse) {
     try {
-      const { lyrics } = await LyricsService.getOrFetch(message.songInfo, message.forceReload);
-      sendResponse({ success: true, lyrics, metadata: message.songInfo });
+      const { lyrics, trace } = await LyricsService.getOrFetch(message.songInfo, message.forceReload);
+      sendResponse({ success: true, lyrics, trace, metadata: message.songInfo });
     } catch (error) {
       console.error(`Failed to fetch lyrics for "${message.songInfo?.title}":`, error);
-      sendResponse({ success: false, error: error.message, metadata: message.songInfo });
+      sendResponse({ success: false, error: error.message, trace: error.trace || null, metadata: message.songInfo });
     }
   }
 
@@ -91,6 +133,7 @@ export class MessageHandler {
       await Promise.all([
         lyricsDB.clear(),
         translationsDB.clear(),
+        negativeCache.clear(),
         this.clearArtCache()
       ]);
       sendResponse({ success: true, message: "Cache reset successfully" });
@@ -123,16 +166,16 @@ export class MessageHandler {
 
   static async getCacheSize(sendResponse) {
     try {
-      const [lyricsStats, translationsStats, artStats] = await Promise.all([
-        lyricsDB.estimateSize(),
-        translationsDB.estimateSize(),
+      const [usage, artStats] = await Promise.all([
+        cacheQuota.getUsage(),
         this.getArtCacheStats()
       ]);
 
       sendResponse({
         success: true,
-        sizeKB: lyricsStats.sizeKB + translationsStats.sizeKB,
-        cacheCount: lyricsStats.count + translationsStats.count,
+        sizeKB: usage.sizeKB,
+        cacheCount: usage.count,
+        quotaKB: usage.quotaKB,
         artSizeKB: artStats.sizeKB,
         artCacheCount: artStats.count
       });
@@ -164,6 +207,182 @@ export class MessageHandler {
     });
   }
 
+  static async getProviderHealth(sendResponse) {
+    try {
+      const stats = await providerHealth.getStats();
+      sendResponse({ success: true, stats });
+    } catch (error) {
+      console.error("Get provider health error:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async resetProviderHealth(sendResponse) {
+    try {
+      await providerHealth.reset();
+      sendResponse({ success: true, message: "Provider stats reset successfully" });
+    } catch (error) {
+      console.error("Provider health reset error:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async getTranslationMemoryStats(sendResponse) {
+    try {
+      const stats = await translationMemory.getStats();
+      sendResponse({ success: true, stats });
+    } catch (error) {
+      console.error("Get translation memory stats error:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async purgeTranslationMemory(sendResponse) {
+    try {
+      await translationMemory.purge();
+      sendResponse({ success: true, message: "Translation memory purged successfully" });
+    } catch (error) {
+      console.error("Translation memory purge error:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async exportLyrics(message, sendResponse) {
+    try {
+      const lyrics = DataParser.toKPoeFormat(message.lyrics, message.translationLang);
+      const file = exportLyrics(lyrics, message.format, {
+        offsetMs: message.offsetMs,
+        songInfo: message.songInfo
+      });
+      sendResponse({ success: true, ...file });
+    } catch (error) {
+      console.error("Lyrics export error:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async prefetchLyrics(message, sendResponse) {
+    const songs = Array.isArray(message.songs) ? message.songs : [];
+    const actions = (message.actions || []).filter(action => action === 'translate' || action === 'romanize');
+    prefetchQueue.start(songs, actions, message.targetLang);
+    sendResponse({ success: true });
+  }
+
+  static async cancelPrefetch(sendResponse) {
+    prefetchQueue.cancel();
+    sendResponse({ success: true });
+  }
+
+  static async getPinStatus(message, sendResponse) {
+    try {
+      const status = await PinnedLibraryService.getStatus(message.songInfo);
+      sendResponse({ success: true, ...status });
+    } catch (error) {
+      console.error("Get pin status error:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async pinSong(message, sendResponse) {
+    try {
+      const key = await PinnedLibraryService.pinSong(message.songInfo);
+      sendResponse({ success: true, key });
+    } catch (error) {
+      console.error(`Failed to pin "${message.songInfo?.title}":`, error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async pinAlbum(message, sendResponse) {
+    try {
+      const key = await PinnedLibraryService.pinAlbum(message.songInfo);
+      sendResponse({ success: true, key });
+    } catch (error) {
+      console.error(`Failed to pin album "${message.songInfo?.album}":`, error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async unpin(message, sendResponse) {
+    try {
+      await pinnedLibrary.remove(message.key);
+      sendResponse({ success: true, message: "Unpinned successfully" });
+    } catch (error) {
+      console.error("Unpin error:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async getPinnedList(sendResponse) {
+    try {
+      const pinnedList = await pinnedLibrary.list();
+      sendResponse({ success: true, pinnedList });
+    } catch (error) {
+      console.error("Error getting pinned list:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async redownloadPinned(message, sendResponse) {
+    try {
+      const { updated, failed } = await PinnedLibraryService.redownload(message.key);
+      sendResponse({ success: true, updated, failed });
+    } catch (error) {
+      console.error("Error re-downloading pinned lyrics:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async exportBackup(sendResponse) {
+    try {
+      const { manifest, stores } = BackupService.createManifest();
+      sendResponse({ success: true, manifest, stores });
+    } catch (error) {
+      console.error("Error creating backup:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async exportBackupPage(message, sendResponse) {
+    try {
+      const { records, next } = await BackupService.readPage(message.store, message.after ?? null);
+      sendResponse({ success: true, records, next });
+    } catch (error) {
+      console.error("Error reading backup page:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async importBackup(message, sendResponse) {
+    try {
+      const { stores, pageSize } = await BackupService.beginRestore(message.manifest, message.mode);
+      sendResponse({ success: true, stores, pageSize });
+    } catch (error) {
+      console.error("Error restoring backup:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async importBackupPage(message, sendResponse) {
+    try {
+      const counts = await BackupService.restorePage(message.store, message.records, message.mode);
+      sendResponse({ success: true, counts });
+    } catch (error) {
+      console.error("Error restoring backup page:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async finishBackupImport(sendResponse) {
+    try {
+      await BackupService.finishRestore();
+      sendResponse({ success: true });
+    } catch (error) {
+      console.error("Error finishing backup restore:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
   static async uploadLocalLyrics(message, sendResponse) {
     try {
       const songId = `${message.songInfo.title}-${message.songInfo.artist}-${Date.now()}`;
@@ -171,6 +390,7 @@ export class MessageHandler {
         songId,
         songInfo: message.songInfo,
         lyrics: message.jsonLyrics,
+        ...(message.format ? { format: message.format } : {}),
         timestamp: Date.now()
       });
       sendResponse({ success: true, message: "Local lyrics uploaded successfully", songId });
@@ -180,13 +400,56 @@ export class MessageHandler {
     }
   }
 
+  /**
+   * Stores lyrics synced in the lyrics panel as an upload for the song. The
+   * editor only records start times, so the repair fills in durations.
+   */
+  static async saveSyncedLyrics(message, sendResponse) {
+    try {
+      const songInfo = pickLocalSongInfo(message.songInfo);
+      const { lyrics } = repairLyrics(message.jsonLyrics, { duration: songInfo.duration });
+
+      const songId = `${songInfo.title}-${songInfo.artist}-${Date.now()}`;
+      await localLyricsDB.set({ songId, songInfo, lyrics, timestamp: Date.now() });
+      // The plain lyrics cached for the song would otherwise still be served
+      await LyricsService.forgetCachedLyrics(message.songInfo);
+      sendResponse({ success: true, songId });
+    } catch (error) {
+      console.error("Error saving synced lyrics:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async getSongOffset(message, sendResponse) {
+    try {
+      const offsetMs = await songOffsets.get(message.songInfo);
+      sendResponse({ success: true, offsetMs });
+    } catch (error) {
+      console.error("Get song offset error:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  static async setSongOffset(message, sendResponse) {
+    try {
+      await songOffsets.set(message.songInfo, message.offsetMs);
+      sendResponse({ success: true });
+    } catch (error) {
+      console.error("Set song offset error:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
   static async getLocalLyricsList(sendResponse) {
     try {
       const lyricsList = await localLyricsDB.getAll();
       const mappedList = lyricsList.map(item => ({
         songId: item.songId,
         songInfo: item.songInfo,
-        timestamp: item.timestamp
+        timestamp: item.timestamp,
+        format: item.format || null,
+        type: item.lyrics?.type || null,
+        lineCount: item.lyrics?.lyrics?.length || 0
       }));
       sendResponse({ success: true, lyricsList: mappedList });
     } catch (error) {
@@ -223,6 +486,42 @@ export class MessageHandler {
     }
   }
 
+  /**
+   * Edits an upload in place: `songInfo` replaces its song details and linked
+   * IDs, `jsonLyrics` its lyrics, each only when given. The song ID stays, so
+   * the entry keeps its place in the library and backups.
+   */
+  static async updateLocalLyrics(message, sendResponse) {
+    try {
+      const entry = await localLyricsDB.get(message.songId);
+      if (!entry) {
+        sendResponse({ success: false, error: "Local lyrics not found" });
+        return;
+      }
+
+      const songInfo = message.songInfo ? pickLocalSongInfo(message.songInfo) : entry.songInfo;
+      if (!songInfo.title || !songInfo.artist) {
+        sendResponse({ success: false, error: "Title and artist are required" });
+        return;
+      }
+
+      // The upload date stays as it was; the library sorts by it
+      const updated = { ...entry, songInfo, updatedAt: Date.now() };
+      if (message.jsonLyrics) {
+        updated.lyrics = message.jsonLyrics;
+        if (message.format) updated.format = message.format;
+      }
+      await localLyricsDB.set(updated);
+
+      // Lyrics served from the entry before the edit are still cached under both songs
+      await Promise.all([entry.songInfo, songInfo].map(info => LyricsService.forgetCachedLyrics(info)));
+      sendResponse({ success: true, songId: entry.songId });
+    } catch (error) {
+      console.error("Error updating local lyrics:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
   static async fetchImage(message, sendResponse) {
     try {
       const response = await fetch(message.url);
@@ -0,0 +1,110 @@
+// ==================================================================================================
+// PINNED LIBRARY SERVICE
+// ==================================================================================================
+
+import { translationsDB } from '../storage/database.js';
+import { pinnedLibrary } from '../storage/pinnedLibrary.js';
+import { Utilities } from '../utils/utilities.js';
+import { LyricsService } from './lyricsService.js';
+import { TranslationService } from './translationService.js';
+
+export class PinnedLibraryService {
+  static async getStatus(songInfo) {
+    return pinnedLibrary.getStatus(await LyricsService.resolveCacheKey(songInfo), songInfo);
+  }
+
+  static async pinSong(songInfo) {
+    const cacheKey = await LyricsService.resolveCacheKey(songInfo);
+    // Pinned copies keep the provider's timing, corrected as they are served
+    const result = await LyricsService.getOrFetch(songInfo, false, false);
+    if (Utilities.isEmptyLyrics(result?.lyrics)) {
+      throw new Error('No lyrics to pin');
+    }
+
+    await pinnedLibrary.saveLyrics(cacheKey, songInfo, result, { pin: true });
+    await this.copyCachedTranslations(cacheKey, result.version);
+    return cacheKey;
+  }
+
+  /**
+   * Pins the album rule and the song playing now. Other songs of the album are
+   * pinned as their lyrics are fetched.
+   */
+  static async pinAlbum(songInfo) {
+    if (!songInfo.album) {
+      throw new Error('Song has no album');
+    }
+
+    const album = await pinnedLibrary.pinAlbum(songInfo);
+    const cacheKey = await LyricsService.resolveCacheKey(songInfo);
+    if (!await pinnedLibrary.getSong(cacheKey)) {
+      const result = await LyricsService.getOrFetch(songInfo, false, false);
+      if (!Utilities.isEmptyLyrics(result?.lyrics)) {
+        await pinnedLibrary.saveLyrics(cacheKey, songInfo, result);
+        await this.copyCachedTranslations(cacheKey, result.version);
+      }
+    }
+    return album.key;
+  }
+
+  /**
+   * Copies translations and romanizations already in the translation cache
+   * for this version of the lyrics into the pinned record.
+   */
+  static async copyCachedTranslations(cacheKey, version) {
+    const prefix = `${cacheKey} - `;
+    const cached = await translationsDB.getAll();
+
+    for (const entry of cached) {
+      if (!entry.key.startsWith(prefix) || entry.originalVersion !== version) continue;
+
+      const [action, targetLang] = entry.key.slice(prefix.length).split(' - ');
+      await pinnedLibrary.saveTranslation(cacheKey, entry.key, {
+        action,
+        targetLang,
+        translatedLyrics: entry.translatedLyrics,
+        originalVersion: entry.originalVersion
+      });
+    }
+  }
+
+  /**
+   * Fetches a pinned song again from the providers and redoes every
+   * translation and romanization it had. An album re-downloads each of its
+   * songs. Songs whose providers are unreachable keep their pinned copy.
+   * @returns {Promise<{updated: number, failed: number}>}
+   */
+  static async redownload(key) {
+    const songs = pinnedLibrary.isAlbumKey(key)
+      ? await pinnedLibrary.getAlbumSongs(key)
+      : [await pinnedLibrary.getSong(key)].filter(Boolean);
+
+    let updated = 0;
+    let failed = 0;
+
+    for (const song of songs) {
+      try {
+        const result = await LyricsService.getOrFetch({ ...song.songInfo }, true);
+        if (result.version === song.version) {
+          failed++;
+          continue;
+        }
+
+        const requests = new Map(Object.values(song.translations || {})
+          .map(entry => [`${entry.action}|${entry.targetLang}`, entry]));
+        for (const { action, targetLang } of requests.values()) {
+          await TranslationService.getOrFetch({ ...song.songInfo }, action, targetLang)
+            .catch(error => console.warn(`Failed to redo ${action} for pinned "${song.songInfo.title}":`, error));
+        }
+
+        await pinnedLibrary.pruneTranslations(song.key);
+        updated++;
+      } catch (error) {
+        console.warn(`Failed to re-download pinned "${song.songInfo.title}":`, error);
+        failed++;
+      }
+    }
+
+    return { updated, failed };
+  }
+}
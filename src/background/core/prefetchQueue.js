@@ -0,0 +1,91 @@
+// ==================================================================================================
+// PREFETCH SERVICE
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { SettingsManager } from '../storage/settings.js';
+import { LyricsService } from './lyricsService.js';
+import { TranslationService } from './translationService.js';
+
+function wait(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Warms the lyrics and translation caches for the songs queued after the one
+ * playing. Songs are fetched one at a time, after a delay, so prefetching never
+ * competes with the foreground fetch. Starting a new run cancels the previous
+ * one before its next request; a request already in flight is left to finish,
+ * since a foreground fetch of the same song joins it instead of starting over.
+ */
+class PrefetchQueue {
+  constructor() {
+    this.controller = null;
+  }
+
+  start(songs, actions, targetLang) {
+    this.cancel();
+
+    const controller = new AbortController();
+    this.controller = controller;
+
+    this.run(songs, actions, targetLang, controller.signal)
+      .catch(error => console.warn('Prefetch: run failed', error))
+      .finally(() => {
+        if (this.controller === controller) this.controller = null;
+      });
+  }
+
+  cancel() {
+    if (!this.controller) return;
+    this.controller.abort();
+    this.controller = null;
+  }
+
+  async run(songs, actions, targetLang, signal) {
+    const settings = await SettingsManager.getLyricsSettings();
+    const limit = Math.min(Number(settings.prefetchQueueCount) || 0, CONFIG.PREFETCH.MAX_SONGS);
+    // Embedded Apple Music lyrics only arrive once the song plays and win over anything fetched now
+    const queue = songs
+      .filter(song => song?.title && song.artist && (!song.hasEmbeddedLyrics || settings.appleMusicTTMLBypass))
+      .slice(0, limit);
+
+    if (!queue.length) return;
+
+    await wait(CONFIG.PREFETCH.START_DELAY_MS, signal);
+
+    for (const songInfo of queue) {
+      if (signal.aborted) return;
+      await this.warm(songInfo, actions, targetLang, signal);
+      await wait(CONFIG.PREFETCH.SONG_DELAY_MS, signal);
+    }
+  }
+
+  async warm(songInfo, actions, targetLang, signal) {
+    try {
+      await LyricsService.getOrFetch(songInfo);
+    } catch (error) {
+      console.log(`Prefetch: no lyrics for "${songInfo.title}"`);
+      return;
+    }
+
+    for (const action of actions) {
+      if (signal.aborted) return;
+      try {
+        await TranslationService.getOrFetch(songInfo, action, targetLang);
+      } catch (error) {
+        console.warn(`Prefetch: ${action} failed for "${songInfo.title}"`, error);
+      }
+    }
+
+    console.log(`Prefetch: cached "${songInfo.title}"${actions.length ? ` (${actions.join(', ')})` : ''}`);
+  }
+}
+
+export const prefetchQueue = new PrefetchQueue();
@@ -4,6 +4,9 @@
 
 import { state } from '../storage/state.js';
 import { translationsDB } from '../storage/database.js';
+import { pinnedLibrary } from '../storage/pinnedLibrary.js';
+import { cacheQuota } from '../storage/cacheQuota.js';
+import { translationMemory } from '../storage/translationMemory.js';
 import { SettingsManager } from '../storage/settings.js';
 import { PROVIDERS } from '../constants.js';
 import { Utilities } from '../utils/utilities.js';
@@ -16,9 +19,8 @@ import { DeepLProvider } from '../services/translation/providers/DeepLProvider.j
 import { DeepLKeylessProvider } from '../services/translation/providers/DeepLKeylessProvider.js';
 
 export class TranslationService {
-  static createCacheKey(songInfo, action, targetLang, providerName = '') {
-    const baseLyricsCacheKey = LyricsService.createCacheKey(songInfo);
-    return `${baseLyricsCacheKey} - ${action} - ${targetLang} - ${providerName}`;
+  static createCacheKey(lyricsKey, action, targetLang, providerName = '') {
+    return `${lyricsKey} - ${action} - ${targetLang} - ${providerName}`;
   }
 
   static async getOrFetch(songInfo, action, targetLang, forceReload = false) {
@@ -26,7 +28,8 @@ export class TranslationService {
     const customLang = settings.customTranslateTarget ? settings.customTranslateTarget.trim() : '';
     const actualTargetLang = customLang || targetLang || 'en';
 
-    const translatedKey = this.createCacheKey(songInfo, action, actualTargetLang, settings.translationProvider);
+    const lyricsKey = await LyricsService.resolveCacheKey(songInfo);
+    const translatedKey = this.createCacheKey(lyricsKey, action, actualTargetLang, settings.translationProvider);
 
     const { lyrics: originalLyrics, version: originalVersion } =
       await LyricsService.getOrFetch(songInfo, forceReload);
@@ -36,7 +39,8 @@ export class TranslationService {
     }
 
     if (!forceReload) {
-      const cached = await this.getCached(translatedKey, originalVersion);
+      const cached = await this.getCached(translatedKey, originalVersion)
+        || await pinnedLibrary.getTranslation(lyricsKey, translatedKey, originalVersion);
       if (cached) return cached;
     }
 
@@ -45,7 +49,8 @@ export class TranslationService {
       action,
       actualTargetLang,
       settings,
-      songInfo
+      songInfo,
+      forceReload
     );
 
     const finalTranslatedLyrics = { ...originalLyrics, data: translatedData };
@@ -60,6 +65,14 @@ export class TranslationService {
       translatedLyrics: finalTranslatedLyrics,
       originalVersion
     });
+    cacheQuota.enforce().catch(error => console.warn('Failed to enforce cache quota:', error));
+
+    await pinnedLibrary.saveTranslation(lyricsKey, translatedKey, {
+      action,
+      targetLang: actualTargetLang,
+      translatedLyrics: finalTranslatedLyrics,
+      originalVersion
+    }).catch(error => console.warn('Failed to update pinned translation:', error));
 
     return finalTranslatedLyrics;
   }
@@ -105,9 +118,9 @@ export class TranslationService {
     }
   }
 
-  static async performTranslation(originalLyrics, action, targetLang, settings, songInfo = {}) {
+  static async performTranslation(originalLyrics, action, targetLang, settings, songInfo = {}, forceReload = false) {
     if (action === 'translate') {
-      return this.translate(originalLyrics, targetLang, settings, songInfo);
+      return this.translate(originalLyrics, targetLang, settings, songInfo, forceReload);
     } else if (action === 'romanize') {
       return this.romanize(originalLyrics, settings, songInfo, targetLang);
     }
@@ -115,7 +128,12 @@ export class TranslationService {
     return originalLyrics.data;
   }
 
-  static async translate(originalLyrics, targetLang, settings, songInfo = {}) {
+  /**
+   * Translates the lines without an embedded translation in the target
+   * language. Lines the translation memory knows are not asked for again,
+   * unless `forceReload` is set so a bad translation can be replaced.
+   */
+  static async translate(originalLyrics, targetLang, settings, songInfo = {}, forceReload = false) {
     const provider = this.getProvider(settings.translationProvider, settings);
 
     const normalizeLang = (l) => l ? l.toLowerCase().split('-')[0].trim() : '';
@@ -135,26 +153,64 @@ export class TranslationService {
       }
     });
 
+    if (indicesToTranslate.length < originalLyrics.data.length) {
+      console.log(`Using embedded translations for ${originalLyrics.data.length - indicesToTranslate.length} of ${originalLyrics.data.length} lines`);
+    }
+
     if (linesToTranslate.length > 0) {
-      let fetchedTranslations;
-
-      try {
-        fetchedTranslations = await provider.translate(linesToTranslate, targetLang, songInfo);
-      } catch (error) {
-        console.warn(`Translation with ${settings.translationProvider} failed, falling back to Google:`, error);
-        // Fallback to Google if the primary provider fails
-        if (settings.translationProvider !== PROVIDERS.GOOGLE) {
-          const fallbackProvider = new GoogleProvider(settings);
-          fetchedTranslations = await fallbackProvider.translate(linesToTranslate, targetLang, songInfo);
+      const remembered = forceReload
+        ? linesToTranslate.map(() => null)
+        : await translationMemory.lookup(linesToTranslate, targetLang, settings.translationProvider)
+          .catch(error => {
+            console.warn('Translation memory lookup failed:', error);
+            return linesToTranslate.map(() => null);
+          });
+
+      const missedLines = [];
+      const missedIndices = [];
+      remembered.forEach((trans, i) => {
+        if (trans !== null) {
+          finalTranslations[indicesToTranslate[i]] = trans;
         } else {
-          throw error;
+          missedLines.push(linesToTranslate[i]);
+          missedIndices.push(indicesToTranslate[i]);
         }
+      });
+
+      if (missedLines.length < linesToTranslate.length) {
+        console.log(`Translation memory filled ${linesToTranslate.length - missedLines.length} of ${linesToTranslate.length} lines`);
       }
 
-      fetchedTranslations.forEach((trans, i) => {
-        const originalIndex = indicesToTranslate[i];
-        finalTranslations[originalIndex] = trans;
-      });
+      if (missedLines.length > 0) {
+        let fetchedTranslations;
+        let usedProvider = settings.translationProvider;
+
+        try {
+          // Context-aware providers read the whole song but are only asked for the missed lines
+          const contextLines = provider.usesSongContext && missedLines.length < originalLyrics.data.length
+            ? originalLyrics.data.map(line => line.text)
+            : null;
+          fetchedTranslations = await provider.translate(missedLines, targetLang, songInfo, contextLines);
+        } catch (error) {
+          console.warn(`Translation with ${settings.translationProvider} failed, falling back to Google:`, error);
+          // Fallback to Google if the primary provider fails
+          if (settings.translationProvider !== PROVIDERS.GOOGLE) {
+            const fallbackProvider = new GoogleProvider(settings);
+            fetchedTranslations = await fallbackProvider.translate(missedLines, targetLang, songInfo);
+            usedProvider = PROVIDERS.GOOGLE;
+          } else {
+            throw error;
+          }
+        }
+
+        fetchedTranslations.forEach((trans, i) => {
+          const originalIndex = missedIndices[i];
+          finalTranslations[originalIndex] = trans;
+        });
+
+        await translationMemory.remember(missedLines, fetchedTranslations, targetLang, usedProvider)
+          .catch(error => console.warn('Failed to update translation memory:', error));
+      }
     }
 
     return originalLyrics.data.map((line, index) => ({
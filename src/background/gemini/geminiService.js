@@ -6,12 +6,12 @@ import { createTranslationPrompt } from '../services/translation/prompts.js';
 import { GeminiRomanizer } from './geminiRomanizer.js';
 
 export class GeminiService {
-  static async translate(texts, targetLang, settings, songInfo = {}) {
+  static async translate(texts, targetLang, settings, songInfo = {}, contextLines = null) {
     const { geminiApiKey, geminiModel } = settings;
     const url = `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:generateContent?key=${geminiApiKey}`;
     const isGemma = geminiModel.toLowerCase().includes("gemma");
 
-    let prompt = createTranslationPrompt(settings, texts, targetLang, songInfo, geminiModel);
+    let prompt = createTranslationPrompt(settings, texts, targetLang, songInfo, contextLines);
 
     const generationConfig = {
       temperature: 0.0
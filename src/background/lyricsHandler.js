@@ -4,6 +4,7 @@
 
 import { MessageHandler } from './core/messageHandler.js';
 import { LyricsService } from './core/lyricsService.js';
+import { cacheQuota } from './storage/cacheQuota.js';
 
 const pBrowser = typeof browser !== 'undefined'
   ? browser
@@ -23,6 +24,14 @@ const MUSIC_TAB_URL_PATTERNS = [
 console.log('Service Worker initialized');
 LyricsService.clearExpiredCache();
 
+if (pBrowser?.storage?.onChanged) {
+  pBrowser.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.cacheQuotaMB) {
+      cacheQuota.enforce().catch(error => console.warn('Failed to enforce cache quota:', error));
+    }
+  });
+}
+
 function storageLocalGet(keys) {
   return new Promise((resolve, reject) => {
     if (!pBrowser?.storage?.local?.get) {
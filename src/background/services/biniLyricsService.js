@@ -1,6 +1,9 @@
 // src/background/services/biniLyricsService.js
 
+import { PROVIDERS } from '../constants.js';
 import { DataParser } from '../utils/dataParser.js';
+import { providerHealth } from '../storage/providerHealth.js';
+import { ProviderError } from '../utils/providerError.js';
 import { parseAppleTTML } from '../../lib/parser.js';
 
 const BINILYRICS_BASE_URL = 'https://lyrics-api.binimum.org';
@@ -12,18 +15,28 @@ export class BiniLyricsService {
 
     const url = `${BINILYRICS_BASE_URL}/getLyrics?q=${encodeURIComponent(query)}`;
 
+    // Separate timeout signal so a caller abort is not recorded as a timeout;
+    // the search and the TTML download get 8 seconds each
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 8000);
-    const options = {
-      ...fetchOptions,
-      signal: fetchOptions.signal || controller.signal
+    const timeoutController = new AbortController();
+    let timeoutId = null;
+    const startTimeout = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => {
+        timeoutController.abort();
+        controller.abort();
+      }, 8000);
     };
+    const abortOnCaller = () => controller.abort();
+    fetchOptions.signal?.addEventListener('abort', abortOnCaller);
+    const options = { ...fetchOptions, signal: controller.signal };
 
     try {
-      const response = await fetch(url, options);
-      clearTimeout(timeoutId);
+      startTimeout();
+      const response = await providerHealth.track(PROVIDERS.BINILYRICS, () => fetch(url, options), timeoutController.signal);
 
-      if (!response.ok) return null;
+      if (response.status === 404) return null;
+      if (!response.ok) throw ProviderError.fromResponse(PROVIDERS.BINILYRICS, response);
 
       const data = await response.json();
       if (!data || !Array.isArray(data.results) || data.results.length === 0) {
@@ -34,17 +47,11 @@ export class BiniLyricsService {
       if (!match || !match.lyricsUrl) return null;
 
       // Fetch the TTML file
-      const lyricsController = new AbortController();
-      const lyricsTimeoutId = setTimeout(() => lyricsController.abort(), 8000);
-      const lyricsOptions = {
-        ...fetchOptions,
-        signal: fetchOptions.signal || lyricsController.signal
-      };
-
-      const lyricsResponse = await fetch(match.lyricsUrl, lyricsOptions);
-      clearTimeout(lyricsTimeoutId);
+      startTimeout();
+      const lyricsResponse = await fetch(match.lyricsUrl, options);
 
-      if (!lyricsResponse.ok) return null;
+      if (lyricsResponse.status === 404) return null;
+      if (!lyricsResponse.ok) throw ProviderError.fromResponse(PROVIDERS.BINILYRICS, lyricsResponse);
 
       const ttmlText = await lyricsResponse.text();
       if (!ttmlText) return null;
@@ -67,9 +74,12 @@ export class BiniLyricsService {
       if (error.name !== 'AbortError') {
         console.error('BiniLyrics error:', error);
       }
-      return null;
+      const failure = ProviderError.fromFetchError(PROVIDERS.BINILYRICS, error, timeoutController.signal);
+      if (!failure) return null;
+      throw failure;
     } finally {
       clearTimeout(timeoutId);
+      fetchOptions.signal?.removeEventListener('abort', abortOnCaller);
     }
   }
 
@@ -0,0 +1,102 @@
+// ==================================================================================================
+// EXTERNAL SERVICE - USER-DEFINED HTTP PROVIDERS
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { DataParser } from '../utils/dataParser.js';
+import { providerHealth } from '../storage/providerHealth.js';
+import { ProviderError } from '../utils/providerError.js';
+
+const PLACEHOLDER_REGEX = /\{(title|artist|album|duration|isrc|videoId)\}/g;
+
+export class CustomProviderService {
+  static isCustomProvider(providerId) {
+    return typeof providerId === 'string' && providerId.startsWith(CONFIG.CUSTOM_PROVIDERS.ID_PREFIX);
+  }
+
+  static getProviderId(definition) {
+    return `${CONFIG.CUSTOM_PROVIDERS.ID_PREFIX}${definition.id}`;
+  }
+
+  static findDefinition(providerId, definitions) {
+    if (!this.isCustomProvider(providerId) || !Array.isArray(definitions)) return null;
+    return definitions.find(def => def?.urlTemplate && this.getProviderId(def) === providerId) || null;
+  }
+
+  static buildUrl(urlTemplate, songInfo) {
+    const values = {
+      title: songInfo.title,
+      artist: songInfo.artist,
+      album: songInfo.album,
+      duration: songInfo.duration > 0 ? Math.round(songInfo.duration) : '',
+      isrc: songInfo.isrc,
+      videoId: songInfo.videoId
+    };
+    return urlTemplate.replace(PLACEHOLDER_REGEX, (_, key) => encodeURIComponent(values[key] ?? ''));
+  }
+
+  /**
+   * Resolves a dot path such as `data.lyrics` or `results[0].lrc` against a
+   * parsed JSON response. An empty path returns the response itself.
+   */
+  static getByPath(data, path) {
+    if (!path) return data;
+    return path
+      .replace(/\[(\d+)\]/g, '.$1')
+      .split('.')
+      .filter(Boolean)
+      .reduce((value, key) => (value == null ? undefined : value[key]), data);
+  }
+
+  static async fetch(definition, songInfo, fetchOptions = {}) {
+    const providerId = this.getProviderId(definition);
+    const url = this.buildUrl(definition.urlTemplate, songInfo);
+    const format = (definition.format || 'kpoe').toLowerCase();
+    const payloadPath = (definition.payloadPath || '').trim();
+
+    // Separate timeout signal so a caller abort is not recorded as a timeout
+    const controller = new AbortController();
+    const timeoutController = new AbortController();
+    const timeoutId = setTimeout(() => {
+      timeoutController.abort();
+      controller.abort();
+    }, CONFIG.CUSTOM_PROVIDERS.TIMEOUT_MS);
+    const abortOnCaller = () => controller.abort();
+    fetchOptions.signal?.addEventListener('abort', abortOnCaller);
+
+    try {
+      const response = await providerHealth.track(providerId, () => fetch(url, {
+        ...fetchOptions,
+        signal: controller.signal
+      }), timeoutController.signal);
+
+      if (response.status === 404) return null;
+      if (!response.ok) throw ProviderError.fromResponse(providerId, response);
+
+      const payload = payloadPath || format === 'kpoe'
+        ? this.getByPath(await response.json(), payloadPath)
+        : await response.text();
+
+      const lyrics = DataParser.parseCustomFormat(payload, format, definition.name || providerId);
+      if (lyrics && lyrics.metadata) {
+        lyrics.metadata = {
+          ...lyrics.metadata,
+          title: lyrics.metadata.title || songInfo.title,
+          artist: lyrics.metadata.artist || songInfo.artist,
+          album: lyrics.metadata.album || songInfo.album
+        };
+      }
+      return lyrics;
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error(`Custom provider "${definition.name || providerId}" error:`, error);
+      }
+      const failure = ProviderError.fromFetchError(providerId, error, timeoutController.signal);
+      if (!failure) return null;
+      throw failure;
+    } finally {
+      clearTimeout(timeoutId);
+      fetchOptions.signal?.removeEventListener('abort', abortOnCaller);
+    }
+  }
+}
@@ -4,34 +4,45 @@
 
 import { CONFIG } from '../constants.js';
 import { DataParser } from '../utils/dataParser.js';
+import { providerHealth } from '../storage/providerHealth.js';
+import { ProviderError } from '../utils/providerError.js';
 
 export class KPoeService {
-  static lastWorkingServer = null;
-
+  /**
+   * Asks each mirror in turn. Resolves with null only if a mirror answered
+   * that it has no lyrics; if every mirror failed, throws the last failure.
+   */
   static async fetch(songInfo, sourceOrder, forceReload, fetchOptions) {
-    const servers = this.getPrioritizedServers();
+    const servers = await this.getPrioritizedServers();
+    let failure = null;
+    let answered = false;
 
     for (const baseUrl of servers) {
-      let lyrics = await this.fetchFromAPI(baseUrl, songInfo, sourceOrder, forceReload, fetchOptions);
-      if (lyrics) {
-        this.lastWorkingServer = baseUrl;
-        return lyrics;
+      try {
+        const lyrics = await this.fetchFromServer(baseUrl, songInfo, sourceOrder, forceReload, fetchOptions);
+        if (lyrics) return lyrics;
+        answered = true;
+      } catch (error) {
+        if (!(error instanceof ProviderError)) throw error;
+        failure = error;
       }
+    }
 
-      if (songInfo.isVideo) {
-        const cleanTitle = songInfo.title
-          .replace('(Official Video)', '')
-          .replace('(Official Music Video)', '')
-          .trim();
-
-        if (cleanTitle !== songInfo.title || songInfo.duration > 0) {
-          lyrics = await this.fetchFromAPI(baseUrl, { ...songInfo, duration: 0, title: cleanTitle }, sourceOrder, forceReload, fetchOptions);
-          if (lyrics) {
-            this.lastWorkingServer = baseUrl;
-            return lyrics;
-          }
-        }
-      }
+    if (failure && !answered) throw failure;
+    return null;
+  }
+
+  static async fetchFromServer(baseUrl, songInfo, sourceOrder, forceReload, fetchOptions) {
+    const lyrics = await this.fetchFromAPI(baseUrl, songInfo, sourceOrder, forceReload, fetchOptions);
+    if (lyrics || !songInfo.isVideo) return lyrics;
+
+    const cleanTitle = songInfo.title
+      .replace('(Official Video)', '')
+      .replace('(Official Music Video)', '')
+      .trim();
+
+    if (cleanTitle !== songInfo.title || songInfo.duration > 0) {
+      return this.fetchFromAPI(baseUrl, { ...songInfo, duration: 0, title: cleanTitle }, sourceOrder, forceReload, fetchOptions);
     }
     return null;
   }
@@ -63,10 +74,10 @@ export class KPoeService {
     const timeoutId = setTimeout(() => controller.abort(), 8000);
 
     try {
-      const response = await fetch(url, {
+      const response = await providerHealth.track(baseUrl, () => fetch(url, {
         ...(forceReload ? { cache: 'no-store' } : fetchOptions),
         signal: controller.signal
-      });
+      }), controller.signal);
       clearTimeout(timeoutId);
 
       if (response.ok) {
@@ -74,8 +85,8 @@ export class KPoeService {
         return DataParser.parseKPoeFormat(data);
       }
 
-      if (response.status === 404 || response.status === 403) {
-        if (response.status === 404 && isrc) {
+      if (response.status === 404) {
+        if (isrc) {
           const fallbackSongInfo = { ...songInfo };
           delete fallbackSongInfo.isrc;
           return await this.fetchFromAPI(baseUrl, fallbackSongInfo, sourceOrder, forceReload, fetchOptions);
@@ -84,24 +95,24 @@ export class KPoeService {
       }
 
       console.warn(`KPoe API failed (${response.status}): ${response.statusText}`);
-      return null;
+      throw ProviderError.fromResponse(baseUrl, response);
     } catch (error) {
-      if (error.name !== 'AbortError') {
+      if (!(error instanceof ProviderError) && error.name !== 'AbortError') {
         console.error(`Network error fetching from ${baseUrl}:`, error);
       }
-      return null;
+      // The caller's signal is not passed on, so an abort here is always the timeout
+      throw ProviderError.fromFetchError(baseUrl, error, controller.signal);
     } finally {
       clearTimeout(timeoutId);
     }
   }
 
-  static getPrioritizedServers() {
-    if (this.lastWorkingServer && CONFIG.KPOE_SERVERS.includes(this.lastWorkingServer)) {
-      return [
-        this.lastWorkingServer,
-        ...CONFIG.KPOE_SERVERS.filter(s => s !== this.lastWorkingServer)
-      ];
+  static async getPrioritizedServers() {
+    try {
+      return await providerHealth.prioritize(CONFIG.KPOE_SERVERS);
+    } catch (error) {
+      console.warn('KPoe: provider health unavailable, using default server order', error);
+      return CONFIG.KPOE_SERVERS;
     }
-    return CONFIG.KPOE_SERVERS;
   }
 }
@@ -2,28 +2,115 @@
 // EXTERNAL SERVICE - LRCLIB
 // ==================================================================================================
 
+import { PROVIDERS } from '../constants.js';
 import { DataParser } from '../utils/dataParser.js';
+import { SongMatcher } from '../utils/songMatcher.js';
+import { providerHealth } from '../storage/providerHealth.js';
+import { ProviderError } from '../utils/providerError.js';
+
+const LRCLIB_BASE_URL = 'https://lrclib.net/api';
+const LRCLIB_TIMEOUT_MS = 8000;
 
 export class LRCLibService {
+  /**
+   * Tries the exact lookup, then the search. Throws if the search could not
+   * be answered and the exact lookup found nothing.
+   */
   static async fetch(songInfo, fetchOptions = {}) {
+    let exact = null;
+    try {
+      exact = await this.fetchExact(songInfo, fetchOptions);
+      if (exact && exact.type !== 'Plain') return exact;
+    } catch (error) {
+      console.warn("LRCLIB exact lookup failed, searching instead:", error);
+    }
+
+    try {
+      // A plain exact hit still wins over a plain search match, not over a synced one
+      const searched = await this.fetchFromSearch(songInfo, fetchOptions);
+      if (searched && searched.type !== 'Plain') return searched;
+      return exact || searched;
+    } catch (error) {
+      console.error("LRCLIB error:", error);
+      if (exact) return exact;
+      throw error;
+    }
+  }
+
+  static async fetchExact(songInfo, fetchOptions) {
     const params = new URLSearchParams({
       artist_name: songInfo.artist,
       track_name: songInfo.title
     });
-    
+
     if (songInfo.album) params.append('album_name', songInfo.album);
+    if (songInfo.duration > 0) params.append('duration', Math.round(songInfo.duration));
+
+    const data = await this.request(`${LRCLIB_BASE_URL}/get?${params}`, fetchOptions);
+    return data ? DataParser.parseLRCLibFormat(data) : null;
+  }
+
+  static async fetchFromSearch(songInfo, fetchOptions) {
+    const params = new URLSearchParams({
+      track_name: songInfo.title,
+      artist_name: SongMatcher.stripTopicSuffix(songInfo.artist)
+    });
 
-    const url = `https://lrclib.net/api/get?${params}`;
+    const results = await this.request(`${LRCLIB_BASE_URL}/search?${params}`, fetchOptions);
+    if (!Array.isArray(results) || results.length === 0) return null;
+
+    const best = this.findBestMatch(songInfo, results);
+    if (!best) return null;
+
+    console.log(`LRCLIB: matched "${best.item.trackName}" by ${best.item.artistName} from search (score ${best.match.score.toFixed(2)})`);
+    return DataParser.parseLRCLibFormat(best.item);
+  }
+
+  /**
+   * Ranks search results with SongMatcher. Any synced result above the
+   * confidence threshold wins over a plain one, however close the plain one
+   * scores.
+   */
+  static findBestMatch(songInfo, results) {
+    const withLyrics = results.filter(item => !item.instrumental && (item.syncedLyrics || item.plainLyrics));
+    const getSongInfo = item => ({ title: item.trackName, artist: item.artistName, duration: item.duration });
+
+    return SongMatcher.findBestMatch(songInfo, withLyrics.filter(item => item.syncedLyrics), getSongInfo)
+      || SongMatcher.findBestMatch(songInfo, withLyrics.filter(item => !item.syncedLyrics), getSongInfo);
+  }
+
+  /**
+   * @returns {Promise<object|null>} the parsed response, or null for a 404 or
+   *   an abort by the caller.
+   * @throws {ProviderError} on network errors, timeouts and error responses.
+   */
+  static async request(url, fetchOptions) {
+    // Separate timeout signal so a caller abort is not recorded as a timeout
+    const controller = new AbortController();
+    const timeoutController = new AbortController();
+    const timeoutId = setTimeout(() => {
+      timeoutController.abort();
+      controller.abort();
+    }, LRCLIB_TIMEOUT_MS);
+    const abortOnCaller = () => controller.abort();
+    fetchOptions.signal?.addEventListener('abort', abortOnCaller);
 
     try {
-      const response = await fetch(url, fetchOptions);
-      if (!response.ok) return null;
-      
-      const data = await response.json();
-      return DataParser.parseLRCLibFormat(data);
+      const response = await providerHealth.track(PROVIDERS.LRCLIB, () => fetch(url, {
+        ...fetchOptions,
+        signal: controller.signal
+      }), timeoutController.signal);
+
+      if (response.status === 404) return null;
+      if (!response.ok) throw ProviderError.fromResponse(PROVIDERS.LRCLIB, response);
+      return await response.json();
     } catch (error) {
-      console.error("LRCLIB error:", error);
-      return null;
+      const failure = ProviderError.fromFetchError(PROVIDERS.LRCLIB, error, timeoutController.signal);
+      if (!failure) return null;
+      throw failure;
+    } finally {
+      clearTimeout(timeoutId);
+      fetchOptions.signal?.removeEventListener('abort', abortOnCaller);
     }
   }
 }
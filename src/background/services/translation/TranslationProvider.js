@@ -7,14 +7,26 @@ export class TranslationProvider {
         this.settings = settings;
     }
 
+    /**
+     * Whether the provider translates each line in the context of the whole
+     * song, and so should be given every line as context even when only some
+     * are needed.
+     * @returns {boolean}
+     */
+    get usesSongContext() {
+        return false;
+    }
+
     /**
      * Translates an array of text strings.
      * @param {string[]} texts - Array of strings to translate.
      * @param {string} targetLang - Target language code (e.g., 'en', 'ko').
      * @param {Object} songInfo - Optional song metadata.
+     * @param {string[]|null} contextLines - Every line of the song, for providers that
+     *   use song context; read for meaning only, never translated or returned.
      * @returns {Promise<string[]>} - Promise resolving to an array of translated strings.
      */
-    async translate(texts, targetLang, songInfo = {}) {
+    async translate(texts, targetLang, songInfo = {}, contextLines = null) {
         throw new Error('translate() must be implemented by subclass');
     }
 
@@ -424,12 +424,17 @@ Analyze the language(s) in the input, apply appropriate phonetic rules, preserve
   return basePrompt;
 }
 
-export function createTranslationPrompt(settings = { overrideGeminiPrompt: false, customGeminiPrompt: '' }, texts, targetLang, songInfo = {}) {
+export function createTranslationPrompt(settings = { overrideGeminiPrompt: false, customGeminiPrompt: '' }, texts, targetLang, songInfo = {}, contextLines = null) {
   // 1. Build Context & Metadata
-  const songContext = (songInfo.title && songInfo.artist)
+  let songContext = (songInfo.title && songInfo.artist)
     ? `Song Metadata: Title="${songInfo.title}", Artist="${songInfo.artist}"`
     : 'Song Metadata: None';
 
+  // The rest of the song is already translated; it is sent for meaning only
+  if (contextLines?.length) {
+    songContext += `\nFull Song Lyrics (context only - DO NOT translate or return these, translate ONLY the Input Lyrics below):\n${JSON.stringify(contextLines, null, 2)}`;
+  }
+
   const sourceLangHint = songInfo.source_languages
     ? `Source Languages Present: ${songInfo.source_languages.join(', ')}`
     : 'Source Languages: Mixed/Unknown';
@@ -3,11 +3,15 @@ import { TranslationProvider } from '../TranslationProvider.js';
 import { GeminiService } from '../../../gemini/geminiService.js';
 
 export class GeminiProvider extends TranslationProvider {
-    async translate(texts, targetLang, songInfo = {}) {
+    get usesSongContext() {
+        return true;
+    }
+
+    async translate(texts, targetLang, songInfo = {}, contextLines = null) {
         if (!this.settings.geminiApiKey) {
             throw new Error('Gemini API Key is missing. Please set it in Settings.');
         }
-        return GeminiService.translate(texts, targetLang, this.settings, songInfo);
+        return GeminiService.translate(texts, targetLang, this.settings, songInfo, contextLines);
     }
 
     async romanize(originalLyrics, targetLang, songInfo = {}) {
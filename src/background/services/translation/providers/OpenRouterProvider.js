@@ -4,18 +4,22 @@ import { createTranslationPrompt, createRomanizationPrompt } from '../prompts.js
 import { Utilities } from '../../../utils/utilities.js';
 
 export class OpenRouterProvider extends TranslationProvider {
+    get usesSongContext() {
+        return true;
+    }
+
     constructor(settings) {
         super(settings);
         this.apiKey = settings.openRouterApiKey;
         this.model = settings.openRouterModel || 'google/gemini-2.0-flash-001';
     }
 
-    async translate(texts, targetLang, songInfo = {}) {
+    async translate(texts, targetLang, songInfo = {}, contextLines = null) {
         if (!this.apiKey) {
             throw new Error('OpenRouter API Key is missing. Please set it in Settings.');
         }
 
-        let prompt = createTranslationPrompt(this.settings, texts, targetLang, songInfo);
+        let prompt = createTranslationPrompt(this.settings, texts, targetLang, songInfo, contextLines);
 
         // Append specific instruction for OpenRouter JSON response format
         prompt += `\n\nIMPORTANT OUTPUT FORMAT:
@@ -2,7 +2,10 @@
 // EXTERNAL SERVICE - UNISON (unison.boidu.dev)
 // ==================================================================================================
 
+import { PROVIDERS } from '../constants.js';
 import { DataParser } from '../utils/dataParser.js';
+import { providerHealth } from '../storage/providerHealth.js';
+import { ProviderError } from '../utils/providerError.js';
 
 const UNISON_BASE_URL = 'https://unison.boidu.dev';
 
@@ -10,11 +13,14 @@ export class UnisonService {
   static async fetch(songInfo, fetchOptions = {}) {
     // Try video ID lookup first (exact match)
     if (songInfo.videoId) {
-      const result = await this.fetchByVideoId(songInfo.videoId, fetchOptions);
+      const result = await this.fetchByVideoId(songInfo.videoId, fetchOptions).catch((error) => {
+        console.warn('Unison video ID lookup failed, searching by metadata:', error);
+        return null;
+      });
       if (result) return result;
     }
 
-    // Fall back to metadata search
+    // Fall back to metadata search, whose outcome stands for the provider
     return this.fetchByMetadata(songInfo, fetchOptions);
   }
 
@@ -41,13 +47,14 @@ export class UnisonService {
     const timeoutId = setTimeout(() => controller.abort(), 8000);
 
     try {
-      const response = await fetch(url, {
+      const response = await providerHealth.track(PROVIDERS.UNISON, () => fetch(url, {
         ...fetchOptions,
         signal: controller.signal
-      });
+      }), controller.signal);
       clearTimeout(timeoutId);
 
-      if (!response.ok) return null;
+      if (response.status === 404) return null;
+      if (!response.ok) throw ProviderError.fromResponse(PROVIDERS.UNISON, response);
 
       const json = await response.json();
       if (!json.success || !json.data) return null;
@@ -57,7 +64,8 @@ export class UnisonService {
       if (error.name !== 'AbortError') {
         console.error('Unison error:', error);
       }
-      return null;
+      // The caller's signal is not passed on, so an abort here is always the timeout
+      throw ProviderError.fromFetchError(PROVIDERS.UNISON, error, controller.signal);
     } finally {
       clearTimeout(timeoutId);
     }
@@ -0,0 +1,87 @@
+// ==================================================================================================
+// CACHE QUOTA
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { lyricsDB, translationsDB, translationMemoryDB } from './database.js';
+import { SettingsManager } from './settings.js';
+
+const CACHE_DATABASES = [lyricsDB, translationsDB, translationMemoryDB];
+
+/**
+ * Keeps the lyrics and translation caches and the translation memory within
+ * the user's byte budget by evicting the least recently used entries of any
+ * of them first.
+ */
+class CacheQuota {
+  constructor() {
+    this.running = null;
+  }
+
+  async getQuotaBytes() {
+    const { cacheQuotaMB } = await SettingsManager.get({ cacheQuotaMB: CONFIG.CACHE_QUOTA.DEFAULT_MB });
+    return (Number(cacheQuotaMB) || CONFIG.CACHE_QUOTA.DEFAULT_MB) * 1024 * 1024;
+  }
+
+  async getUsage() {
+    const stats = await Promise.all(CACHE_DATABASES.map(db => db.estimateSize()));
+    return {
+      sizeKB: stats.reduce((sum, stat) => sum + stat.sizeKB, 0),
+      count: stats.reduce((sum, stat) => sum + stat.count, 0),
+      quotaKB: await this.getQuotaBytes() / 1024
+    };
+  }
+
+  /**
+   * Evicts until the caches fit the quota. Calls made while an eviction is
+   * running share it.
+   * @returns {Promise<number>} number of entries evicted.
+   */
+  enforce() {
+    if (!this.running) {
+      this.running = this.evict().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async evict() {
+    const { EVICTION_BATCH } = CONFIG.CACHE_QUOTA;
+    const quotaBytes = await this.getQuotaBytes();
+    const usage = await this.getUsage();
+    let excessBytes = usage.sizeKB * 1024 - quotaBytes;
+    let evicted = 0;
+
+    while (excessBytes > 0) {
+      // The oldest EVICTION_BATCH entries overall are among the oldest EVICTION_BATCH of each cache
+      const candidates = (await Promise.all(CACHE_DATABASES.map(async db =>
+        (await db.getLeastRecentlyUsed(EVICTION_BATCH)).map(entry => ({ ...entry, db }))
+      ))).flat().sort((a, b) => a.lastAccess - b.lastAccess);
+      if (candidates.length === 0) break;
+
+      const batch = [];
+      let batchBytes = 0;
+      for (const candidate of candidates.slice(0, EVICTION_BATCH)) {
+        if (batchBytes >= excessBytes) break;
+        batch.push(candidate);
+        batchBytes += candidate.size;
+      }
+
+      for (const db of CACHE_DATABASES) {
+        const keys = batch.filter(entry => entry.db === db).map(entry => entry.key);
+        if (keys.length > 0) {
+          excessBytes -= await db.deleteMany(keys);
+        }
+      }
+      evicted += batch.length;
+    }
+
+    if (evicted > 0) {
+      console.log(`Evicted ${evicted} least recently used cache entries to stay within the quota.`);
+    }
+    return evicted;
+  }
+}
+
+export const cacheQuota = new CacheQuota();
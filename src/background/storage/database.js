@@ -3,64 +3,295 @@
 // ==================================================================================================
 
 import { CONFIG } from '../constants.js';
+import { SongMatcher } from '../utils/songMatcher.js';
 
+// LRU stores keep their running byte count in this store, next to the data
+const META_STORE = 'meta';
+const USAGE_KEY = 'usage';
+
+const encoder = new TextEncoder();
+
+function withUsage(record, lastAccess = Date.now()) {
+  const sized = { ...record, lastAccess, size: 0 };
+  sized.size = encoder.encode(JSON.stringify(sized)).length;
+  return sized;
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// ==================================================================================================
+// MIGRATIONS
+// ==================================================================================================
+
+// Each database lists one step per schema version. Opening runs, in order, the steps
+// above the stored version inside the upgrade transaction, so existing records are
+// upgraded in place and fresh installs run every step.
+
+function createStore(storeName, keyPath) {
+  return (db) => {
+    if (!db.objectStoreNames.contains(storeName)) {
+      db.createObjectStore(storeName, { keyPath });
+    }
+  };
+}
+
+function createIndexes(storeName, indexes) {
+  return (db, transaction) => {
+    const store = transaction.objectStore(storeName);
+    for (const [name, keyPath, options] of indexes) {
+      if (!store.indexNames.contains(name)) {
+        store.createIndex(name, keyPath, options);
+      }
+    }
+  };
+}
+
+function updateRecords(storeName, update, onDone = () => {}) {
+  return (db, transaction) => {
+    transaction.objectStore(storeName).openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        onDone();
+        return;
+      }
+      cursor.update(update(cursor.value));
+      cursor.continue();
+    };
+  };
+}
+
+function addUsageTracking(storeName) {
+  return (db, transaction) => {
+    createIndexes(storeName, [['timestamp', 'timestamp'], ['lastAccess', 'lastAccess']])(db, transaction);
+    if (!db.objectStoreNames.contains(META_STORE)) {
+      db.createObjectStore(META_STORE, { keyPath: 'key' });
+    }
+
+    // Records cached before usage tracking get their size and access time now
+    let bytes = 0;
+    updateRecords(storeName, (record) => {
+      const sized = withUsage(record, record.timestamp || Date.now());
+      bytes += sized.size;
+      return sized;
+    }, () => transaction.objectStore(META_STORE).put({ key: USAGE_KEY, bytes }))(db, transaction);
+  };
+}
+
+function withSearchKeys(record) {
+  return { ...record, searchKeys: SongMatcher.searchKeys(record.songInfo) };
+}
+
+const MIGRATIONS = {
+  CACHE: {
+    1: createStore(CONFIG.DB.CACHE.store, 'key'),
+    3: addUsageTracking(CONFIG.DB.CACHE.store)
+  },
+  TRANSLATIONS: {
+    1: createStore(CONFIG.DB.TRANSLATIONS.store, 'key'),
+    3: addUsageTracking(CONFIG.DB.TRANSLATIONS.store)
+  },
+  LOCAL: {
+    1: createStore(CONFIG.DB.LOCAL.store, 'songId'),
+    3: (db, transaction) => {
+      createIndexes(CONFIG.DB.LOCAL.store, [
+        ['searchKeys', 'searchKeys', { multiEntry: true }],
+        ['isrc', 'songInfo.isrc'],
+        ['videoId', 'songInfo.videoId'],
+        ['timestamp', 'timestamp']
+      ])(db, transaction);
+      updateRecords(CONFIG.DB.LOCAL.store, withSearchKeys)(db, transaction);
+    },
+    4: createIndexes(CONFIG.DB.LOCAL.store, [
+      ['appleId', 'songInfo.appleId'],
+      ['tidalId', 'songInfo.tidalId']
+    ]),
+    // Search keys dropped spaces and apostrophes
+    5: updateRecords(CONFIG.DB.LOCAL.store, withSearchKeys)
+  },
+  PINNED: {
+    1: createStore(CONFIG.DB.PINNED.store, 'key'),
+    2: createIndexes(CONFIG.DB.PINNED.store, [['albumKey', 'albumKey']])
+  },
+  ALIASES: {
+    1: createStore(CONFIG.DB.ALIASES.store, 'key')
+  },
+  TRANSLATION_MEMORY: {
+    1: createStore(CONFIG.DB.TRANSLATION_MEMORY.store, 'key'),
+    2: addUsageTracking(CONFIG.DB.TRANSLATION_MEMORY.store)
+  },
+  NEGATIVE: {
+    1: createStore(CONFIG.DB.NEGATIVE.store, 'key')
+  },
+  OFFSETS: {
+    1: createStore(CONFIG.DB.OFFSETS.store, 'key')
+  }
+};
+
+// ==================================================================================================
+// DATABASE MANAGER
+// ==================================================================================================
+
+/**
+ * One IndexedDB database holding a single store, over one shared connection.
+ * Stores configured with `lru` also track each record's size and last access
+ * time, indexed by `timestamp` and `lastAccess`, and keep a running total so
+ * size checks need no scan. `prepare` derives indexed fields on every write.
+ */
 class DatabaseManager {
-  constructor(dbConfig) {
+  constructor(dbConfig, migrations, prepare = record => record) {
     this.config = dbConfig;
+    this.migrations = migrations;
+    this.prepare = prepare;
+    this.connection = null;
   }
 
   open() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.config.name, this.config.version);
+    if (!this.connection) {
+      this.connection = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.config.name, this.config.version);
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains(this.config.store)) {
-          const keyPath = this.config.store === 'localLyrics' ? 'songId' : 'key';
-          db.createObjectStore(this.config.store, { keyPath });
-        }
-      };
+        request.onupgradeneeded = (event) => this.migrate(event);
 
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let another context upgrade the schema; the next call reconnects
+          db.onversionchange = () => {
+            db.close();
+            this.connection = null;
+          };
+          db.onclose = () => {
+            this.connection = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => {
+          this.connection = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.connection;
+  }
+
+  migrate(event) {
+    const db = event.target.result;
+    const transaction = event.target.transaction;
+    // Opening without a version (as the popup does) leaves an empty database at version 1
+    const fromVersion = db.objectStoreNames.contains(this.config.store) ? event.oldVersion : 0;
+
+    for (let version = fromVersion + 1; version <= this.config.version; version++) {
+      this.migrations[version]?.(db, transaction);
+    }
+  }
+
+  adjustUsage(transaction, deltaBytes) {
+    const meta = transaction.objectStore(META_STORE);
+    const request = meta.get(USAGE_KEY);
+    request.onsuccess = () => {
+      const bytes = Math.max(0, (request.result?.bytes || 0) + deltaBytes);
+      meta.put({ key: USAGE_KEY, bytes });
+    };
   }
 
   async get(key) {
     const db = await this.open();
+    const { lru } = this.config;
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction([this.config.store], "readonly");
+      const transaction = db.transaction([this.config.store], lru ? "readwrite" : "readonly");
       const store = transaction.objectStore(this.config.store);
       const request = store.get(key);
 
-      request.onsuccess = () => resolve(request.result);
+      request.onsuccess = () => {
+        const record = request.result;
+        if (lru && record && Date.now() - record.lastAccess > CONFIG.CACHE_QUOTA.ACCESS_UPDATE_INTERVAL_MS) {
+          store.put({ ...record, lastAccess: Date.now() });
+        }
+        resolve(record);
+      };
       request.onerror = () => reject(request.error);
     });
   }
 
   async set(data) {
     const db = await this.open();
-    const transaction = db.transaction([this.config.store], "readwrite");
+    if (!this.config.lru) {
+      const transaction = db.transaction([this.config.store], "readwrite");
+      const store = transaction.objectStore(this.config.store);
+      store.put(this.prepare(data));
+      return;
+    }
+
+    const record = withUsage(this.prepare(data));
+    const transaction = db.transaction([this.config.store, META_STORE], "readwrite");
     const store = transaction.objectStore(this.config.store);
-    store.put(data);
+    const previous = store.get(record[store.keyPath]);
+    previous.onsuccess = () => {
+      store.put(record);
+      this.adjustUsage(transaction, record.size - (previous.result?.size || 0));
+    };
+    return transactionDone(transaction);
   }
 
   async delete(key) {
+    if (this.config.lru) {
+      await this.deleteMany([key]);
+      return;
+    }
+
     const db = await this.open();
     const transaction = db.transaction([this.config.store], "readwrite");
     const store = transaction.objectStore(this.config.store);
     store.delete(key);
   }
 
+  /**
+   * Deletes records of an LRU store in one transaction.
+   * @returns {Promise<number>} bytes freed.
+   */
+  async deleteMany(keys) {
+    const db = await this.open();
+    const transaction = db.transaction([this.config.store, META_STORE], "readwrite");
+    const store = transaction.objectStore(this.config.store);
+    let freedBytes = 0;
+    let pending = keys.length;
+
+    keys.forEach(key => {
+      const request = store.get(key);
+      request.onsuccess = () => {
+        if (request.result) {
+          freedBytes += request.result.size || 0;
+          store.delete(key);
+        }
+        if (--pending === 0) {
+          this.adjustUsage(transaction, -freedBytes);
+        }
+      };
+    });
+
+    await transactionDone(transaction);
+    return freedBytes;
+  }
+
   async deleteExpired(expirationTimeMs) {
     const db = await this.open();
+    const { lru } = this.config;
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction([this.config.store], "readwrite");
+      const transaction = db.transaction(lru ? [this.config.store, META_STORE] : [this.config.store], "readwrite");
       const store = transaction.objectStore(this.config.store);
-      const request = store.openCursor();
-
       const now = Date.now();
+      // The timestamp index only visits expired records; records without a timestamp never expire
+      const request = lru
+        ? store.index('timestamp').openCursor(IDBKeyRange.upperBound(now - expirationTimeMs, true))
+        : store.openCursor();
+
       let deletedCount = 0;
+      let freedBytes = 0;
 
       request.onsuccess = (event) => {
         const cursor = event.target.result;
@@ -69,10 +300,38 @@ class DatabaseManager {
           if (record.timestamp && (now - record.timestamp > expirationTimeMs)) {
             cursor.delete();
             deletedCount++;
+            freedBytes += record.size || 0;
           }
           cursor.continue();
+        } else if (lru && freedBytes > 0) {
+          this.adjustUsage(transaction, -freedBytes);
+        }
+      };
+
+      request.onerror = () => reject(request.error);
+      transactionDone(transaction).then(() => resolve(deletedCount), reject);
+    });
+  }
+
+  /**
+   * The `limit` least recently used records of an LRU store, oldest first.
+   * @returns {Promise<Array<{key: string, lastAccess: number, size: number}>>}
+   */
+  async getLeastRecentlyUsed(limit) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([this.config.store], "readonly");
+      const store = transaction.objectStore(this.config.store);
+      const request = store.index('lastAccess').openCursor();
+      const entries = [];
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor && entries.length < limit) {
+          entries.push({ key: cursor.primaryKey, lastAccess: cursor.key, size: cursor.value.size || 0 });
+          cursor.continue();
         } else {
-          resolve(deletedCount);
+          resolve(entries);
         }
       };
 
@@ -80,6 +339,67 @@ class DatabaseManager {
     });
   }
 
+  /**
+   * Reads several records in one transaction, refreshing their access time
+   * in an LRU store as `get` does.
+   * @returns {Promise<Array<object|undefined>>} records in the order of `keys`.
+   */
+  async getMany(keys) {
+    const db = await this.open();
+    const { lru } = this.config;
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([this.config.store], lru ? "readwrite" : "readonly");
+      const store = transaction.objectStore(this.config.store);
+      const records = new Array(keys.length);
+      const now = Date.now();
+
+      keys.forEach((key, i) => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          const record = request.result;
+          if (lru && record && now - record.lastAccess > CONFIG.CACHE_QUOTA.ACCESS_UPDATE_INTERVAL_MS) {
+            store.put({ ...record, lastAccess: now });
+          }
+          records[i] = record;
+        };
+      });
+
+      transactionDone(transaction).then(() => resolve(records), reject);
+    });
+  }
+
+  /**
+   * Writes several records in one transaction.
+   */
+  async setMany(records) {
+    const db = await this.open();
+    if (!this.config.lru) {
+      const transaction = db.transaction([this.config.store], "readwrite");
+      const store = transaction.objectStore(this.config.store);
+      records.forEach(record => store.put(this.prepare(record)));
+      return transactionDone(transaction);
+    }
+
+    const transaction = db.transaction([this.config.store, META_STORE], "readwrite");
+    const store = transaction.objectStore(this.config.store);
+    let deltaBytes = 0;
+    let pending = records.length;
+
+    records.forEach((data) => {
+      const record = withUsage(this.prepare(data));
+      const previous = store.get(record[store.keyPath]);
+      previous.onsuccess = () => {
+        store.put(record);
+        deltaBytes += record.size - (previous.result?.size || 0);
+        if (--pending === 0) {
+          this.adjustUsage(transaction, deltaBytes);
+        }
+      };
+    });
+
+    return transactionDone(transaction);
+  }
+
   async getAll() {
     const db = await this.open();
     return new Promise((resolve, reject) => {
@@ -92,11 +412,48 @@ class DatabaseManager {
     });
   }
 
+  /**
+   * Up to `limit` records in key order, starting after `afterKey` (or at the
+   * first record when it is null), for reading a store in bounded pieces.
+   */
+  async getPage(afterKey, limit) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([this.config.store], "readonly");
+      const store = transaction.objectStore(this.config.store);
+      const range = afterKey == null ? null : IDBKeyRange.lowerBound(afterKey, true);
+      const request = store.getAll(range, limit);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getAllFromIndex(indexName, query) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([this.config.store], "readonly");
+      const store = transaction.objectStore(this.config.store);
+      const request = store.index(indexName).getAll(query);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   async clear() {
     const db = await this.open();
-    const transaction = db.transaction([this.config.store], "readwrite");
-    const store = transaction.objectStore(this.config.store);
-    store.clear();
+    if (!this.config.lru) {
+      const transaction = db.transaction([this.config.store], "readwrite");
+      const store = transaction.objectStore(this.config.store);
+      store.clear();
+      return;
+    }
+
+    const transaction = db.transaction([this.config.store, META_STORE], "readwrite");
+    transaction.objectStore(this.config.store).clear();
+    transaction.objectStore(META_STORE).put({ key: USAGE_KEY, bytes: 0 });
+    return transactionDone(transaction);
   }
 
   async estimateSize() {
@@ -107,10 +464,9 @@ class DatabaseManager {
         return;
       }
 
-      const transaction = db.transaction([this.config.store], "readonly");
+      const transaction = db.transaction(this.config.lru ? [this.config.store, META_STORE] : [this.config.store], "readonly");
       const store = transaction.objectStore(this.config.store);
 
-      const getAllRequest = store.getAll();
       const countRequest = store.count();
 
       let sizeKB = 0;
@@ -119,20 +475,28 @@ class DatabaseManager {
 
       const checkCompletion = () => {
         if (++completed === 2) {
-          db.close();
           resolve({ sizeKB, count });
         }
       };
 
-      getAllRequest.onsuccess = () => {
-        const totalBytes = getAllRequest.result.reduce((acc, record) => {
-          return acc + new TextEncoder().encode(JSON.stringify(record)).length;
-        }, 0);
-        sizeKB = totalBytes / 1024;
-        checkCompletion();
-      };
-
-      getAllRequest.onerror = () => reject(getAllRequest.error);
+      if (this.config.lru) {
+        const usageRequest = transaction.objectStore(META_STORE).get(USAGE_KEY);
+        usageRequest.onsuccess = () => {
+          sizeKB = (usageRequest.result?.bytes || 0) / 1024;
+          checkCompletion();
+        };
+        usageRequest.onerror = () => reject(usageRequest.error);
+      } else {
+        const getAllRequest = store.getAll();
+        getAllRequest.onsuccess = () => {
+          const totalBytes = getAllRequest.result.reduce((acc, record) => {
+            return acc + encoder.encode(JSON.stringify(record)).length;
+          }, 0);
+          sizeKB = totalBytes / 1024;
+          checkCompletion();
+        };
+        getAllRequest.onerror = () => reject(getAllRequest.error);
+      }
 
       countRequest.onsuccess = () => {
         count = countRequest.result;
@@ -145,6 +509,11 @@ class DatabaseManager {
 }
 
 // Database instances
-export const lyricsDB = new DatabaseManager(CONFIG.DB.CACHE);
-export const translationsDB = new DatabaseManager(CONFIG.DB.TRANSLATIONS);
-export const localLyricsDB = new DatabaseManager(CONFIG.DB.LOCAL);
+export const lyricsDB = new DatabaseManager(CONFIG.DB.CACHE, MIGRATIONS.CACHE);
+export const translationsDB = new DatabaseManager(CONFIG.DB.TRANSLATIONS, MIGRATIONS.TRANSLATIONS);
+export const localLyricsDB = new DatabaseManager(CONFIG.DB.LOCAL, MIGRATIONS.LOCAL, withSearchKeys);
+export const pinnedDB = new DatabaseManager(CONFIG.DB.PINNED, MIGRATIONS.PINNED);
+export const aliasDB = new DatabaseManager(CONFIG.DB.ALIASES, MIGRATIONS.ALIASES);
+export const translationMemoryDB = new DatabaseManager(CONFIG.DB.TRANSLATION_MEMORY, MIGRATIONS.TRANSLATION_MEMORY);
+export const negativeLyricsDB = new DatabaseManager(CONFIG.DB.NEGATIVE, MIGRATIONS.NEGATIVE);
+export const songOffsetsDB = new DatabaseManager(CONFIG.DB.OFFSETS, MIGRATIONS.OFFSETS);
@@ -0,0 +1,77 @@
+// ==================================================================================================
+// NEGATIVE CACHE
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { negativeLyricsDB } from './database.js';
+
+/**
+ * Remembers songs no provider had lyrics for, so replaying an instrumental
+ * does not ask every provider again. Each further miss doubles how long the
+ * answer is trusted. Entries are tied to the provider setup they were
+ * recorded under and are ignored once the provider order, the custom KPoe URL
+ * or a custom provider definition changes.
+ */
+class NegativeCache {
+  fingerprint(settings) {
+    const customProviders = (Array.isArray(settings.customProviders) ? settings.customProviders : [])
+      .map(def => [def?.id, def?.urlTemplate, def?.format, def?.payloadPath].map(value => value || '').join(' '))
+      .join(',');
+    return `${settings.lyricsProviderOrder || ''}|${settings.customKpoeUrl || ''}|${customProviders}`;
+  }
+
+  /**
+   * The miss history of `key` under the current provider setup, expired or
+   * not. Entries from another setup are dropped.
+   */
+  async getEntry(key, settings) {
+    const entry = await negativeLyricsDB.get(key);
+    if (!entry) return null;
+
+    if (entry.fingerprint !== this.fingerprint(settings)) {
+      await negativeLyricsDB.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * @returns {Promise<object|null>} the entry if `key` is known to have no
+   *   lyrics right now.
+   */
+  async getActive(key, settings) {
+    const entry = await this.getEntry(key, settings);
+    return entry && entry.expiresAt > Date.now() ? entry : null;
+  }
+
+  async recordMiss(key, settings) {
+    const { BASE_TTL_MS, MAX_TTL_MS } = CONFIG.NEGATIVE_CACHE;
+    const previous = await this.getEntry(key, settings);
+    const misses = (previous?.misses || 0) + 1;
+    const now = Date.now();
+
+    const entry = {
+      key,
+      misses,
+      fingerprint: this.fingerprint(settings),
+      timestamp: now,
+      expiresAt: now + Math.min(BASE_TTL_MS * 2 ** (misses - 1), MAX_TTL_MS)
+    };
+    await negativeLyricsDB.set(entry);
+    return entry;
+  }
+
+  forget(key) {
+    return negativeLyricsDB.delete(key);
+  }
+
+  deleteExpired() {
+    return negativeLyricsDB.deleteExpired(CONFIG.NEGATIVE_CACHE.MAX_TTL_MS);
+  }
+
+  clear() {
+    return negativeLyricsDB.clear();
+  }
+}
+
+export const negativeCache = new NegativeCache();
@@ -0,0 +1,167 @@
+// ==================================================================================================
+// PINNED LIBRARY
+// ==================================================================================================
+
+import { pinnedDB } from './database.js';
+import { SongMatcher } from '../utils/songMatcher.js';
+
+const ALBUM_KEY_PREFIX = 'album:';
+
+function summarizeSongInfo(songInfo) {
+  const { title, artist, album, duration, isrc, videoId, appleId, tidalId } = songInfo;
+  return { title, artist, album, duration, isrc, videoId, appleId, tidalId };
+}
+
+/**
+ * Lyrics, translations and romanizations the user chose to keep offline. They
+ * live in their own database, so cache expiry and "Reset cache" never touch
+ * them. Song records are keyed by the lyrics cache key and hold every
+ * translation made for them; album records are rules that pin each song of the
+ * album as soon as its lyrics are fetched.
+ */
+class PinnedLibrary {
+  isAlbumKey(key) {
+    return typeof key === 'string' && key.startsWith(ALBUM_KEY_PREFIX);
+  }
+
+  getAlbumKey(songInfo) {
+    const mainArtist = SongMatcher.splitArtists(songInfo.artist)[0] || '';
+    return `${ALBUM_KEY_PREFIX}${SongMatcher.fold(songInfo.album)} - ${mainArtist}`;
+  }
+
+  async getSong(cacheKey) {
+    const record = await pinnedDB.get(cacheKey);
+    return record?.type === 'song' ? record : null;
+  }
+
+  async getAlbum(songInfo) {
+    if (!songInfo?.album) return null;
+    const record = await pinnedDB.get(this.getAlbumKey(songInfo));
+    return record?.type === 'album' ? record : null;
+  }
+
+  async getLyrics(cacheKey) {
+    const record = await this.getSong(cacheKey);
+    return record ? { lyrics: record.lyrics, version: record.version } : null;
+  }
+
+  async getTranslation(cacheKey, translatedKey, originalVersion) {
+    const record = await this.getSong(cacheKey);
+    const entry = record?.translations?.[translatedKey];
+    return entry && entry.originalVersion === originalVersion ? entry.translatedLyrics : null;
+  }
+
+  /**
+   * Stores freshly fetched lyrics if the song is pinned, directly or through
+   * its album, or pins it when `pin` is set. Returns whether it was stored.
+   */
+  async saveLyrics(cacheKey, songInfo, result, { pin = false } = {}) {
+    const existing = await this.getSong(cacheKey);
+    const album = existing ? null : await this.getAlbum(songInfo);
+    if (!existing && !album && !pin) return false;
+
+    const now = Date.now();
+    await pinnedDB.set({
+      key: cacheKey,
+      type: 'song',
+      songInfo: existing?.songInfo || summarizeSongInfo(songInfo),
+      // Pinning a song by hand keeps it when its album is unpinned
+      albumKey: pin ? null : (existing ? existing.albumKey : album.key),
+      lyrics: result.lyrics,
+      version: result.version,
+      translations: existing?.translations || {},
+      pinnedAt: existing?.pinnedAt || now,
+      updatedAt: now
+    });
+    return true;
+  }
+
+  /**
+   * @param {{action: string, targetLang: string, translatedLyrics: object, originalVersion: *}} entry
+   */
+  async saveTranslation(cacheKey, translatedKey, entry) {
+    const record = await this.getSong(cacheKey);
+    if (!record) return;
+
+    record.translations = { ...record.translations, [translatedKey]: entry };
+    record.updatedAt = Date.now();
+    await pinnedDB.set(record);
+  }
+
+  /**
+   * Drops translations made for an older version of the lyrics.
+   */
+  async pruneTranslations(cacheKey) {
+    const record = await this.getSong(cacheKey);
+    if (!record) return;
+
+    record.translations = Object.fromEntries(
+      Object.entries(record.translations || {}).filter(([, entry]) => entry.originalVersion === record.version)
+    );
+    await pinnedDB.set(record);
+  }
+
+  async pinAlbum(songInfo) {
+    const key = this.getAlbumKey(songInfo);
+    const existing = await pinnedDB.get(key);
+    if (existing) return existing;
+
+    const record = {
+      key,
+      type: 'album',
+      album: songInfo.album,
+      artist: songInfo.artist,
+      pinnedAt: Date.now()
+    };
+    await pinnedDB.set(record);
+    return record;
+  }
+
+  /**
+   * Unpins a song, or an album together with the songs it pinned.
+   */
+  async remove(key) {
+    if (this.isAlbumKey(key)) {
+      const songs = await this.getAlbumSongs(key);
+      await Promise.all(songs.map(song => pinnedDB.delete(song.key)));
+    }
+    await pinnedDB.delete(key);
+  }
+
+  async getAlbumSongs(albumKey) {
+    return pinnedDB.getAllFromIndex('albumKey', albumKey);
+  }
+
+  async getStatus(cacheKey, songInfo) {
+    const [song, album] = await Promise.all([this.getSong(cacheKey), this.getAlbum(songInfo)]);
+    return {
+      songKey: song ? song.key : null,
+      albumKey: album ? album.key : null
+    };
+  }
+
+  async list() {
+    const records = await pinnedDB.getAll();
+    return records.map(record => record.type === 'album'
+      ? {
+        key: record.key,
+        type: 'album',
+        album: record.album,
+        artist: record.artist,
+        pinnedAt: record.pinnedAt,
+        songCount: records.filter(other => other.albumKey === record.key).length
+      }
+      : {
+        key: record.key,
+        type: 'song',
+        songInfo: record.songInfo,
+        albumKey: record.albumKey,
+        lyricsType: record.lyrics?.type || null,
+        translationCount: Object.keys(record.translations || {}).length,
+        pinnedAt: record.pinnedAt,
+        updatedAt: record.updatedAt
+      });
+  }
+}
+
+export const pinnedLibrary = new PinnedLibrary();
@@ -0,0 +1,203 @@
+// ==================================================================================================
+// PROVIDER HEALTH
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { SettingsManager } from './settings.js';
+
+const pBrowser = typeof browser !== 'undefined'
+  ? browser
+  : (typeof chrome !== 'undefined' ? chrome : null);
+
+function createEntry() {
+  return {
+    successes: 0,
+    failures: 0,
+    latencies: [],
+    lastSuccess: 0,
+    lastFailure: null,
+    consecutiveFailures: 0,
+    trips: 0,
+    cooldownUntil: 0
+  };
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+/**
+ * Success/latency history per KPoe mirror (keyed by base URL) and per
+ * top-level provider (keyed by provider name), persisted in storage.local so
+ * it outlives the service worker. A source that fails FAILURE_THRESHOLD times
+ * in a row is skipped until its cool-down expires; the cool-down doubles on
+ * every consecutive trip.
+ */
+class ProviderHealthRegistry {
+  constructor() {
+    this.entries = null;
+    this.loadPromise = null;
+    this.saveTimer = null;
+  }
+
+  async load() {
+    if (this.entries) return this.entries;
+    if (!this.loadPromise) {
+      const { STORAGE_KEY } = CONFIG.PROVIDER_HEALTH;
+      this.loadPromise = SettingsManager.get({ [STORAGE_KEY]: {} })
+        .then(result => {
+          this.entries = { ...(result?.[STORAGE_KEY] || {}), ...(this.entries || {}) };
+          return this.entries;
+        })
+        .catch(error => {
+          console.warn('Provider health: failed to load stats', error);
+          this.entries = this.entries || {};
+          return this.entries;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      if (!pBrowser?.storage?.local?.set) return;
+      pBrowser.storage.local.set({ [CONFIG.PROVIDER_HEALTH.STORAGE_KEY]: this.entries }, () => {
+        if (pBrowser.runtime?.lastError) {
+          console.warn('Provider health: failed to save stats', pBrowser.runtime.lastError);
+        }
+      });
+    }, CONFIG.PROVIDER_HEALTH.SAVE_DELAY_MS);
+  }
+
+  async getEntry(id) {
+    const entries = await this.load();
+    if (!entries[id]) entries[id] = createEntry();
+    return entries[id];
+  }
+
+  pushLatency(entry, latencyMs) {
+    entry.latencies.push(Math.round(latencyMs));
+    const overflow = entry.latencies.length - CONFIG.PROVIDER_HEALTH.LATENCY_SAMPLES;
+    if (overflow > 0) entry.latencies.splice(0, overflow);
+  }
+
+  async recordSuccess(id, latencyMs) {
+    const entry = await this.getEntry(id);
+    entry.successes++;
+    entry.lastSuccess = Date.now();
+    entry.consecutiveFailures = 0;
+    entry.trips = 0;
+    entry.cooldownUntil = 0;
+    this.pushLatency(entry, latencyMs);
+    this.scheduleSave();
+  }
+
+  async recordFailure(id, latencyMs, reason) {
+    const { FAILURE_THRESHOLD, COOLDOWN_MS, MAX_COOLDOWN_MS } = CONFIG.PROVIDER_HEALTH;
+    const entry = await this.getEntry(id);
+    const now = Date.now();
+
+    entry.failures++;
+    entry.consecutiveFailures++;
+    entry.lastFailure = { time: now, reason: String(reason || 'Unknown error') };
+    this.pushLatency(entry, latencyMs);
+
+    // Also re-trips on the single probe allowed once a cool-down has expired
+    if (entry.consecutiveFailures >= FAILURE_THRESHOLD) {
+      const cooldown = Math.min(COOLDOWN_MS * 2 ** entry.trips, MAX_COOLDOWN_MS);
+      entry.trips++;
+      entry.cooldownUntil = now + cooldown;
+      console.warn(`Provider health: skipping ${id} for ${Math.round(cooldown / 1000)}s after ${entry.consecutiveFailures} failures`);
+    }
+
+    this.scheduleSave();
+  }
+
+  /**
+   * Runs `request` (a function resolving to a fetch Response) and records the
+   * outcome for `id`. Server errors, 429s, network errors and timeouts count as
+   * failures; any other response means the source is up, lyrics or not. An
+   * abort that did not come from `timeoutSignal` (another provider already won)
+   * is not recorded.
+   */
+  async track(id, request, timeoutSignal = null) {
+    const startedAt = Date.now();
+    try {
+      const response = await request();
+      const latency = Date.now() - startedAt;
+      if (response.status >= 500 || response.status === 429) {
+        this.recordFailure(id, latency, `HTTP ${response.status}`);
+      } else {
+        this.recordSuccess(id, latency);
+      }
+      return response;
+    } catch (error) {
+      const latency = Date.now() - startedAt;
+      if (error.name !== 'AbortError') {
+        this.recordFailure(id, latency, error.message);
+      } else if (timeoutSignal?.aborted) {
+        this.recordFailure(id, latency, 'Timed out');
+      }
+      throw error;
+    }
+  }
+
+  async isAvailable(id) {
+    const entries = await this.load();
+    return !entries[id] || (entries[id].cooldownUntil || 0) <= Date.now();
+  }
+
+  /**
+   * Returns `ids` with cooling-down sources removed, most recently successful
+   * first and the original order otherwise. If every source is cooling down,
+   * only the one whose cool-down ends first is returned.
+   */
+  async prioritize(ids) {
+    const entries = await this.load();
+    const now = Date.now();
+    const available = ids.filter(id => !entries[id] || (entries[id].cooldownUntil || 0) <= now);
+
+    if (!available.length) {
+      const soonest = [...ids].sort((a, b) => entries[a].cooldownUntil - entries[b].cooldownUntil)[0];
+      return soonest ? [soonest] : [];
+    }
+
+    return available
+      .map((id, index) => ({ id, index, lastSuccess: entries[id]?.lastSuccess || 0 }))
+      .sort((a, b) => (b.lastSuccess - a.lastSuccess) || (a.index - b.index))
+      .map(item => item.id);
+  }
+
+  async getStats() {
+    const entries = await this.load();
+    const now = Date.now();
+
+    return Object.entries(entries).map(([id, entry]) => {
+      const sorted = [...entry.latencies].sort((a, b) => a - b);
+      const total = entry.successes + entry.failures;
+      return {
+        id,
+        total,
+        successRate: total ? entry.successes / total : null,
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        lastSuccess: entry.lastSuccess || null,
+        lastFailure: entry.lastFailure,
+        consecutiveFailures: entry.consecutiveFailures,
+        cooldownUntil: entry.cooldownUntil > now ? entry.cooldownUntil : null
+      };
+    });
+  }
+
+  async reset() {
+    await this.load();
+    this.entries = {};
+    this.scheduleSave();
+  }
+}
+
+export const providerHealth = new ProviderHealthRegistry();
@@ -17,8 +17,13 @@ export class SettingsManager {
       'lyricsProviderOrder': 'kpoe,unison,lrclib',
       'lyricsSourceOrder': 'apple,lyricsplus,qq,musixmatch,musixmatch-word',
       'customKpoeUrl': '',
+      'customProviders': [],
       'cacheStrategy': 'aggressive',
-      'preferUnisonVideo': false
+      'preferUnisonVideo': false,
+      'mergeProviderResults': false,
+      'autoCorrectTiming': false,
+      'appleMusicTTMLBypass': false,
+      'prefetchQueueCount': 0
     });
   }
 
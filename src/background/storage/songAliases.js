@@ -0,0 +1,81 @@
+// ==================================================================================================
+// SONG ALIASES
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { aliasDB } from './database.js';
+
+/**
+ * Maps every identity key a song has been seen under to the one key its
+ * lyrics are cached under, so the same recording played on another platform
+ * or with a slightly different duration reuses the cached lyrics. Aliases are
+ * identity data, not cache, and survive cache expiry and resets.
+ */
+class SongAliases {
+  constructor() {
+    // Resolved keys per identity key list, in least recently used order; a
+    // link never changes once written
+    this.resolved = new Map();
+  }
+
+  /**
+   * Returns the cache key for a song's identity keys. Going from the
+   * strongest key, the first one that holds data according to `isStored`, or
+   * is aliased to another key, decides; with neither, the strongest key is
+   * used. Every unlinked key is then linked to it; existing links are kept so
+   * keys never move between records.
+   * @param {string[]} keys - SongIdentity.getKeys output.
+   * @param {(key: string) => Promise<boolean>} isStored
+   */
+  async resolve(keys, isStored) {
+    const memoKey = keys.join('\n');
+    if (this.resolved.has(memoKey)) {
+      const cacheKey = this.resolved.get(memoKey);
+      this.remember(memoKey, cacheKey);
+      return cacheKey;
+    }
+
+    let cacheKey = null;
+    for (const key of keys) {
+      if (await isStored(key)) {
+        cacheKey = key;
+        break;
+      }
+      const alias = await aliasDB.get(key);
+      if (alias) {
+        cacheKey = alias.cacheKey;
+        break;
+      }
+    }
+    cacheKey = cacheKey || keys[0];
+
+    await this.link(keys, cacheKey);
+    this.remember(memoKey, cacheKey);
+    return cacheKey;
+  }
+
+  remember(memoKey, cacheKey) {
+    this.resolved.delete(memoKey);
+    this.resolved.set(memoKey, cacheKey);
+    if (this.resolved.size > CONFIG.IDENTITY.ALIAS_MEMO_SIZE) {
+      this.resolved.delete(this.resolved.keys().next().value);
+    }
+  }
+
+  /**
+   * Forgets resolved keys, for when the alias table was replaced wholesale.
+   */
+  clear() {
+    this.resolved.clear();
+  }
+
+  async link(keys, cacheKey) {
+    for (const key of keys) {
+      if (key === cacheKey) continue;
+      if (await aliasDB.get(key)) continue;
+      await aliasDB.set({ key, cacheKey, timestamp: Date.now() });
+    }
+  }
+}
+
+export const songAliases = new SongAliases();
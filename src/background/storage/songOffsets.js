@@ -0,0 +1,54 @@
+// ==================================================================================================
+// SONG OFFSETS
+// ==================================================================================================
+
+import { songOffsetsDB } from './database.js';
+import { SongIdentity } from '../utils/songIdentity.js';
+
+/**
+ * Remembers the lyrics offset the user chose for a recording. Offsets are
+ * kept under the song's strongest identity key and never follow aliases: a
+ * music video and its album track share lyrics but rarely their timing.
+ * Songs without an entry use the global `lyricOffset` setting.
+ */
+class SongOffsets {
+  key(songInfo) {
+    return SongIdentity.getKeys(songInfo)[0];
+  }
+
+  /**
+   * @returns {Promise<number|null>} the offset in ms, or null if the song
+   *   has none of its own.
+   */
+  async get(songInfo) {
+    const entry = await songOffsetsDB.get(this.key(songInfo));
+    return Number.isFinite(entry?.offsetMs) ? entry.offsetMs : null;
+  }
+
+  /**
+   * Stores the song's offset; null removes it so the song follows the global
+   * setting again. Anything else that is not a finite number is rejected.
+   */
+  async set(songInfo, offsetMs) {
+    const key = this.key(songInfo);
+    if (offsetMs === null || offsetMs === undefined) {
+      await songOffsetsDB.delete(key);
+      return;
+    }
+
+    const value = Number(offsetMs);
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid lyrics offset: ${offsetMs}`);
+    }
+
+    await songOffsetsDB.set({
+      key,
+      offsetMs: Math.round(value),
+      title: songInfo.title,
+      artist: songInfo.artist,
+      timestamp: Date.now()
+    });
+  }
+}
+
+export const songOffsets = new SongOffsets();
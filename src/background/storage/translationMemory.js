@@ -0,0 +1,127 @@
+// ==================================================================================================
+// TRANSLATION MEMORY
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { translationMemoryDB } from './database.js';
+import { SettingsManager } from './settings.js';
+
+const pBrowser = typeof browser !== 'undefined'
+  ? browser
+  : (typeof chrome !== 'undefined' ? chrome : null);
+
+// Case, width and spacing differences between releases of a song should not cost a lookup
+function normalizeLine(text) {
+  return String(text || '').normalize('NFKC').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Translated lines keyed by normalized source line, target language and
+ * provider, shared by every song, so lines repeated across remixes, live
+ * versions and edits are translated once. Hit and miss counts are kept in
+ * storage.local for the settings page.
+ */
+class TranslationMemory {
+  constructor() {
+    this.stats = null;
+    this.loadPromise = null;
+    this.saveTimer = null;
+  }
+
+  createKey(text, targetLang, provider) {
+    return `${provider}\n${String(targetLang).toLowerCase()}\n${normalizeLine(text)}`;
+  }
+
+  async loadStats() {
+    if (this.stats) return this.stats;
+    if (!this.loadPromise) {
+      const { STATS_KEY } = CONFIG.TRANSLATION_MEMORY;
+      this.loadPromise = SettingsManager.get({ [STATS_KEY]: { hits: 0, misses: 0 } })
+        .then(result => {
+          this.stats = this.stats || { hits: 0, misses: 0, ...(result?.[STATS_KEY] || {}) };
+          return this.stats;
+        })
+        .catch(error => {
+          console.warn('Translation memory: failed to load stats', error);
+          this.stats = this.stats || { hits: 0, misses: 0 };
+          return this.stats;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      if (!pBrowser?.storage?.local?.set) return;
+      pBrowser.storage.local.set({ [CONFIG.TRANSLATION_MEMORY.STATS_KEY]: this.stats }, () => {
+        if (pBrowser.runtime?.lastError) {
+          console.warn('Translation memory: failed to save stats', pBrowser.runtime.lastError);
+        }
+      });
+    }, CONFIG.TRANSLATION_MEMORY.SAVE_DELAY_MS);
+  }
+
+  /**
+   * Looks lines up in the memory and counts the hits and misses.
+   * @param {string[]} lines - Source lines.
+   * @returns {Promise<Array<string|null>>} the remembered translation of each line, or null.
+   */
+  async lookup(lines, targetLang, provider) {
+    const records = await translationMemoryDB.getMany(lines.map(line => this.createKey(line, targetLang, provider)));
+    const translations = records.map(record => record ? record.translation : null);
+
+    // Blank lines are never remembered, so they count as neither
+    const counted = lines.filter(line => normalizeLine(line)).length;
+    const hits = translations.filter(translation => translation !== null).length;
+    const stats = await this.loadStats();
+    stats.hits += hits;
+    stats.misses += counted - hits;
+    this.scheduleSave();
+
+    return translations;
+  }
+
+  /**
+   * Remembers a provider's translations of `lines`. Empty lines and empty
+   * translations are not stored.
+   */
+  async remember(lines, translations, targetLang, provider) {
+    const now = Date.now();
+    const records = lines
+      .map((line, i) => ({
+        key: this.createKey(line, targetLang, provider),
+        source: line,
+        translation: translations[i],
+        targetLang,
+        provider,
+        timestamp: now
+      }))
+      .filter(record => normalizeLine(record.source) && typeof record.translation === 'string' && record.translation.trim());
+
+    if (records.length > 0) {
+      await translationMemoryDB.setMany(records);
+    }
+  }
+
+  async getStats() {
+    const [stats, usage] = await Promise.all([this.loadStats(), translationMemoryDB.estimateSize()]);
+    const lookups = stats.hits + stats.misses;
+    return {
+      entries: usage.count,
+      sizeKB: usage.sizeKB,
+      hits: stats.hits,
+      misses: stats.misses,
+      hitRate: lookups ? stats.hits / lookups : 0
+    };
+  }
+
+  async purge() {
+    await translationMemoryDB.clear();
+    this.stats = { hits: 0, misses: 0 };
+    this.scheduleSave();
+  }
+}
+
+export const translationMemory = new TranslationMemory();
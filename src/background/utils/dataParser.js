@@ -2,7 +2,15 @@
 // DATA PARSERS
 // ==================================================================================================
 
-import { parseSyncedLyrics, parseAppleTTML } from '../../lib/parser.js';
+import { parseSyncedLyrics, parseAppleTTML, parseSRT, parseWebVTT, parseASS, v1Tov2 } from '../../lib/parser.js';
+
+const TEXT_FORMAT_PARSERS = {
+  lrc: parseSyncedLyrics,
+  ttml: parseAppleTTML,
+  srt: parseSRT,
+  vtt: parseWebVTT,
+  ass: parseASS
+};
 
 export class DataParser {
   static parseKPoeFormat(data) {
@@ -59,8 +67,80 @@ export class DataParser {
     };
   }
 
+  /**
+   * Turns lyrics as the content scripts hold them (line times in seconds,
+   * translations and romanizations merged in) back into KPoe v2.
+   * @param {object} lyrics - Lyrics in the parseKPoeFormat shape.
+   * @param {string} [translationLang] - Language of merged-in translations.
+   */
+  static toKPoeFormat(lyrics, translationLang = '') {
+    const toSyllable = (syl, text = syl.text) => ({
+      time: Number(syl.time || 0),
+      duration: Number(syl.duration || 0),
+      text: text || '',
+      ...(syl.isBackground ? { isBackground: true } : {})
+    });
+
+    return {
+      type: lyrics.type,
+      metadata: lyrics.metadata || {},
+      ignoreSponsorblock: lyrics.ignoreSponsorblock || undefined,
+      lyrics: (lyrics.data || []).map(line => {
+        const syllabus = line.syllabus || [];
+        const item = {
+          time: Math.round(Number(line.startTime || 0) * 1000),
+          duration: Math.round(Number(line.duration || 0) * 1000),
+          text: line.text || '',
+          syllabus: syllabus.map(syl => toSyllable(syl)),
+          element: Array.isArray(line.element) ? { key: '', songPart: '', singer: '' } : line.element
+        };
+
+        if (line.translatedText) {
+          item.translation = { lang: translationLang, text: line.translatedText };
+        } else if (line.translation) {
+          item.translation = line.translation;
+        }
+
+        if (syllabus.some(syl => syl.romanizedText)) {
+          const romanized = syllabus.map(syl => toSyllable(syl, syl.romanizedText || syl.text));
+          item.transliteration = {
+            lang: '',
+            text: line.romanizedText || romanized.map(syl => syl.text).join(''),
+            syllabus: romanized.map(({ isBackground, ...syl }) => syl)
+          };
+        } else if (line.romanizedText) {
+          item.transliteration = { lang: '', text: line.romanizedText };
+        }
+
+        return item;
+      })
+    };
+  }
+
   static parseLRCLibFormat(data) {
-    if (!data.syncedLyrics) return null;
+    const metadata = {
+      title: data.trackName,
+      artist: data.artistName,
+      album: data.albumName,
+      duration: data.duration,
+      source: "LRCLIB"
+    };
+
+    if (!data.syncedLyrics) {
+      const plainLines = (data.plainLyrics || '').split('\n').filter(l => l.trim());
+      if (plainLines.length === 0) return null;
+
+      return {
+        type: 'Plain',
+        data: plainLines.map(text => ({
+          text: text.trim(),
+          startTime: 0,
+          endTime: 0,
+          duration: 0
+        })),
+        metadata
+      };
+    }
 
     const timeRegex = /^\[(\d{2}):(\d{2})\.(\d{2,3})\](.*)/;
     const lines = data.syncedLyrics.split('\n');
@@ -94,13 +174,7 @@ export class DataParser {
     return {
       type: 'Line',
       data: parsedLines,
-      metadata: {
-        title: data.trackName,
-        artist: data.artistName,
-        album: data.albumName,
-        duration: data.duration,
-        source: "LRCLIB"
-      }
+      metadata
     };
   }
 
@@ -136,6 +210,53 @@ export class DataParser {
     };
   }
 
+  /**
+   * Parses the payload of a user-defined provider.
+   * @param {*} payload - Parsed JSON (kpoe) or raw text (lrc, ttml, srt, vtt, ass, plain).
+   * @param {string} format - One of 'kpoe', 'lrc', 'ttml', 'srt', 'vtt', 'ass', 'plain'.
+   * @param {string} source - Provider name reported in metadata.source.
+   */
+  static parseCustomFormat(payload, format, source) {
+    if (payload == null || payload === '') return null;
+
+    if (format === 'kpoe') {
+      let kpoeData = typeof payload === 'string' ? JSON.parse(payload) : payload;
+      if (kpoeData?.lyrics?.[0]?.isLineEnding !== undefined) {
+        kpoeData = v1Tov2(kpoeData);
+      }
+      if (!kpoeData?.lyrics?.length) return null;
+
+      return this.parseKPoeFormat({
+        ...kpoeData,
+        metadata: { ...kpoeData.metadata, source: kpoeData.metadata?.source || source }
+      });
+    }
+
+    if (typeof payload !== 'string') return null;
+
+    if (TEXT_FORMAT_PARSERS[format]) {
+      const kpoeData = TEXT_FORMAT_PARSERS[format](payload);
+      if (!kpoeData?.lyrics?.length) return null;
+
+      kpoeData.metadata = { ...kpoeData.metadata, source };
+      return this.parseKPoeFormat(kpoeData);
+    }
+
+    const lines = payload.split(/\r?\n/).filter(l => l.trim());
+    if (lines.length === 0) return null;
+
+    return {
+      type: 'Plain',
+      data: lines.map(text => ({
+        text: text.trim(),
+        startTime: 0,
+        endTime: 0,
+        duration: 0
+      })),
+      metadata: { source }
+    };
+  }
+
   static parseUnisonFormat(data) {
     if (!data?.lyrics) return null;
 
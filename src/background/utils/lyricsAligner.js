@@ -0,0 +1,158 @@
+// ==================================================================================================
+// LYRICS ALIGNER
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { LyricsScorer } from './lyricsScorer.js';
+
+const TEMPO_TAGS = {
+  spedUp: /\b(?:sped[\s-]*up|speed[\s-]*up|nightcore)\b/i,
+  slowed: /\b(?:slowed|slow(?:ed)?[\s-]*down|daycore)\b/i
+};
+
+function round(value) {
+  return Number(value.toFixed(3));
+}
+
+/**
+ * Lines drift when a provider's lyrics were timed against another edit of
+ * the song: a music video with an intro, a sped-up or slowed version. A
+ * duration difference alone does not say where the extra time is, so a
+ * correction is only made with evidence for it: a tempo tag in the title, or
+ * lyrics that run past the end of the song.
+ */
+export class LyricsAligner {
+  /**
+   * @returns {'spedUp'|'slowed'|null} the tempo variant a title is tagged as.
+   */
+  static tempoVariant(title) {
+    if (!title) return null;
+    return Object.keys(TEMPO_TAGS).find(variant => TEMPO_TAGS[variant].test(title)) || null;
+  }
+
+  /**
+   * Length in seconds of the recording the lyrics were timed against, from
+   * `metadata.duration` (seconds, as LRCLIB gives it) or the TTML
+   * `totalDuration` ("225.5s", "3:45.5", "1:03:45"). 0 if unknown.
+   */
+  static getSourceDuration(lyrics) {
+    const { duration, totalDuration } = lyrics.metadata || {};
+    if (Number(duration) > 0) return Number(duration);
+    if (typeof totalDuration === 'number') return totalDuration > 0 ? totalDuration : 0;
+    if (!totalDuration) return 0;
+
+    const value = String(totalDuration).trim();
+    const plain = value.match(/^(\d+(?:\.\d+)?)(ms|s)?$/);
+    if (plain) return Number(plain[1]) / (plain[2] === 'ms' ? 1000 : 1);
+
+    const clock = value.match(/^(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)$/);
+    if (clock) return Number(clock[1] || 0) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+    return 0;
+  }
+
+  /**
+   * Playback rate of the song relative to the lyrics' recording, when the
+   * song is tagged as a tempo variant the lyrics are not. Without the source
+   * duration, sped-up lyrics that run past the song's end are compressed to
+   * end with it.
+   * @returns {{rate: number, basis: string}|null}
+   */
+  static detectTempo(lyrics, songInfo, sourceDuration) {
+    const variant = this.tempoVariant(songInfo.title);
+    if (!variant || variant === this.tempoVariant(lyrics.metadata?.title)) return null;
+
+    const { TOLERANCE_S, MIN_TEMPO_CHANGE, MAX_TEMPO_CHANGE } = CONFIG.ALIGNMENT;
+    const songDuration = Number(songInfo.duration);
+    let rate = null;
+    let basis = 'duration';
+
+    if (sourceDuration) {
+      rate = sourceDuration / songDuration;
+    } else {
+      const { end } = LyricsScorer.getTimedSpan(lyrics);
+      if (variant !== 'spedUp' || end <= songDuration + TOLERANCE_S) return null;
+      rate = end / songDuration;
+      basis = 'span';
+    }
+
+    const change = variant === 'spedUp' ? rate - 1 : 1 - rate;
+    if (change < MIN_TEMPO_CHANGE || change > MAX_TEMPO_CHANGE) return null;
+    return { rate: Number(rate.toFixed(4)), basis, variant };
+  }
+
+  /**
+   * The shift for lyrics timed against a longer edit with extra time before
+   * the first line, such as a music video intro. Only lyrics that run past
+   * the end of the song as they are, and that start late enough for the whole
+   * difference to have come before them, are shifted. A song longer than the
+   * lyrics' recording is never shifted: its extra time may as well be an
+   * outro or a longer bridge.
+   * @returns {number|null} offset in seconds, always negative.
+   */
+  static detectOffset(lyrics, songInfo, sourceDuration) {
+    if (!sourceDuration) return null;
+
+    const { TOLERANCE_S, MAX_OFFSET_S } = CONFIG.ALIGNMENT;
+    const songDuration = Number(songInfo.duration);
+    const offset = songDuration - sourceDuration;
+    if (offset >= -TOLERANCE_S || offset < -MAX_OFFSET_S) return null;
+
+    const { start, end } = LyricsScorer.getTimedSpan(lyrics);
+    if (end <= songDuration + TOLERANCE_S) return null;
+    if (start + offset < 0 || end + offset > songDuration + TOLERANCE_S) return null;
+    return round(offset);
+  }
+
+  /**
+   * Works out how the lyrics' times map onto the song playing.
+   * @param {object} lyrics - Lyrics in the DataParser shape.
+   * @param {object} songInfo - The song the lyrics are for.
+   * @returns {{rate: number, offsetMs: number, basis: string, sourceDuration: number|null, variant?: string}|null}
+   *   null when the lyrics already fit. A line at `t` ms belongs at
+   *   `t / rate + offsetMs`.
+   */
+  static detect(lyrics, songInfo) {
+    if (!(Number(songInfo?.duration) > 0) || !lyrics?.data?.length || !LyricsScorer.isTimed(lyrics)) return null;
+
+    const sourceDuration = this.getSourceDuration(lyrics);
+    const tempo = this.detectTempo(lyrics, songInfo, sourceDuration);
+    if (tempo) {
+      return { rate: tempo.rate, offsetMs: 0, basis: tempo.basis, sourceDuration: sourceDuration || null, variant: tempo.variant };
+    }
+
+    const offset = this.detectOffset(lyrics, songInfo, sourceDuration);
+    if (offset !== null) {
+      return { rate: 1, offsetMs: Math.round(offset * 1000), basis: 'duration', sourceDuration };
+    }
+    return null;
+  }
+
+  /**
+   * Returns a copy of the lyrics with line and syllable times corrected and
+   * the correction recorded as `metadata.timingCorrection`.
+   */
+  static apply(lyrics, correction) {
+    const { rate, offsetMs } = correction;
+    const toMs = ms => Math.max(0, Math.round(ms / rate + offsetMs));
+
+    return {
+      ...lyrics,
+      data: lyrics.data.map(line => {
+        const startTime = toMs(Number(line.startTime || 0) * 1000) / 1000;
+        const duration = round(Number(line.duration || 0) / rate);
+        return {
+          ...line,
+          startTime,
+          duration,
+          endTime: round(startTime + duration),
+          syllabus: (line.syllabus || []).map(syl => ({
+            ...syl,
+            time: toMs(Number(syl.time || 0)),
+            duration: Math.round(Number(syl.duration || 0) / rate)
+          }))
+        };
+      }),
+      metadata: { ...lyrics.metadata, timingCorrection: correction }
+    };
+  }
+}
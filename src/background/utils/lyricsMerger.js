@@ -0,0 +1,134 @@
+// ==================================================================================================
+// LYRICS MERGER
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { Utilities } from './utilities.js';
+import { SongMatcher } from './songMatcher.js';
+
+function isTimed(line) {
+  return Number(line.endTime) > Number(line.startTime);
+}
+
+function timeOverlap(a, b) {
+  const overlap = Math.min(a.endTime, b.endTime) - Math.max(a.startTime, b.startTime);
+  const shorter = Math.min(a.endTime - a.startTime, b.endTime - b.startTime);
+  return shorter > 0 ? Math.max(0, overlap) / shorter : 0;
+}
+
+function getSongParts(lyrics) {
+  const songParts = lyrics.metadata?.songParts;
+  return Array.isArray(songParts) && songParts.some(part => part?.name) ? songParts : null;
+}
+
+export class LyricsMerger {
+  /**
+   * Confidence that `secondary` is the same sung line as `primary`: mostly
+   * text similarity, with time overlap as supporting evidence when both
+   * lines are timed.
+   */
+  static alignmentScore(primaryLine, secondaryLine) {
+    const textScore = SongMatcher.similarity(
+      SongMatcher.fold(primaryLine.text),
+      SongMatcher.fold(secondaryLine.text)
+    );
+    if (textScore < CONFIG.MERGE.MIN_TEXT_SIMILARITY) return 0;
+    if (!isTimed(primaryLine) || !isTimed(secondaryLine)) return textScore;
+
+    const { TEXT_WEIGHT } = CONFIG.MERGE;
+    return textScore * TEXT_WEIGHT + timeOverlap(primaryLine, secondaryLine) * (1 - TEXT_WEIGHT);
+  }
+
+  /**
+   * Maps every primary line index to the index of its best secondary line,
+   * or -1. Lines are matched in order so repeated choruses pair with the
+   * right repetition.
+   */
+  static alignLines(primary, secondary) {
+    const { SEARCH_WINDOW } = CONFIG.MERGE;
+    const alignment = new Array(primary.data.length).fill(-1);
+    let cursor = 0;
+
+    primary.data.forEach((line, index) => {
+      if (!line.text) return;
+
+      let bestIndex = -1;
+      let bestScore = 0;
+      const end = Math.min(secondary.data.length, cursor + SEARCH_WINDOW);
+      for (let j = cursor; j < end; j++) {
+        const score = this.alignmentScore(line, secondary.data[j]);
+        if (score > bestScore) {
+          bestScore = score;
+          bestIndex = j;
+        }
+      }
+
+      if (bestIndex !== -1) {
+        alignment[index] = bestIndex;
+        cursor = bestIndex + 1;
+      }
+    });
+
+    return alignment;
+  }
+
+  /**
+   * Copies translations, romanizations and song parts from `secondaries` onto a
+   * copy of `primary`. Data the primary already has is never overwritten, and
+   * earlier secondaries take precedence over later ones.
+   * @returns {{lyrics: object, grafted: object}} grafted counts lines per field
+   *   and lists the sources that contributed.
+   */
+  static merge(primary, secondaries) {
+    const merged = JSON.parse(JSON.stringify(primary));
+    const grafted = { translation: 0, romanizedText: 0, songParts: 0, sources: [] };
+
+    for (const secondary of secondaries) {
+      if (Utilities.isEmptyLyrics(secondary) || secondary === primary) continue;
+
+      const alignment = this.alignLines(merged, secondary);
+      const secondaryParts = getSongParts(secondary);
+      const takeSongParts = secondaryParts && !getSongParts(merged);
+      const partIndexByLine = new Array(merged.data.length).fill(null);
+      let contributed = false;
+
+      merged.data.forEach((line, index) => {
+        const match = alignment[index] === -1 ? null : secondary.data[alignment[index]];
+        if (!match) return;
+
+        if (!line.translation && match.translation?.text) {
+          line.translation = { ...match.translation };
+          grafted.translation++;
+          contributed = true;
+        }
+
+        if (!line.romanizedText && match.romanizedText) {
+          line.romanizedText = match.romanizedText;
+          grafted.romanizedText++;
+          contributed = true;
+        }
+
+        if (takeSongParts && match.element?.songPartIndex != null) {
+          partIndexByLine[index] = match.element.songPartIndex;
+          grafted.songParts++;
+          contributed = true;
+        }
+      });
+
+      if (partIndexByLine.some(partIndex => partIndex !== null)) {
+        merged.metadata = { ...merged.metadata, songParts: secondaryParts };
+        // Unmatched lines stay in the part of the line before them
+        let lastPartIndex = partIndexByLine.find(partIndex => partIndex !== null);
+        merged.data.forEach((line, index) => {
+          if (partIndexByLine[index] !== null) lastPartIndex = partIndexByLine[index];
+          const element = Array.isArray(line.element) || !line.element ? {} : line.element;
+          line.element = { ...element, songPartIndex: lastPartIndex };
+        });
+      }
+
+      if (contributed) grafted.sources.push(secondary.metadata?.source || 'unknown');
+    }
+
+    return { lyrics: merged, grafted };
+  }
+}
@@ -0,0 +1,121 @@
+// ==================================================================================================
+// LYRICS SCORER
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { Utilities } from './utilities.js';
+import { SongMatcher } from './songMatcher.js';
+
+const SYNC_TYPE_SCORES = { WORD: 1, LINE: 0.7 };
+
+function round(value) {
+  return value === null ? null : Number(value.toFixed(3));
+}
+
+export class LyricsScorer {
+  static syncScore(lyrics) {
+    return SYNC_TYPE_SCORES[(lyrics.type || '').toUpperCase()] ?? 0.3;
+  }
+
+  static isTimed(lyrics) {
+    return this.syncScore(lyrics) > 0.3 && lyrics.data.some(line => line.startTime > 0);
+  }
+
+  static getTimedSpan(lyrics) {
+    const lines = lyrics.data.filter(line => line.text);
+    if (!lines.length) return { start: 0, end: 0, lineCount: 0 };
+    const start = Math.min(...lines.map(line => Number(line.startTime) || 0));
+    const end = Math.max(...lines.map(line => Number(line.endTime) || Number(line.startTime) || 0));
+    return { start, end, lineCount: lines.length };
+  }
+
+  /**
+   * 1 while the last line ends before the song does (plus tolerance), falling
+   * to 0 when it overshoots by MAX_OVERSHOOT_S. Lyrics running past the end of
+   * the track belong to a longer edit or another song.
+   */
+  static durationFitScore(span, duration) {
+    const { DURATION_TOLERANCE_S, MAX_OVERSHOOT_S } = CONFIG.LYRICS_SCORING;
+    const overshoot = span.end - duration - DURATION_TOLERANCE_S;
+    if (overshoot <= 0) return 1;
+    return Math.max(0, 1 - overshoot / (MAX_OVERSHOOT_S - DURATION_TOLERANCE_S));
+  }
+
+  /**
+   * Share of the song between the first and last line, full marks from
+   * MIN_COVERAGE up. Intros and outros make full coverage rare.
+   */
+  static coverageScore(span, duration) {
+    const coverage = Math.max(0, span.end - span.start) / duration;
+    return Math.min(1, coverage / CONFIG.LYRICS_SCORING.MIN_COVERAGE);
+  }
+
+  /**
+   * Lines per minute over the sung span. A handful of lines stretched over the
+   * whole song, or hundreds packed together, point at broken timing.
+   */
+  static densityScore(span) {
+    const { MIN_LINES_PER_MINUTE, MAX_LINES_PER_MINUTE } = CONFIG.LYRICS_SCORING;
+    const minutes = (span.end - span.start) / 60;
+    if (minutes <= 0) return 0;
+
+    const perMinute = span.lineCount / minutes;
+    if (perMinute < MIN_LINES_PER_MINUTE) return perMinute / MIN_LINES_PER_MINUTE;
+    if (perMinute > MAX_LINES_PER_MINUTE) return Math.max(0, 1 - (perMinute - MAX_LINES_PER_MINUTE) / MAX_LINES_PER_MINUTE);
+    return 1;
+  }
+
+  static metadataScore(lyrics, songInfo) {
+    const { title, artist } = lyrics.metadata || {};
+    if (!title || !songInfo?.title) return null;
+
+    const candidate = { title, artist };
+    const titleScore = SongMatcher.titleScore(candidate, songInfo);
+    if (!artist || !songInfo.artist) return titleScore;
+    return titleScore * 0.6 + SongMatcher.artistScore(candidate, songInfo) * 0.4;
+  }
+
+  static extrasScore(lyrics) {
+    return lyrics.data.some(line => line.translation || line.romanizedText) ? 1 : 0;
+  }
+
+  /**
+   * Scores how likely `lyrics` are correct, well-timed lyrics for `songInfo`.
+   * Components that cannot be judged (no duration, untimed lyrics, no
+   * metadata) are left out and the remaining weights renormalized.
+   * @returns {{total: number, components: object}} total is between 0 and 1.
+   */
+  static score(lyrics, songInfo = {}) {
+    if (Utilities.isEmptyLyrics(lyrics)) {
+      return { total: 0, components: null };
+    }
+
+    const duration = Number(songInfo.duration) || 0;
+    const timed = this.isTimed(lyrics);
+    const span = timed ? this.getTimedSpan(lyrics) : null;
+
+    const components = {
+      sync: this.syncScore(lyrics),
+      durationFit: timed && duration ? this.durationFitScore(span, duration) : null,
+      coverage: timed && duration ? this.coverageScore(span, duration) : null,
+      density: timed ? this.densityScore(span) : null,
+      metadata: this.metadataScore(lyrics, songInfo),
+      extras: this.extrasScore(lyrics)
+    };
+
+    const { WEIGHTS } = CONFIG.LYRICS_SCORING;
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [name, value] of Object.entries(components)) {
+      if (value === null) continue;
+      weighted += value * WEIGHTS[name];
+      totalWeight += WEIGHTS[name];
+    }
+
+    for (const name of Object.keys(components)) {
+      components[name] = round(components[name]);
+    }
+
+    return { total: round(weighted / totalWeight), components };
+  }
+}
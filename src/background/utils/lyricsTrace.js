@@ -0,0 +1,125 @@
+// ==================================================================================================
+// LYRICS TRACE
+// ==================================================================================================
+
+import { Utilities } from './utilities.js';
+
+const SONG_FIELDS = ['title', 'artist', 'album', 'duration', 'isrc', 'videoId', 'appleId', 'tidalId', 'isVideo'];
+
+function describeLyrics(lyrics) {
+  if (Utilities.isEmptyLyrics(lyrics)) return null;
+  return {
+    type: lyrics.type || null,
+    lineCount: lyrics.data.length,
+    source: lyrics.metadata?.source || null
+  };
+}
+
+/**
+ * Records how one lyrics request was answered: which caches were checked,
+ * which providers were asked and how each did, and why the winner won.
+ * Serialized with the result so the renderer can show it and users can
+ * attach it to bug reports.
+ */
+export class LyricsTrace {
+  constructor(songInfo, cacheKey, forceReload = false) {
+    this.startedAt = Date.now();
+    this.song = Object.fromEntries(SONG_FIELDS
+      .filter(field => songInfo?.[field] !== undefined && songInfo[field] !== '')
+      .map(field => [field, songInfo[field]]));
+    this.cacheKey = cacheKey;
+    this.forceReload = Boolean(forceReload);
+    this.outcome = null;
+    this.result = null;
+    this.cacheHit = null;
+    this.embedded = null;
+    this.providerOrder = [];
+    this.skippedProviders = [];
+    this.providers = {};
+    this.winner = null;
+    this.merged = null;
+    this.timingCorrection = null;
+    this.localMatch = null;
+    this.youtubeCaptions = null;
+    this.pinnedFallback = null;
+    this.negativeCache = null;
+    this.error = null;
+  }
+
+  /**
+   * Marks the request as answered from a cache. `original` is the trace of
+   * the fetch that produced the cached lyrics, when one was kept.
+   */
+  recordCacheHit(source, original = null) {
+    this.cacheHit = { source, original };
+  }
+
+  setProviderOrder(order, available) {
+    this.providerOrder = [...available];
+    this.skippedProviders = order.filter(provider => !available.includes(provider));
+  }
+
+  /**
+   * Wraps a provider fetch so its latency and outcome are recorded: 'ok',
+   * 'empty' when the provider answered without lyrics, 'timeout' or 'error'
+   * when it threw (see ProviderError), 'aborted' when another provider won
+   * first. Errors resolve to null, as the race expects.
+   */
+  timeProvider(provider, promise, signal) {
+    const startedAt = Date.now();
+    const record = (status, details = {}) => {
+      this.providers[provider] = {
+        status: signal?.aborted ? 'aborted' : status,
+        latencyMs: Date.now() - startedAt,
+        ...details
+      };
+    };
+
+    return promise.then(
+      (lyrics) => {
+        const description = describeLyrics(lyrics);
+        record(description ? 'ok' : 'empty', description || {});
+        return lyrics;
+      },
+      (error) => {
+        record(error?.kind === 'timeout' ? 'timeout' : 'error', { error: error?.message || String(error) });
+        return null;
+      }
+    );
+  }
+
+  recordRace(race) {
+    for (const [provider, score] of Object.entries(race.scores)) {
+      if (this.providers[provider]) this.providers[provider].score = score;
+    }
+    // An early exit aborts providers that may not have settled yet
+    for (const provider of this.providerOrder) {
+      if (!this.providers[provider]) this.providers[provider] = { status: 'aborted' };
+    }
+    this.winner = race.provider
+      ? { provider: race.provider, reason: race.earlyExit ? 'early-exit' : 'best-score' }
+      : null;
+  }
+
+  recordLocalMatch(candidateCount, best) {
+    this.localMatch = best
+      ? { candidates: candidateCount, matched: true, score: best.match.score, songId: best.item.songId, details: best.match }
+      : { candidates: candidateCount, matched: false };
+  }
+
+  finish(outcome, lyrics = null) {
+    this.outcome = outcome;
+    this.result = describeLyrics(lyrics);
+    this.durationMs = Date.now() - this.startedAt;
+    return this;
+  }
+
+  fail(error) {
+    this.error = error?.message || String(error);
+    return this.finish('not-found');
+  }
+
+  toJSON() {
+    return JSON.parse(JSON.stringify({ ...this }));
+  }
+}
@@ -0,0 +1,44 @@
+// ==================================================================================================
+// PROVIDER ERROR
+// ==================================================================================================
+
+/**
+ * Thrown by a lyrics service when its provider could not answer: a network
+ * error, a timeout or an error response. A service that resolves with null
+ * did get an answer, and the answer was that there are no lyrics.
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} provider - Provider name, or base URL for a KPoe mirror.
+   * @param {'timeout'|'error'} kind
+   * @param {string} message
+   */
+  constructor(provider, kind, message) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.kind = kind;
+  }
+
+  /**
+   * A response that is neither lyrics nor a 404 "not found".
+   */
+  static fromResponse(provider, response) {
+    return new ProviderError(provider, 'error', `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`);
+  }
+
+  /**
+   * Classifies an error thrown while fetching. An abort is a timeout when
+   * `timeoutSignal` fired; any other abort came from the caller (another
+   * provider already won) and is neither an answer nor a failure, so null is
+   * returned.
+   * @returns {ProviderError|null}
+   */
+  static fromFetchError(provider, error, timeoutSignal = null) {
+    if (error instanceof ProviderError) return error;
+    if (error?.name === 'AbortError') {
+      return timeoutSignal?.aborted ? new ProviderError(provider, 'timeout', 'Timed out') : null;
+    }
+    return new ProviderError(provider, 'error', error?.message || String(error));
+  }
+}
@@ -0,0 +1,55 @@
+// ==================================================================================================
+// SONG IDENTITY
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { SongMatcher } from './songMatcher.js';
+
+const PLATFORM_ID_FIELDS = [
+  ['yt', 'videoId'],
+  ['am', 'appleId'],
+  ['tidal', 'tidalId']
+];
+
+export class SongIdentity {
+  /**
+   * Duration buckets a song falls in. A duration in the upper half of its
+   * bucket also claims the next one, so songs up to half a bucket apart
+   * always share one.
+   */
+  static durationBuckets(duration) {
+    const seconds = Number(duration) || 0;
+    if (!seconds) return ['?'];
+
+    const { DURATION_BUCKET_S } = CONFIG.IDENTITY;
+    return [...new Set([
+      Math.floor(seconds / DURATION_BUCKET_S),
+      Math.round(seconds / DURATION_BUCKET_S)
+    ])];
+  }
+
+  /**
+   * Every key that identifies the recording, strongest first: ISRC, then
+   * platform IDs, then normalized title and main artist with bucketed duration.
+   * The first key is the one a song is cached under when nothing else is known.
+   */
+  static getKeys(songInfo) {
+    const keys = [];
+
+    if (songInfo.isrc) {
+      keys.push(`isrc:${String(songInfo.isrc).trim().toUpperCase()}`);
+    }
+
+    for (const [prefix, field] of PLATFORM_ID_FIELDS) {
+      if (songInfo[field]) keys.push(`${prefix}:${songInfo[field]}`);
+    }
+
+    const title = SongMatcher.normalizeTitle(songInfo.title, songInfo.artist);
+    const mainArtist = SongMatcher.splitArtists(songInfo.artist)[0] || '';
+    for (const bucket of this.durationBuckets(songInfo.duration)) {
+      keys.push(`meta:${title} - ${mainArtist} - ${bucket}`);
+    }
+
+    return keys;
+  }
+}
@@ -0,0 +1,217 @@
+// ==================================================================================================
+// SONG MATCHER
+// ==================================================================================================
+
+import { CONFIG } from '../constants.js';
+import { Utilities } from './utilities.js';
+
+// Bracketed tags that never change which recording a title refers to
+const NOISE_TAG_REGEX = /\s*[([【]\s*(?:official\s*)?(?:music\s*)?(?:video|audio|mv|m\/v|lyrics?(?:\s*video)?|visuali[sz]er|performance\s*video|explicit|clean|hd|hq|4k|remaster(?:ed)?(?:\s*\d{4})?(?:\s*version)?|\d{4}\s*remaster(?:ed)?|mono|stereo)\s*[)\]】]/giu;
+const DASH_REMASTER_REGEX = /\s+-\s+(?:\d{4}\s+)?remaster(?:ed)?(?:\s+\d{4})?(?:\s+version)?\s*$/iu;
+const FEAT_BRACKET_REGEX = /\s*[([【]\s*(?:feat\.?|ft\.?|featuring|with)\s+[^)\]】]*[)\]】]/giu;
+const FEAT_TRAILING_REGEX = /\s+(?:feat\.?|ft\.?|featuring)\s+.*$/iu;
+const ANY_BRACKET_REGEX = /\s*[([【][^)\]】]*[)\]】]/gu;
+const TOPIC_SUFFIX_REGEX = /\s+-\s+topic\s*$/iu;
+// Words marking a different recording of the same song
+const VERSION_TAGS = {
+  remix: /\b(?:remix|rmx)\b/iu,
+  live: /\blive\b/iu,
+  acoustic: /\b(?:acoustic|unplugged)\b/iu,
+  spedUp: /\b(?:sped[\s-]*up|speed[\s-]*up|nightcore)\b/iu,
+  slowed: /\b(?:slowed|daycore)\b/iu,
+  instrumental: /\b(?:instrumental|inst\.?|karaoke|off\s*vocal)\b/iu
+};
+const ARTIST_SEPARATOR_REGEX = /\s*(?:,|&|、|\/|;|\s+x\s+|\s+and\s+|\s+feat\.?\s+|\s+ft\.?\s+|\s+featuring\s+|\s+with\s+)\s*/iu;
+
+export class SongMatcher {
+  /**
+   * Folds case, width and diacritics and collapses punctuation so two spellings
+   * of the same text compare equal.
+   */
+  static fold(text) {
+    return (text || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .normalize('NFC')
+      .replace(/[\u2018\u2019`\u00b4]/g, "'")
+      .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  static normalizeTitle(title, artist = '') {
+    let cleaned = (title || '').normalize('NFKC');
+
+    cleaned = cleaned
+      .replace(FEAT_BRACKET_REGEX, '')
+      .replace(NOISE_TAG_REGEX, '')
+      .replace(DASH_REMASTER_REGEX, '')
+      .replace(FEAT_TRAILING_REGEX, '');
+
+    // "Title - Artist" and "Artist - Title" uploads
+    const foldedArtist = this.fold(this.stripTopicSuffix(artist));
+    if (foldedArtist) {
+      const parts = cleaned.split(/\s+[-–—]\s+/);
+      if (parts.length > 1) {
+        if (this.fold(parts[parts.length - 1]) === foldedArtist) parts.pop();
+        else if (this.fold(parts[0]) === foldedArtist) parts.shift();
+        cleaned = parts.join(' - ');
+      }
+    }
+
+    return this.fold(cleaned);
+  }
+
+  /**
+   * Title with every bracketed group removed, used as a looser second pass.
+   */
+  static baseTitle(title, artist = '') {
+    return this.normalizeTitle((title || '').normalize('NFKC').replace(ANY_BRACKET_REGEX, ''), artist);
+  }
+
+  static stripTopicSuffix(artist) {
+    return (artist || '').replace(TOPIC_SUFFIX_REGEX, '');
+  }
+
+  static splitArtists(artist) {
+    return this.stripTopicSuffix((artist || '').normalize('NFKC'))
+      .replace(FEAT_BRACKET_REGEX, ' & ')
+      .split(ARTIST_SEPARATOR_REGEX)
+      .map(name => this.fold(name))
+      .filter(Boolean);
+  }
+
+  /**
+   * Exact lookup keys for a song, one per credited artist, built from the
+   * loosest title form with spaces and apostrophes dropped, so "NewJeans" and
+   * "New Jeans" share a key. Songs sharing a key are candidates for `score`.
+   */
+  static searchKeys(songInfo) {
+    const compact = text => text.replace(/[\s']/g, '');
+    const title = compact(this.baseTitle(songInfo?.title, songInfo?.artist));
+    if (!title) return [];
+    return this.splitArtists(songInfo.artist).map(artist => `${title} - ${compact(artist)}`);
+  }
+
+  /**
+   * The version tags (remix, live, acoustic, sped up, slowed, instrumental)
+   * a title carries, sorted.
+   */
+  static versionTags(title) {
+    const text = (title || '').normalize('NFKC');
+    return Object.keys(VERSION_TAGS).filter(tag => VERSION_TAGS[tag].test(text));
+  }
+
+  static similarity(a, b) {
+    if (!a && !b) return 1;
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const maxLength = Math.max(a.length, b.length);
+    return 1 - Utilities.levenshteinDistance(a, b) / maxLength;
+  }
+
+  static titleScore(candidate, target) {
+    const full = this.similarity(
+      this.normalizeTitle(candidate.title, candidate.artist),
+      this.normalizeTitle(target.title, target.artist)
+    );
+    if (full === 1) return 1;
+
+    // Matching only after dropping every bracket (remix, version, ...) is weaker evidence
+    const base = this.similarity(
+      this.baseTitle(candidate.title, candidate.artist),
+      this.baseTitle(target.title, target.artist)
+    );
+    return Math.max(full, base * CONFIG.MATCHING.BASE_TITLE_PENALTY);
+  }
+
+  static artistScore(candidate, target) {
+    const candidateArtists = this.splitArtists(candidate.artist);
+    const targetArtists = this.splitArtists(target.artist);
+    if (!candidateArtists.length || !targetArtists.length) return 0;
+
+    const whole = this.similarity(candidateArtists.join(' '), targetArtists.join(' '));
+
+    // Best pairing for every target artist; the first credited artist counts double
+    let weighted = 0;
+    let totalWeight = 0;
+    targetArtists.forEach((name, index) => {
+      const weight = index === 0 ? 2 : 1;
+      const best = Math.max(...candidateArtists.map(other => this.similarity(name, other)));
+      weighted += best * weight;
+      totalWeight += weight;
+    });
+
+    return Math.max(whole, weighted / totalWeight);
+  }
+
+  /**
+   * Returns 1 when both durations agree within tolerance, decays linearly to 0
+   * at MAX_DURATION_DIFF_S, and null when either side has no duration.
+   */
+  static durationScore(candidate, target) {
+    const a = Number(candidate.duration) || 0;
+    const b = Number(target.duration) || 0;
+    if (!a || !b) return null;
+
+    const { DURATION_TOLERANCE_S, MAX_DURATION_DIFF_S } = CONFIG.MATCHING;
+    const diff = Math.abs(a - b);
+    if (diff <= DURATION_TOLERANCE_S) return 1;
+    if (diff >= MAX_DURATION_DIFF_S) return 0;
+    return 1 - (diff - DURATION_TOLERANCE_S) / (MAX_DURATION_DIFF_S - DURATION_TOLERANCE_S);
+  }
+
+  /**
+   * Scores how likely `candidate` is the same recording as `target`.
+   * Both take the songInfo shape ({ title, artist, duration }).
+   * @returns {{score: number, title: number, artist: number, duration: number|null, versionMismatch: boolean}}
+   */
+  static score(candidate, target) {
+    const { WEIGHTS } = CONFIG.MATCHING;
+    const title = this.titleScore(candidate, target);
+    const artist = this.artistScore(candidate, target);
+    const duration = this.durationScore(candidate, target);
+
+    let score;
+    if (duration === null) {
+      score = (title * WEIGHTS.title + artist * WEIGHTS.artist) / (WEIGHTS.title + WEIGHTS.artist);
+    } else {
+      score = title * WEIGHTS.title + artist * WEIGHTS.artist + duration * WEIGHTS.duration;
+    }
+
+    // A remix or sped-up upload is not the original, however close the names are
+    const versionMismatch = this.versionTags(candidate.title).join() !== this.versionTags(target.title).join();
+    if (versionMismatch) score *= CONFIG.MATCHING.VERSION_MISMATCH_PENALTY;
+
+    // A clearly different length means a different edit, however close the names are
+    if (duration === 0) score = 0;
+
+    return { score, title, artist, duration, versionMismatch };
+  }
+
+  /**
+   * Picks the highest scoring candidate at or above the confidence threshold.
+   * @param {object} target - songInfo being played.
+   * @param {Array} candidates - Items to rank.
+   * @param {Function} getSongInfo - Maps a candidate to its songInfo.
+   * @returns {{item: *, match: object}|null}
+   */
+  static findBestMatch(target, candidates, getSongInfo = item => item, threshold = CONFIG.MATCHING.MIN_CONFIDENCE) {
+    let best = null;
+
+    for (const item of candidates || []) {
+      const info = getSongInfo(item);
+      if (!info) continue;
+
+      const match = this.score(info, target);
+      if (match.score < threshold) continue;
+      if (!best || match.score > best.match.score) {
+        best = { item, match };
+      }
+    }
+
+    return best;
+  }
+}
@@ -69,6 +69,12 @@ function initializeLyricsPlus() {
 
                 // Call the lyrics fetching function with the new song info and new song flag
                 fetchAndDisplayLyrics(songInfo, true);
+                requestUpcomingSongs();
+            }
+
+            // Songs queued after the current one, answered to requestUpcomingSongs
+            if (event.data.type === 'LYPLUS_QUEUE_UPDATED') {
+                prefetchUpcomingSongs(event.data.upcoming);
             }
         }
     });
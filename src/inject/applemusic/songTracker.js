@@ -71,6 +71,22 @@
     }
   }
 
+  function getSongInfo(item) {
+    const attrs = item.attributes;
+    const artworkUrl = attrs.artwork?.url ? attrs.artwork.url.replace('{w}', '800').replace('{h}', '800') : '';
+
+    return {
+      title: attrs.name,
+      artist: attrs.artistName,
+      album: attrs.albumName,
+      duration: (attrs.durationInMillis || 0) / 1000,
+      artwork: artworkUrl,
+      appleId: attrs.playParams.catalogId || attrs.playParams.id,
+      isVideo: attrs.playParams.kind === 'music-videos',
+      lyricsJSON: null
+    };
+  }
+
   async function handleSongChange() {
     if (!mkInstance) return;
 
@@ -81,20 +97,8 @@
     lastProcessedID = item.id;
 
     const attrs = item.attributes;
-    const artworkUrl = attrs.artwork?.url ? attrs.artwork.url.replace('{w}', '800').replace('{h}', '800') : '';
-    const durationSec = (attrs.durationInMillis || 0) / 1000;
     const songId = attrs.playParams.catalogId || attrs.playParams.id;
-
-    const songInfo = {
-      title: attrs.name,
-      artist: attrs.artistName,
-      album: attrs.albumName,
-      duration: durationSec,
-      artwork: artworkUrl,
-      appleId: songId,
-      isVideo: attrs.playParams.kind === 'music-videos',
-      lyricsJSON: null
-    };
+    const songInfo = getSongInfo(item);
 
     const storefront = mkInstance.storefrontId || 'us';
 
@@ -115,6 +119,26 @@
     }, '*');
   }
 
+  function setupQueueListener() {
+    window.addEventListener('message', (event) => {
+      if (!event.data || event.data.type !== 'LYPLUS_GET_QUEUE') return;
+
+      const upcoming = [];
+      try {
+        const queue = mkInstance?.queue;
+        const items = queue?.items || [];
+        for (const item of items.slice((queue?.position ?? items.length) + 1)) {
+          if (upcoming.length >= event.data.count) break;
+          if (!item?.attributes?.playParams || item.id === lastProcessedID) continue;
+          // Apple's own lyrics are only fetched once the song plays
+          upcoming.push({ ...getSongInfo(item), hasEmbeddedLyrics: !!item.attributes.hasLyrics });
+        }
+      } catch (e) { }
+
+      window.postMessage({ type: 'LYPLUS_QUEUE_UPDATED', upcoming }, '*');
+    });
+  }
+
   function setupSeekListener() {
     window.addEventListener('message', (event) => {
       if (!event.data || event.data.type !== 'LYPLUS_SEEK_TO') return;
@@ -171,6 +195,7 @@
     }
 
     setupSeekListener();
+    setupQueueListener();
   }
 
   function waitForMusicKit() {
@@ -165,70 +165,79 @@
             return;
         }
 
+        const domFooter = document.querySelector('div[data-test="left-column-footer-player"]');
+        const finalSongInfo = await resolveSongInfo(trackId, domFooter);
+        if (finalSongInfo) {
+            window.postMessage({
+                type: 'LYPLUS_SONG_CHANGED',
+                songInfo: finalSongInfo
+            }, '*');
+
+            window.postMessage({ type: 'LYPLUS_updateFullScreenAnimatedBg' }, '*');
+        }
+    }
+
+    /**
+     * Builds the song info posted to the extension. The player footer fills in
+     * what the API leaves out, so pass it only for the track that is playing.
+     */
+    async function resolveSongInfo(trackId, domFooter) {
         const songInfo = await fetchTrackMetadata(trackId);
-        if (songInfo) {
-            const domFooter = document.querySelector('div[data-test="left-column-footer-player"]');
-
-            let albumId = songInfo.albumId;
-            let albumName = '';
-            let coverUrl = '';
-
-            // If albumId wasn't in track response, check DOM
-            if (!albumId && domFooter) {
-                const albumEl = domFooter.querySelector('a[href*="/album/"]');
-                if (albumEl) {
-                    const match = albumEl.getAttribute('href').match(/\/album\/(\d+)/);
-                    if (match) albumId = match[1];
-                }
+        if (!songInfo) return null;
+
+        let albumId = songInfo.albumId;
+        let albumName = '';
+        let coverUrl = '';
+
+        // If albumId wasn't in track response, check DOM
+        if (!albumId && domFooter) {
+            const albumEl = domFooter.querySelector('a[href*="/album/"]');
+            if (albumEl) {
+                const match = albumEl.getAttribute('href').match(/\/album\/(\d+)/);
+                if (match) albumId = match[1];
             }
+        }
 
-            // Subrequest for album
-            if (albumId) {
-                const albumData = await fetchAlbumMetadata(albumId);
-                if (albumData) {
-                    albumName = albumData.title || '';
-                    if (albumData.cover) {
-                        const uuid = albumData.cover.replace(/-/g, '/');
-                        coverUrl = `https://resources.tidal.com/images/${uuid}/1280x1280.jpg`;
-                    }
+        // Subrequest for album
+        if (albumId) {
+            const albumData = await fetchAlbumMetadata(albumId);
+            if (albumData) {
+                albumName = albumData.title || '';
+                if (albumData.cover) {
+                    const uuid = albumData.cover.replace(/-/g, '/');
+                    coverUrl = `https://resources.tidal.com/images/${uuid}/1280x1280.jpg`;
                 }
             }
+        }
 
-            if (domFooter) {
-                if (!songInfo.artist || songInfo.artist === 'Unknown Artist') {
-                    const artistEl = domFooter.querySelector('a[data-test="grid-item-detail-text-title-artist"], [data-test="grid-item-detail-text-title-artist"]');
-                    if (artistEl) songInfo.artist = artistEl.textContent.trim();
-                }
+        if (domFooter) {
+            if (!songInfo.artist || songInfo.artist === 'Unknown Artist') {
+                const artistEl = domFooter.querySelector('a[data-test="grid-item-detail-text-title-artist"], [data-test="grid-item-detail-text-title-artist"]');
+                if (artistEl) songInfo.artist = artistEl.textContent.trim();
+            }
 
-                if (!coverUrl) {
-                    const coverEl = domFooter.querySelector('img[data-test="current-media-imagery"], .media-imagery img');
-                    if (coverEl) {
-                        let src = coverEl.src;
-                        if (src.includes('/80x80.jpg')) {
-                            src = src.replace('/80x80.jpg', '/1280x1280.jpg');
-                        }
-                        coverUrl = src;
+            if (!coverUrl) {
+                const coverEl = domFooter.querySelector('img[data-test="current-media-imagery"], .media-imagery img');
+                if (coverEl) {
+                    let src = coverEl.src;
+                    if (src.includes('/80x80.jpg')) {
+                        src = src.replace('/80x80.jpg', '/1280x1280.jpg');
                     }
+                    coverUrl = src;
                 }
             }
-
-            const finalSongInfo = {
-                title: songInfo.title,
-                artist: songInfo.artist,
-                isrc: songInfo.isrc,
-                album: albumName,
-                duration: songInfo.duration,
-                artwork: coverUrl,
-                isVideo: songInfo.isVideo
-            };
-
-            window.postMessage({
-                type: 'LYPLUS_SONG_CHANGED',
-                songInfo: finalSongInfo
-            }, '*');
-
-            window.postMessage({ type: 'LYPLUS_updateFullScreenAnimatedBg' }, '*');
         }
+
+        return {
+            title: songInfo.title,
+            artist: songInfo.artist,
+            isrc: songInfo.isrc,
+            tidalId: trackId,
+            album: albumName,
+            duration: songInfo.duration,
+            artwork: coverUrl,
+            isVideo: songInfo.isVideo
+        };
     }
 
     function checkCurrentTrack() {
@@ -246,6 +255,36 @@
         }
     }
 
+    // Tidal only renders the play queue while its panel is open, so the queue is empty otherwise
+    function getUpcomingTrackIds(count) {
+        const trackIds = [];
+        document.querySelectorAll('[data-test="play-queue"] a[href^="/track/"]').forEach(anchor => {
+            const match = anchor.getAttribute('href').match(/\/track\/(\d+)/);
+            if (match && !trackIds.includes(match[1])) trackIds.push(match[1]);
+        });
+
+        const currentIndex = trackIds.indexOf(currentSongId);
+        // Without the current track there is no telling which entries come next
+        if (currentIndex === -1) return [];
+        return trackIds.slice(currentIndex + 1, currentIndex + 1 + count);
+    }
+
+    function setupQueueListener() {
+        window.addEventListener('message', async (event) => {
+            if (!event.data || event.data.type !== 'LYPLUS_GET_QUEUE') return;
+
+            const upcoming = [];
+            if (tidalAuthToken) {
+                for (const trackId of getUpcomingTrackIds(event.data.count)) {
+                    const songInfo = await resolveSongInfo(trackId, null);
+                    if (songInfo) upcoming.push(songInfo);
+                }
+            }
+
+            window.postMessage({ type: 'LYPLUS_QUEUE_UPDATED', upcoming }, '*');
+        });
+    }
+
     function initObserver() {
         const config = { childList: true, subtree: true, attributes: true, attributeFilter: ['href', 'title'] };
         const observer = new MutationObserver(() => {
@@ -261,6 +300,8 @@
 
     console.log('LYPLUS TIDAL: Tracker injected.');
 
+    setupQueueListener();
+
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', initObserver);
     } else {
@@ -14,6 +14,7 @@
     function init() {
         setupMutationObserver();
         setupSeekListener();
+        setupQueueListener();
         checkForSongChange();
     }
 
@@ -60,6 +61,41 @@
         });
     }
 
+    function setupQueueListener() {
+        window.addEventListener('message', async (event) => {
+            if (!event.data || event.data.type !== 'LYPLUS_GET_QUEUE') return;
+
+            const videoIds = getUpcomingVideoIds(event.data.count);
+            const upcoming = [];
+
+            // Same metadata path as checkForSongChange, so the prefetched cache entries match
+            for (const videoId of videoIds) {
+                const apiData = await fetchMetadataDual(videoId);
+                if (!apiData?.title) continue;
+                upcoming.push({ ...apiData, album: apiData.album || "", isVideo: !apiData.album });
+            }
+
+            window.postMessage({ type: 'LYPLUS_QUEUE_UPDATED', upcoming }, '*');
+        });
+    }
+
+    function getUpcomingVideoIds(count) {
+        const items = Array.from(document.querySelectorAll('ytmusic-player-queue ytmusic-player-queue-item'))
+            .filter(item => !item.closest('#counterpart-renderer'));
+        const currentIndex = items.findIndex(item => item.hasAttribute('selected'));
+        if (currentIndex === -1) return [];
+
+        const videoIds = [];
+        for (const item of items.slice(currentIndex + 1)) {
+            const videoId = item.data?.videoId;
+            if (videoId && videoId !== currentSong.videoId && !videoIds.includes(videoId)) {
+                videoIds.push(videoId);
+            }
+            if (videoIds.length >= count) break;
+        }
+        return videoIds;
+    }
+
     function startTimeUpdater() {
         stopTimeUpdater();
 
@@ -0,0 +1,312 @@
+/**
+ * Writers for KPoe v2 lyrics, the counterpart of parser.js. Every writer
+ * takes the structure the parsers produce; times are in milliseconds.
+ */
+
+const EXPORT_FORMATS = {
+  lrc: { extension: 'lrc', mimeType: 'text/plain' },
+  elrc: { extension: 'lrc', mimeType: 'text/plain' },
+  ttml: { extension: 'ttml', mimeType: 'application/ttml+xml' },
+  srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+  kpoe: { extension: 'json', mimeType: 'application/json' }
+};
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// [mm:ss.xx], the centisecond precision every LRC reader understands
+function formatLrcTime(ms) {
+  const centis = Math.round(Math.max(0, ms) / 10);
+  return `${pad(Math.floor(centis / 6000))}:${pad(Math.floor(centis / 100) % 60)}.${pad(centis % 100)}`;
+}
+
+function formatSrtTime(ms) {
+  const total = Math.round(Math.max(0, ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor(total / 60000) % 60;
+  const seconds = Math.floor(total / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)},${pad(total % 1000, 3)}`;
+}
+
+function formatTtmlTime(ms) {
+  const total = Math.round(Math.max(0, ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor(total / 60000) % 60;
+  const seconds = `${pad(Math.floor(total / 1000) % 60)}.${pad(total % 1000, 3)}`;
+  return hours > 0 ? `${hours}:${pad(minutes)}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * Returns a copy of the lyrics with every time moved by `offsetMs`, clamped
+ * at zero.
+ *
+ * @param {*} lyrics - KPoe v2 lyrics
+ * @param {number} offsetMs - Positive values delay the lyrics.
+ * @returns
+ */
+function shiftLyrics(lyrics, offsetMs) {
+  const copy = JSON.parse(JSON.stringify(lyrics));
+  if (!offsetMs) return copy;
+
+  const shift = (item) => {
+    if (typeof item?.time === 'number') item.time = Math.max(0, item.time + offsetMs);
+  };
+
+  copy.lyrics.forEach(line => {
+    shift(line);
+    (line.syllabus || []).forEach(shift);
+    (line.transliteration?.syllabus || []).forEach(shift);
+  });
+  (copy.metadata?.songParts || []).forEach(shift);
+  return copy;
+}
+
+function getTimedLines(lyrics) {
+  return (lyrics.lyrics || []).filter(line => typeof line.time === 'number' && line.text?.trim());
+}
+
+function getLrcHeader(lyrics, songInfo) {
+  const tags = [
+    ['ti', songInfo.title || lyrics.metadata?.title],
+    ['ar', songInfo.artist],
+    ['al', songInfo.album],
+    ['au', (lyrics.metadata?.songWriters || []).join(', ')]
+  ];
+  return tags.filter(([, value]) => value).map(([tag, value]) => `[${tag}:${value}]`);
+}
+
+/**
+ * Convert KPoe Readable Format to LRC
+ * One `[mm:ss.xx]` line per lyric line, words joined.
+ *
+ * @param {*} lyrics - KPoe v2 lyrics
+ * @param {*} songInfo - Song info for the header tags
+ * @returns
+ */
+function serializeLRC(lyrics, songInfo = {}) {
+  const lines = getTimedLines(lyrics).map(line => `[${formatLrcTime(line.time)}]${line.text.trim()}`);
+  return [...getLrcHeader(lyrics, songInfo), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Convert KPoe Readable Format to enhanced LRC
+ * Each word is preceded by a `<mm:ss.xx>` tag and the line closes with the
+ * end of its last word, the form parseSyncedLyrics reads back. Lines without
+ * words are written as plain LRC lines.
+ *
+ * @param {*} lyrics - KPoe v2 lyrics
+ * @param {*} songInfo - Song info for the header tags
+ * @returns
+ */
+function serializeEnhancedLRC(lyrics, songInfo = {}) {
+  const lines = getTimedLines(lyrics).map(line => {
+    const syllabus = line.syllabus || [];
+    if (syllabus.length === 0) return `[${formatLrcTime(line.time)}]${line.text.trim()}`;
+
+    const words = syllabus.map(syl => `<${formatLrcTime(syl.time)}>${syl.text}`).join('');
+    const last = syllabus[syllabus.length - 1];
+    return `[${formatLrcTime(line.time)}]${words}<${formatLrcTime(last.time + last.duration)}>`;
+  });
+  return [...getLrcHeader(lyrics, songInfo), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Convert KPoe Readable Format to SRT
+ * Every line becomes a cue lasting as long as the line.
+ *
+ * @param {*} lyrics - KPoe v2 lyrics
+ * @returns
+ */
+function serializeSRT(lyrics) {
+  return getTimedLines(lyrics).map((line, index) => [
+    index + 1,
+    `${formatSrtTime(line.time)} --> ${formatSrtTime(line.time + (line.duration || 0))}`,
+    line.text.trim()
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+/**
+ * Writes a run of syllables as Apple TTML spans, grouping consecutive
+ * background syllables in an `x-bg` span. Nothing is written between spans,
+ * as parseAppleTTML appends text following a span to that span.
+ */
+function serializeTtmlSpans(syllabus) {
+  let out = '';
+  for (let i = 0; i < syllabus.length; i++) {
+    const syl = syllabus[i];
+    const span = (s) => `<span begin="${formatTtmlTime(s.time)}" end="${formatTtmlTime(s.time + s.duration)}">${escapeXml(s.text)}</span>`;
+
+    if (!syl.isBackground) {
+      out += span(syl);
+      continue;
+    }
+
+    const group = [];
+    while (i < syllabus.length && syllabus[i].isBackground) group.push(syllabus[i++]);
+    i--;
+    const end = Math.max(...group.map(s => s.time + s.duration));
+    out += `<span ttm:role="x-bg" begin="${formatTtmlTime(group[0].time)}" end="${formatTtmlTime(end)}">${group.map(span).join('')}</span>`;
+  }
+  return out;
+}
+
+/**
+ * Convert KPoe Readable Format to Apple Music's TTML
+ * Writes agents, song parts as `div`s, background vocals as `x-bg` spans and
+ * translations and transliterations in `iTunesMetadata`, so the result
+ * parses back through parseAppleTTML to the same lines.
+ *
+ * @param {*} lyrics - KPoe v2 lyrics
+ * @param {*} songInfo - Song info, for the title when the lyrics have none
+ * @returns
+ */
+function serializeTTML(lyrics, songInfo = {}) {
+  const metadata = lyrics.metadata || {};
+  const timing = lyrics.type === 'Word' ? 'Word' : (lyrics.type === 'Line' ? 'Line' : 'None');
+  const lines = (lyrics.lyrics || []).filter(line => line.text?.trim() || line.syllabus?.length);
+  const songParts = metadata.songParts || [];
+
+  const keyed = lines.map((line, index) => ({ line, key: line.element?.key || `L${index + 1}` }));
+  const partName = (line) => songParts[line.element?.songPartIndex]?.name ?? line.element?.songPart ?? '';
+  const partId = (line) => line.element?.songPartIndex ?? line.element?.songPart ?? '';
+
+  // Consecutive lines of the same song part share a div
+  const divs = [];
+  keyed.forEach(entry => {
+    const current = divs[divs.length - 1];
+    if (current && current.id === partId(entry.line)) current.entries.push(entry);
+    else divs.push({ id: partId(entry.line), name: partName(entry.line), entries: [entry] });
+  });
+
+  const agents = Object.entries(metadata.agents || {}).map(([id, agent]) =>
+    `<ttm:agent type="${escapeXml(agent.type || 'person')}" xml:id="${escapeXml(id)}">` +
+    (agent.name ? `<ttm:name type="full">${escapeXml(agent.name)}</ttm:name>` : '') +
+    `</ttm:agent>`);
+
+  const byLang = (field) => {
+    const groups = new Map();
+    keyed.forEach(({ line, key }) => {
+      const item = line[field];
+      if (!item?.text) return;
+      const lang = item.lang || '';
+      if (!groups.has(lang)) groups.set(lang, []);
+      groups.get(lang).push({ key, item });
+    });
+    return groups;
+  };
+
+  const translations = [...byLang('translation')].map(([lang, items]) =>
+    `<translation type="subtitle"${lang ? ` xml:lang="${escapeXml(lang)}"` : ''}>` +
+    items.map(({ key, item }) => `<text for="${escapeXml(key)}">${escapeXml(item.text)}</text>`).join('') +
+    `</translation>`);
+
+  const transliterations = [...byLang('transliteration')].map(([lang, items]) =>
+    `<transliteration${lang ? ` xml:lang="${escapeXml(lang)}"` : ''}>` +
+    items.map(({ key, item }) => `<text for="${escapeXml(key)}">${item.syllabus?.length
+      ? serializeTtmlSpans(item.syllabus.map(syl => ({ ...syl, isBackground: false })))
+      : escapeXml(item.text)}</text>`).join('') +
+    `</transliteration>`);
+
+  const title = metadata.title || songInfo.title || '';
+  const songWriters = metadata.songWriters || [];
+  const itunesMetadata = [
+    title ? `<ttm:title>${escapeXml(title)}</ttm:title>` : '',
+    translations.length ? `<translations>${translations.join('')}</translations>` : '',
+    transliterations.length ? `<transliterations>${transliterations.join('')}</transliterations>` : '',
+    songWriters.length ? `<songwriters>${songWriters.map(name => `<songwriter>${escapeXml(name)}</songwriter>`).join('')}</songwriters>` : ''
+  ].join('');
+
+  const body = divs.map(div => {
+    const timed = div.entries.filter(({ line }) => typeof line.time === 'number');
+    const divTiming = timed.length && timing !== 'None'
+      ? ` begin="${formatTtmlTime(Math.min(...timed.map(({ line }) => line.time)))}" end="${formatTtmlTime(Math.max(...timed.map(({ line }) => line.time + (line.duration || 0))))}"`
+      : '';
+    const paragraphs = div.entries.map(({ line, key }) => {
+      const attributes = [
+        typeof line.time === 'number' && timing !== 'None'
+          ? `begin="${formatTtmlTime(line.time)}" end="${formatTtmlTime(line.time + (line.duration || 0))}"`
+          : '',
+        `itunes:key="${escapeXml(key)}"`,
+        line.element?.singer ? `ttm:agent="${escapeXml(line.element.singer)}"` : ''
+      ].filter(Boolean).join(' ');
+      const content = timing === 'Word' && line.syllabus?.length
+        ? serializeTtmlSpans(line.syllabus)
+        : escapeXml(line.text);
+      return `      <p ${attributes}>${content}</p>`;
+    });
+    const songPart = div.name ? ` itunes:song-part="${escapeXml(div.name)}"` : '';
+    return `    <div${divTiming}${songPart}>\n${paragraphs.join('\n')}\n    </div>`;
+  });
+
+  const rootLang = metadata.language ? ` xml:lang="${escapeXml(metadata.language)}"` : '';
+  const duration = metadata.totalDuration ? ` dur="${escapeXml(metadata.totalDuration)}"` : '';
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<tt xmlns="http://www.w3.org/ns/ttml" xmlns:itunes="http://music.apple.com/lyric-ttml-internal" xmlns:ttm="http://www.w3.org/ns/ttml#metadata" itunes:timing="${timing}"${rootLang}>`,
+    `  <head>`,
+    `    <metadata>${agents.join('')}<iTunesMetadata xmlns="http://music.apple.com/lyric-ttml-internal">${itunesMetadata}</iTunesMetadata></metadata>`,
+    `  </head>`,
+    `  <body${duration}>`,
+    ...body,
+    `  </body>`,
+    `</tt>`
+  ].join('\n') + '\n';
+}
+
+function serializeKPoe(lyrics) {
+  return JSON.stringify(lyrics, null, 2);
+}
+
+/**
+ * Serializes lyrics to one of EXPORT_FORMATS.
+ *
+ * @param {*} lyrics - KPoe v2 lyrics
+ * @param {string} format - 'lrc', 'elrc', 'ttml', 'srt' or 'kpoe'
+ * @param {*} options - `offsetMs`: moves every time, see shiftLyrics;
+ *   `songInfo`: title, artist and album for headers and the file name.
+ * @returns {{content: string, fileName: string, mimeType: string}}
+ */
+function exportLyrics(lyrics, format, { offsetMs = 0, songInfo = {} } = {}) {
+  const target = EXPORT_FORMATS[format];
+  if (!target) throw new Error(`Unsupported export format: ${format}`);
+  if (!lyrics?.lyrics?.length) throw new Error('No lyrics to export.');
+
+  const shifted = shiftLyrics(lyrics, offsetMs);
+  const writers = {
+    lrc: serializeLRC,
+    elrc: serializeEnhancedLRC,
+    ttml: serializeTTML,
+    srt: serializeSRT,
+    kpoe: serializeKPoe
+  };
+
+  const baseName = [songInfo.artist, songInfo.title || lyrics.metadata?.title]
+    .filter(Boolean)
+    .join(' - ')
+    .replace(/[\\/:*?"<>|]/g, '_') || 'lyrics';
+
+  return {
+    content: writers[format](shifted, songInfo),
+    fileName: `${baseName}.${target.extension}`,
+    mimeType: target.mimeType
+  };
+}
+
+if (typeof exports !== 'undefined') {
+  module.exports = { EXPORT_FORMATS, shiftLyrics, serializeLRC, serializeEnhancedLRC, serializeSRT, serializeTTML, serializeKPoe, exportLyrics };
+}
+
+if (typeof window !== 'undefined') {
+  if (typeof window.lyricspluslib == 'undefined') window.lyricspluslib = {};
+  window.lyricspluslib.exportLyrics = exportLyrics;
+}
+
+export { EXPORT_FORMATS, shiftLyrics, serializeLRC, serializeEnhancedLRC, serializeSRT, serializeTTML, serializeKPoe, exportLyrics };
@@ -0,0 +1,144 @@
+/**
+ * Guesses which song a lyrics file belongs to for bulk imports: from the
+ * file's own tags when it has them, otherwise from its name.
+ */
+
+const IMPORT_EXTENSIONS = ['lrc', 'elrc', 'ttml', 'json', 'yrc', 'qrc', 'krc', 'srt', 'vtt', 'ass', 'ssa'];
+
+// Tried in order; the first that matches the whole name wins
+const DEFAULT_FILENAME_PATTERNS = ['{title}___{artist}', '{title} - {artist}', '{artist} x {title}'];
+
+const FILENAME_FIELDS = ['title', 'artist', 'album'];
+
+const LRC_TAGS = { ti: 'title', ar: 'artist', al: 'album', length: 'duration' };
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function getExtension(fileName) {
+  const match = String(fileName).match(/\.([^./\\]+)$/);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Turns "{artist} - {title}" into a regex over the file's base name. Returns
+ * null for patterns without a placeholder.
+ */
+function compileFilenamePattern(pattern) {
+  const fields = [];
+  const source = String(pattern).trim().split(/(\{\w+\})/).map(part => {
+    const field = part.match(/^\{(\w+)\}$/);
+    if (!field || !FILENAME_FIELDS.includes(field[1])) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    fields.push(field[1]);
+    return '(.+?)';
+  }).join('');
+
+  return fields.length ? { regex: new RegExp(`^${source}$`, 'i'), fields } : null;
+}
+
+/**
+ * Reads title, artist and album from a file name. Names without spaces are
+ * taken to have had them, and any other character unsafe in a file name,
+ * replaced by underscores.
+ *
+ * @param {string} fileName - Name or relative path of the file.
+ * @param {string[]} patterns - Patterns with {title}, {artist} and {album}.
+ * @returns {{title?: string, artist?: string, album?: string}} the whole
+ *   name as the title when no pattern matches.
+ */
+function guessFromFilename(fileName, patterns = DEFAULT_FILENAME_PATTERNS) {
+  const baseName = String(fileName).replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '');
+  const underscoresAreSpaces = !/\s/.test(baseName);
+  const clean = text => (underscoresAreSpaces ? text.replace(/_+/g, ' ') : text).replace(/\s+/g, ' ').trim();
+
+  for (const pattern of patterns) {
+    const compiled = compileFilenamePattern(pattern);
+    const match = compiled && baseName.match(compiled.regex);
+    if (!match) continue;
+
+    const guess = {};
+    compiled.fields.forEach((field, index) => {
+      guess[field] = clean(match[index + 1]);
+    });
+    return guess;
+  }
+
+  return { title: clean(baseName) };
+}
+
+/**
+ * Reads the song a lyrics file describes itself as: the [ti:], [ar:], [al:]
+ * and [length:] tags of LRC-style formats, the title, singers and duration of
+ * a TTML file, or the metadata of KPoe JSON.
+ *
+ * @returns {{title?: string, artist?: string, album?: string, duration?: string}}
+ *   only the tags that were found; duration as written in the file.
+ */
+function readLyricsTags(content, format) {
+  const tags = {};
+  const text = String(content || '');
+
+  if (format === 'ttml') {
+    const title = text.match(/<ttm:title[^>]*>([^<]*)<\/ttm:title>/);
+    if (title) tags.title = decodeXml(title[1]).trim();
+
+    const singers = [...text.matchAll(/<ttm:name[^>]*>([^<]*)<\/ttm:name>/g)]
+      .map(match => decodeXml(match[1]).trim())
+      .filter(Boolean);
+    if (singers.length) tags.artist = [...new Set(singers)].join(', ');
+
+    const duration = text.match(/<body[^>]*\sdur="([^"]+)"/);
+    if (duration) tags.duration = duration[1];
+  } else if (format === 'json') {
+    try {
+      const metadata = JSON.parse(text).metadata || {};
+      if (metadata.title) tags.title = String(metadata.title);
+      if (metadata.totalDuration) tags.duration = String(metadata.totalDuration);
+    } catch (error) {
+      // Left for the parser to report
+    }
+  } else {
+    for (const [, tag, value] of text.matchAll(/^\s*\[(ti|ar|al|length):([^\]]*)\]/gmi)) {
+      const field = LRC_TAGS[tag.toLowerCase()];
+      if (value.trim() && !tags[field]) tags[field] = value.trim();
+    }
+  }
+
+  for (const field of Object.keys(tags)) {
+    if (!tags[field]) delete tags[field];
+  }
+  return tags;
+}
+
+/**
+ * Combines a file's tags with what its name suggests; tags win.
+ * @returns {{title: string, artist: string, album: string, duration: string}}
+ */
+function guessSongInfo(fileName, content, patterns = DEFAULT_FILENAME_PATTERNS) {
+  const format = getExtension(fileName);
+  return {
+    title: '',
+    artist: '',
+    album: '',
+    duration: '',
+    ...guessFromFilename(fileName, patterns),
+    ...readLyricsTags(content, format)
+  };
+}
+
+if (typeof exports !== 'undefined') {
+  module.exports = { IMPORT_EXTENSIONS, DEFAULT_FILENAME_PATTERNS, getExtension, guessFromFilename, readLyricsTags, guessSongInfo };
+}
+
+if (typeof window !== 'undefined') {
+  if (typeof window.lyricspluslib == 'undefined') window.lyricspluslib = {};
+  window.lyricspluslib.guessSongInfo = guessSongInfo;
+}
+
+export { IMPORT_EXTENSIONS, DEFAULT_FILENAME_PATTERNS, getExtension, guessFromFilename, readLyricsTags, guessSongInfo };
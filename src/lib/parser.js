@@ -550,6 +550,574 @@ function parseAppleTTML(ttml, offset = 0, separate = false) {
   };
 }
 
+/**
+ * Shared tail of the NetEase, QQ Music and Kugou parsers. Turns timed lines
+ * of timed words into the KPoe v2 structure parseSyncedLyrics produces: credit
+ * lines move to metadata.songWriters, parenthesized words become background
+ * vocals, and companion translations are attached by start time.
+ * NetEase, QQ Music and Kugou publish Chinese translations, hence the default
+ * translation language.
+ *
+ * @param {Array<{time: number, duration: number, words: Array<{time: number, duration: number, text: string}>,
+ *   translation?: string, transliteration?: string[]}>} entries - Lines with times in milliseconds.
+ * @param {object} options
+ * @param {string} options.kpoeTools - KpoeTools tag of the calling parser.
+ * @param {string} [options.title]
+ * @param {string[]} [options.songWriters] - Writers found outside the lyric lines.
+ * @param {string} [options.translation] - Companion LRC translation.
+ * @param {string} [options.translationLang] - Language of the translations.
+ * @returns
+ */
+function buildWordSyncedLyrics(entries, { kpoeTools, title = '', songWriters = [], translation = '', translationLang = 'zh' }) {
+  const lines = [];
+  entries.forEach(entry => {
+    const text = entry.words.map(word => word.text).join('');
+    if (!text.trim()) return;
+
+    const credit = parseCreditLine(text);
+    if (credit) {
+      songWriters.push(...credit.writers);
+      return;
+    }
+
+    const line = {
+      time: entry.time,
+      duration: entry.duration,
+      text,
+      syllabus: entry.words.map(word => ({ time: word.time, duration: word.duration, text: word.text })),
+      element: { key: '', songPart: '', singer: '' }
+    };
+
+    if (entry.translation && entry.translation.trim() && entry.translation.trim() !== '//') {
+      line.translation = { lang: translationLang, text: entry.translation.trim() };
+    }
+    if (entry.transliteration && entry.transliteration.length === line.syllabus.length) {
+      line.transliteration = {
+        lang: '',
+        text: entry.transliteration.join('').trim(),
+        syllabus: line.syllabus.map((syl, index) => ({ ...syl, text: entry.transliteration[index] }))
+      };
+    }
+    lines.push(line);
+  });
+
+  lines.sort((a, b) => a.time - b.time);
+
+  if (translation) {
+    attachCompanionTranslation(lines, translation, translationLang);
+  }
+
+  return {
+    KpoeTools: kpoeTools,
+    type: 'Word',
+    metadata: {
+      source: "Local Files",
+      songWriters,
+      title,
+      language: '',
+      agents: {},
+      totalDuration: ''
+    },
+    lyrics: markBackgroundVocals(lines),
+    cached: 'None'
+  };
+}
+
+/**
+ * Recognizes credit lines such as `作词 : A / B`, which these formats ship as
+ * lyric lines. Lyricists are returned as writers; other roles are dropped.
+ * @returns {{writers: string[]}|null} null if the text is not a credit line.
+ */
+function parseCreditLine(text) {
+  const match = text.match(/^\s*(作词|作詞|作曲|编曲|編曲|制作人|製作人|词|詞|曲|lyricist|lyrics|composer|arranger|producer|written by)\s*[:：]\s*(.+)$/i);
+  if (!match) return null;
+
+  const isWriter = ['作词', '作詞', '词', '詞', 'lyricist', 'lyrics', 'written by'].includes(match[1].toLowerCase());
+  return {
+    writers: isWriter ? match[2].split(/\s*[\/、,&]\s*/).map(name => name.trim()).filter(Boolean) : []
+  };
+}
+
+/**
+ * Whether the whole text is one parenthesized group, so "(oh) yeah (oh)" is not.
+ */
+function isParenthesized(text) {
+  const trimmed = text.trim();
+  if (!/^[(（]/.test(trimmed) || !/[)）]$/.test(trimmed)) return false;
+
+  let depth = 0;
+  for (let i = 0; i < trimmed.length; i++) {
+    if (/[(（]/.test(trimmed[i])) depth++;
+    else if (/[)）]/.test(trimmed[i])) depth--;
+    if (depth === 0 && i < trimmed.length - 1) return false;
+  }
+  return depth === 0;
+}
+
+/**
+ * Background vocals in these formats are parenthesized words. Inside a line
+ * they are flagged in place; a fully parenthesized line that starts before the
+ * previous line ends is folded into it, as Apple TTML nests them.
+ */
+function markBackgroundVocals(lines) {
+  const result = [];
+
+  lines.forEach(line => {
+    const previous = result[result.length - 1];
+    if (isParenthesized(line.text)) {
+      if (previous && line.time < previous.time + previous.duration) {
+        line.syllabus.forEach(syl => previous.syllabus.push({ ...syl, isBackground: true }));
+        previous.text += line.text;
+        const end = Math.max(previous.time + previous.duration, line.time + line.duration);
+        previous.duration = end - previous.time;
+        return;
+      }
+      result.push(line);
+      return;
+    }
+
+    let depth = 0;
+    line.syllabus.forEach(syl => {
+      const opens = (syl.text.match(/[(（]/g) || []).length;
+      const closes = (syl.text.match(/[)）]/g) || []).length;
+      depth += opens;
+      if (depth > 0) syl.isBackground = true;
+      depth = Math.max(0, depth - closes);
+    });
+    result.push(line);
+  });
+
+  return result;
+}
+
+/**
+ * Attaches the lines of a companion LRC translation (NetEase `tlyric`, QQ
+ * Music `trans`) to the lyric line starting closest to them, within a second.
+ */
+function attachCompanionTranslation(lines, lrcContent, lang) {
+  const translated = parseSyncedLyrics(lrcContent).lyrics;
+  translated.forEach(entry => {
+    const text = entry.text.trim();
+    if (!text || text === '//') return;
+
+    let best = null;
+    lines.forEach(line => {
+      const distance = Math.abs(line.time - entry.time);
+      if (distance <= 1000 && (!best || distance < Math.abs(best.time - entry.time))) best = line;
+    });
+    if (best && !best.translation) best.translation = { lang, text };
+  });
+}
+
+/**
+ * Collects words whose timing tag comes before the text, as in NetEase YRC
+ * `(start,duration,0)word` and Kugou KRC `<offset,duration,0>word`.
+ */
+function collectLeadingTaggedWords(content, tagRegex, toWord) {
+  const tags = [...content.matchAll(tagRegex)];
+  return tags.map((tag, i) => {
+    const end = i + 1 < tags.length ? tags[i + 1].index : content.length;
+    return toWord(tag, content.substring(tag.index + tag[0].length, end));
+  }).filter(word => word.text !== '');
+}
+
+function parseHeaderTag(line, name) {
+  const match = line.match(new RegExp(`^\\[${name}:([^\\]]*)\\]$`, 'i'));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Convert NetEase Cloud Music's YRC to KPoe Readable Format
+ * Lines are `[start,duration](start,duration,0)word...` in absolute
+ * milliseconds; JSON credit lines such as `{"t":0,"c":[{"tx":"作词: "}]}`
+ * become song writers.
+ *
+ * @param {*} yrcContent - YRC Text
+ * @param {*} options - `translation`: companion LRC (NetEase `tlyric`),
+ *   `translationLang`: its language, Chinese by default.
+ * @returns
+ */
+function parseNeteaseYRC(yrcContent, options = {}) {
+  const lineRegex = /^\[(\d+),(\d+)\](.*)$/;
+  const wordTagRegex = /\((\d+),(\d+),-?\d+\)/g;
+  const entries = [];
+  const songWriters = [];
+  let title = '';
+
+  yrcContent.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('{')) {
+      try {
+        const parts = JSON.parse(line).c || [];
+        const credit = parseCreditLine(parts.map(part => part.tx || '').join(''));
+        if (credit) songWriters.push(...credit.writers);
+      } catch (e) {}
+      return;
+    }
+
+    title = parseHeaderTag(line, 'ti') ?? title;
+    const match = line.match(lineRegex);
+    if (!match) return;
+
+    const words = collectLeadingTaggedWords(match[3], wordTagRegex, (tag, text) => ({
+      time: parseInt(tag[1], 10),
+      duration: parseInt(tag[2], 10),
+      text
+    }));
+    entries.push({ time: parseInt(match[1], 10), duration: parseInt(match[2], 10), words });
+  });
+
+  return buildWordSyncedLyrics(entries, { ...options, kpoeTools: '1.0-parseNeteaseYRC', title, songWriters });
+}
+
+/**
+ * Convert decrypted QQ Music QRC to KPoe Readable Format
+ * Accepts the `<QrcInfos>` XML wrapper or the bare `LyricContent`. Lines are
+ * `[start,duration]word(start,duration)...`, the timing tag following its
+ * word, in absolute milliseconds.
+ *
+ * @param {*} qrcContent - QRC Text
+ * @param {*} options - `translation`: companion LRC (QQ Music `trans`),
+ *   `translationLang`: its language, Chinese by default.
+ * @returns
+ */
+function parseQQQRC(qrcContent, options = {}) {
+  const lineRegex = /^\[(\d+),(\d+)\](.*)$/;
+  const wordTagRegex = /\((\d+),(\d+)\)/g;
+  const wrapped = qrcContent.match(/LyricContent="([\s\S]*?)"\s*\/?>/);
+  const content = wrapped
+    ? wrapped[1].replace(/&#10;/g, '\n').replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')
+    : qrcContent;
+
+  const entries = [];
+  let title = '';
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    title = parseHeaderTag(line, 'ti') ?? title;
+    const match = line.match(lineRegex);
+    if (!match) return;
+
+    const words = [];
+    let lastIndex = 0;
+    for (const tag of match[3].matchAll(wordTagRegex)) {
+      const text = match[3].substring(lastIndex, tag.index);
+      lastIndex = tag.index + tag[0].length;
+      if (text === '') continue;
+      words.push({ time: parseInt(tag[1], 10), duration: parseInt(tag[2], 10), text });
+    }
+    entries.push({ time: parseInt(match[1], 10), duration: parseInt(match[2], 10), words });
+  });
+
+  return buildWordSyncedLyrics(entries, { ...options, kpoeTools: '1.0-parseQQQRC', title });
+}
+
+/**
+ * Convert decrypted Kugou KRC to KPoe Readable Format
+ * Lines are `[start,duration]<offset,duration,0>word...`, word offsets being
+ * relative to the line. The `[language:]` header carries base64 JSON with a
+ * line translation (type 1) and a per-word romanization (type 0).
+ *
+ * @param {*} krcContent - KRC Text
+ * @param {*} options - `translationLang`: language of the embedded
+ *   translation, Chinese by default.
+ * @returns
+ */
+function parseKugouKRC(krcContent, options = {}) {
+  const lineRegex = /^\[(\d+),(\d+)\](.*)$/;
+  const wordTagRegex = /<(\d+),(\d+),-?\d+>/g;
+  const entries = [];
+  let title = '';
+  let languages = [];
+
+  krcContent.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    title = parseHeaderTag(line, 'ti') ?? title;
+
+    const language = parseHeaderTag(line, 'language');
+    if (language) {
+      try {
+        const bytes = Uint8Array.from(atob(language), c => c.charCodeAt(0));
+        languages = JSON.parse(new TextDecoder().decode(bytes)).content || [];
+      } catch (e) {
+        console.warn('Failed to decode KRC language header:', e);
+      }
+      return;
+    }
+
+    const match = line.match(lineRegex);
+    if (!match) return;
+
+    const lineTime = parseInt(match[1], 10);
+    const words = collectLeadingTaggedWords(match[3], wordTagRegex, (tag, text) => ({
+      time: lineTime + parseInt(tag[1], 10),
+      duration: parseInt(tag[2], 10),
+      text
+    }));
+    entries.push({ time: lineTime, duration: parseInt(match[2], 10), words });
+  });
+
+  // Language rows are indexed by lyric line, credit lines included
+  const translationRows = languages.find(item => item.type === 1)?.lyricContent || [];
+  const romanizationRows = languages.find(item => item.type === 0)?.lyricContent || [];
+  entries.forEach((entry, index) => {
+    if (translationRows[index]) entry.translation = translationRows[index].join('');
+    if (romanizationRows[index]) entry.transliteration = romanizationRows[index];
+  });
+
+  return buildWordSyncedLyrics(entries, { ...options, kpoeTools: '1.0-parseKugouKRC', title });
+}
+
+/**
+ * Builds the KPoe document shared by the subtitle parsers. Cues with words
+ * make it word-synced; cues without any in such a document get a single
+ * syllable spanning the cue, as parseSyncedLyrics does for enhanced LRC.
+ *
+ * @param {Array<{time: number, duration: number, text: string, words?: Array<{time: number, duration: number, text: string}>}>} cues
+ * @param {string} kpoeTools - KpoeTools tag of the calling parser.
+ * @param {string} [title]
+ * @returns
+ */
+function buildSubtitleLyrics(cues, kpoeTools, title = '') {
+  const isWordSynced = cues.some(cue => cue.words?.length > 0);
+
+  const lines = cues
+    .filter(cue => cue.text.trim())
+    .sort((a, b) => a.time - b.time)
+    .map(cue => {
+      let syllabus = [];
+      if (cue.words?.length > 0) {
+        syllabus = cue.words.map(word => ({ time: word.time, duration: word.duration, text: word.text }));
+      } else if (isWordSynced) {
+        syllabus = [{ time: cue.time, duration: cue.duration, text: cue.text }];
+      }
+      return {
+        time: cue.time,
+        duration: cue.duration,
+        text: cue.text,
+        syllabus,
+        element: { key: '', songPart: '', singer: '' }
+      };
+    });
+
+  return {
+    KpoeTools: kpoeTools,
+    type: isWordSynced ? 'Word' : 'Line',
+    metadata: {
+      source: "Local Files",
+      songWriters: [],
+      title,
+      language: '',
+      agents: {},
+      totalDuration: ''
+    },
+    lyrics: isWordSynced ? markBackgroundVocals(lines) : lines,
+    cached: 'None'
+  };
+}
+
+/**
+ * Parses `hh:mm:ss.mmm`, `mm:ss.mmm` (WebVTT) or `hh:mm:ss,mmm` (SRT) into
+ * milliseconds, or null.
+ */
+function parseSubtitleTimestamp(value) {
+  const match = String(value).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/);
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return ((parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60 + parseInt(seconds, 10)) * 1000
+    + parseInt(fraction.padEnd(3, '0'), 10);
+}
+
+function decodeSubtitleEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Splits SRT and WebVTT content into blocks of non-empty lines and returns
+ * the cues among them: a block whose first or second line is a timing line.
+ */
+function collectSubtitleCues(content) {
+  const cues = [];
+  content.replace(/^\uFEFF/, '').split(/\r?\n\s*\r?\n/).forEach(block => {
+    const blockLines = block.split(/\r?\n/).filter(line => line.trim());
+    const timingIndex = blockLines.findIndex((line, index) => index < 2 && line.includes('-->'));
+    if (timingIndex === -1) return;
+
+    const [start, end] = blockLines[timingIndex].split('-->');
+    const time = parseSubtitleTimestamp(start);
+    const endTime = parseSubtitleTimestamp(end.trim().split(/\s+/)[0]);
+    if (time === null || endTime === null) return;
+
+    cues.push({ time, endTime, textLines: blockLines.slice(timingIndex + 1) });
+  });
+  return cues;
+}
+
+/**
+ * Convert SubRip (SRT) subtitles to KPoe Readable Format
+ * Every cue becomes a line; formatting tags such as `<i>` and `{\an8}` are
+ * dropped and multi-line cues are joined with a space.
+ *
+ * @param {*} srtContent - SRT Text
+ * @returns
+ */
+function parseSRT(srtContent) {
+  const cues = collectSubtitleCues(srtContent).map(cue => ({
+    time: cue.time,
+    duration: Math.max(0, cue.endTime - cue.time),
+    text: decodeSubtitleEntities(cue.textLines.join(' ').replace(/<[^>]*>/g, '').replace(/\{\\[^}]*\}/g, ''))
+      .replace(/\s+/g, ' ')
+      .trim()
+  }));
+
+  return buildSubtitleLyrics(cues, '1.0-parseSRT');
+}
+
+/**
+ * Convert WebVTT subtitles to KPoe Readable Format
+ * Inline timestamp tags (`word <00:00:01.500>word`), as used for karaoke
+ * captions, split a cue into syllables: text before the first tag starts
+ * with the cue, each tag starts the text after it and every syllable lasts
+ * until the next one or the end of the cue. Class, voice and styling tags
+ * such as `<c.highlight>` and `<v Singer>` are dropped.
+ *
+ * @param {*} vttContent - WebVTT Text
+ * @returns
+ */
+function parseWebVTT(vttContent) {
+  const timestampTagRegex = /<((?:\d+:)?\d{1,2}:\d{2}\.\d{1,3})>/g;
+
+  const cues = collectSubtitleCues(vttContent).map(cue => {
+    const duration = Math.max(0, cue.endTime - cue.time);
+    const content = cue.textLines.join(' ');
+    const clean = (text) => decodeSubtitleEntities(text.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ');
+    const text = clean(content).trim();
+
+    const tags = [...content.matchAll(timestampTagRegex)];
+    if (tags.length === 0) return { time: cue.time, duration, text };
+
+    const segments = [{ time: cue.time, text: clean(content.substring(0, tags[0].index)) }];
+    tags.forEach((tag, i) => {
+      const end = i + 1 < tags.length ? tags[i + 1].index : content.length;
+      segments.push({
+        time: parseSubtitleTimestamp(tag[1]),
+        text: clean(content.substring(tag.index + tag[0].length, end))
+      });
+    });
+
+    const timed = segments.filter(segment => segment.text.trim());
+    if (timed.length > 0) timed[0].text = timed[0].text.trimStart();
+    const words = timed.map((segment, i) => {
+      const next = i + 1 < timed.length ? timed[i + 1].time : cue.endTime;
+      return { time: segment.time, duration: Math.max(0, next - segment.time), text: segment.text };
+    });
+    if (words.length > 0) words[words.length - 1].text = words[words.length - 1].text.trimEnd();
+
+    return { time: cue.time, duration, text, words };
+  });
+
+  return buildSubtitleLyrics(cues, '1.0-parseWebVTT');
+}
+
+/**
+ * Convert Advanced SubStation Alpha (ASS/SSA) subtitles to KPoe Readable Format
+ * Reads the `Dialogue` events of the `[Events]` section in the order given by
+ * its `Format` line. Karaoke tags (`\k`, `\K`, `\kf`, `\ko`, in centiseconds)
+ * split a line into syllables; other override blocks are dropped and `\N`
+ * line breaks become spaces.
+ *
+ * @param {*} assContent - ASS/SSA Text
+ * @returns
+ */
+function parseASS(assContent) {
+  const karaokeTagRegex = /\\(?:k|K|kf|ko)(\d+(?:\.\d+)?)/g;
+  const parseTime = (value) => {
+    const match = String(value).trim().match(/^(\d+):(\d{1,2}):(\d{1,2})(?:\.(\d{1,3}))?$/);
+    if (!match) return null;
+    return ((parseInt(match[1], 10) * 60 + parseInt(match[2], 10)) * 60 + parseInt(match[3], 10)) * 1000
+      + parseInt((match[4] || '0').padEnd(3, '0'), 10);
+  };
+  const clean = (text) => text.replace(/\\[Nn]/g, ' ').replace(/\\h/g, ' ');
+
+  let section = '';
+  let format = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+  let title = '';
+  const cues = [];
+
+  assContent.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    const sectionMatch = line.match(/^\[(.+)\]$/);
+    if (sectionMatch) {
+      section = sectionMatch[1].toLowerCase();
+      return;
+    }
+
+    if (section === 'script info' && /^title:/i.test(line)) {
+      title = line.substring(line.indexOf(':') + 1).trim();
+      return;
+    }
+    if (section !== 'events') return;
+
+    if (/^format:/i.test(line)) {
+      format = line.substring(line.indexOf(':') + 1).split(',').map(field => field.trim().toLowerCase());
+      return;
+    }
+    if (!/^dialogue:/i.test(line)) return;
+
+    // Text is the last field and may itself contain commas
+    const values = line.substring(line.indexOf(':') + 1).split(',');
+    const fields = {};
+    format.forEach((name, i) => {
+      fields[name] = i === format.length - 1 ? values.slice(i).join(',') : (values[i] || '').trim();
+    });
+
+    const time = parseTime(fields.start);
+    const endTime = parseTime(fields.end);
+    if (time === null || endTime === null || fields.text == null) return;
+
+    const rawText = fields.text;
+    const text = clean(rawText.replace(/\{[^}]*\}/g, '')).replace(/\s+/g, ' ').trim();
+    const duration = Math.max(0, endTime - time);
+    if (!/\{[^}]*\\[kK][fo]?\d/.test(rawText)) {
+      cues.push({ time, duration, text });
+      return;
+    }
+
+    // Each karaoke tag starts a syllable lasting its own duration
+    const words = [];
+    let cursor = time;
+    let current = null;
+    rawText.split(/(\{[^}]*\})/).forEach(part => {
+      if (part.startsWith('{')) {
+        for (const tag of part.matchAll(karaokeTagRegex)) {
+          current = { time: cursor, duration: Math.round(parseFloat(tag[1]) * 10), text: '' };
+          cursor += current.duration;
+          words.push(current);
+        }
+        return;
+      }
+      if (!part) return;
+      if (!current) {
+        current = { time, duration: 0, text: '' };
+        words.push(current);
+      }
+      current.text += clean(part);
+    });
+
+    cues.push({ time, duration, text, words: words.filter(word => word.text !== '') });
+  });
+
+  return buildSubtitleLyrics(cues, '1.0-parseASS', title);
+}
+
 /**
  * Normalizes a v2 lyrics object so every line element uses songPartIndex
  * pointing into metadata.songParts[], replacing legacy songPart strings.
@@ -699,15 +1267,21 @@ function convertToStandardJson(parsedLyrics) {
 }
 
 if (typeof exports !== 'undefined') {
-  module.exports = { parseSyncedLyrics, parseAppleTTML, convertToStandardJson, v1Tov2 };
+  module.exports = { parseSyncedLyrics, parseAppleTTML, parseNeteaseYRC, parseQQQRC, parseKugouKRC, parseSRT, parseWebVTT, parseASS, convertToStandardJson, v1Tov2 };
 } 
 
 if (typeof window !== 'undefined') {
   if (typeof window.lyricspluslib == 'undefined') window.lyricspluslib = {};
   window.lyricspluslib.parseSyncedLyrics = parseSyncedLyrics;
   window.lyricspluslib.parseAppleTTML = parseAppleTTML;
+  window.lyricspluslib.parseNeteaseYRC = parseNeteaseYRC;
+  window.lyricspluslib.parseQQQRC = parseQQQRC;
+  window.lyricspluslib.parseKugouKRC = parseKugouKRC;
+  window.lyricspluslib.parseSRT = parseSRT;
+  window.lyricspluslib.parseWebVTT = parseWebVTT;
+  window.lyricspluslib.parseASS = parseASS;
   window.lyricspluslib.v1Tov2 = v1Tov2;
   window.lyricspluslib.convertToStandardJson = convertToStandardJson;
 }
 
-export { parseSyncedLyrics, parseAppleTTML, convertToStandardJson, v1Tov2 };
\ No newline at end of file
+export { parseSyncedLyrics, parseAppleTTML, parseNeteaseYRC, parseQQQRC, parseKugouKRC, parseSRT, parseWebVTT, parseASS, convertToStandardJson, v1Tov2 };
\ No newline at end of file
@@ -0,0 +1,201 @@
+/**
+ * Checks KPoe v2 lyrics for timing problems that break highlighting and
+ * repairs the ones that can be repaired. Times are in milliseconds; the
+ * song duration, when known, is in seconds as in songInfo.
+ */
+
+const VALIDATION_ERRORS = ['empty', 'invalidTime'];
+
+const DEFAULT_LAST_LINE_MS = 5000;
+
+const isValidTime = (time) => typeof time === 'number' && Number.isFinite(time) && time >= 0;
+
+function isTimed(lyrics) {
+  return lyrics?.type === 'Word' || lyrics?.type === 'Line';
+}
+
+// Overlapping lines are how duets are written, so only the same singer counts
+function getSinger(line) {
+  return line.element?.singer || '';
+}
+
+function findNextBySinger(lines, index) {
+  for (let i = index + 1; i < lines.length; i++) {
+    if (getSinger(lines[i]) === getSinger(lines[index]) && isValidTime(lines[i].time)) return lines[i];
+  }
+  return null;
+}
+
+/**
+ * Reports what would break playback of the lyrics. Issues carry a `code`
+ * and the 1-based `line` they were found on, in the order of the file.
+ *
+ * @param {*} lyrics - KPoe v2 lyrics
+ * @param {*} options - `duration`: song length in seconds, 0 if unknown.
+ * @returns {{errors: Array<{code: string, line: number|null}>, warnings: Array<{code: string, line: number|null}>}}
+ */
+function validateLyrics(lyrics, { duration = 0 } = {}) {
+  const issues = [];
+  const add = (code, line = null) => issues.push({ code, line });
+  const lines = lyrics?.lyrics || [];
+  const songEnd = (Number(duration) || 0) * 1000;
+
+  if (lines.filter(line => line.text?.trim() || line.syllabus?.length).length === 0) {
+    add('empty');
+  }
+
+  if (isTimed(lyrics)) {
+    lines.forEach((line, index) => {
+      const number = index + 1;
+      if (!isValidTime(line.time)) {
+        add('invalidTime', number);
+        return;
+      }
+
+      const previous = lines[index - 1];
+      if (previous && isValidTime(previous.time)) {
+        if (line.time < previous.time) add('outOfOrder', number);
+        else if (line.time === previous.time) add('duplicateTime', number);
+      }
+
+      if (!(line.duration > 0)) {
+        add('missingDuration', number);
+      } else {
+        const next = findNextBySinger(lines, index);
+        if (next && next.time > line.time && line.time + line.duration > next.time) add('overlap', number);
+      }
+      if (songEnd && (line.time >= songEnd || line.time + (line.duration || 0) > songEnd)) add('pastEnd', number);
+
+      const syllabus = line.syllabus || [];
+      if (syllabus.some(syl => !(syl.duration > 0))) add('zeroSyllable', number);
+
+      // Background vocals run alongside the main words and are ordered separately
+      const outOfOrder = [false, true].some(isBackground => {
+        const times = syllabus.filter(syl => !!syl.isBackground === isBackground).map(syl => syl.time);
+        return times.some((time, i) => i > 0 && time < times[i - 1]);
+      });
+      if (outOfOrder) add('syllableOutOfOrder', number);
+    });
+  }
+
+  return {
+    errors: issues.filter(issue => VALIDATION_ERRORS.includes(issue.code)),
+    warnings: issues.filter(issue => !VALIDATION_ERRORS.includes(issue.code))
+  };
+}
+
+/**
+ * Repairs what validateLyrics reports: drops lines without a valid time,
+ * sorts lines and words, merges lines sharing a timestamp, fills missing
+ * durations from what follows, clamps overlaps of the same singer and trims
+ * the lyrics to the song's end.
+ *
+ * Two lines sharing a timestamp with different text are how LRC files carry
+ * a translation, so the second becomes the first one's translation.
+ *
+ * @param {*} lyrics - KPoe v2 lyrics
+ * @param {*} options - `duration`: song length in seconds, 0 if unknown.
+ * @returns {{lyrics: object, fixes: Object<string, number>}} the repaired
+ *   copy and how many times each issue code was fixed.
+ */
+function repairLyrics(lyrics, { duration = 0 } = {}) {
+  const repaired = JSON.parse(JSON.stringify(lyrics));
+  const fixes = {};
+  const count = (code, amount = 1) => {
+    if (amount > 0) fixes[code] = (fixes[code] || 0) + amount;
+  };
+
+  if (!isTimed(repaired)) return { lyrics: repaired, fixes };
+
+  const songEnd = (Number(duration) || 0) * 1000;
+  let lines = repaired.lyrics || [];
+
+  const timed = lines.filter(line => isValidTime(line.time));
+  count('invalidTime', lines.length - timed.length);
+  lines = timed;
+
+  if (lines.some((line, i) => i > 0 && line.time < lines[i - 1].time)) {
+    count('outOfOrder', lines.filter((line, i) => i > 0 && line.time < lines[i - 1].time).length);
+    lines.sort((a, b) => a.time - b.time);
+  }
+
+  const merged = [];
+  lines.forEach(line => {
+    const previous = merged[merged.length - 1];
+    if (!previous || previous.time !== line.time || getSinger(previous) !== getSinger(line)) {
+      merged.push(line);
+      return;
+    }
+    if (line.text.trim() !== previous.text.trim() && !previous.translation) {
+      previous.translation = { lang: '', text: line.text.trim() };
+    }
+    previous.duration = Math.max(previous.duration || 0, line.duration || 0);
+    count('duplicateTime');
+  });
+  lines = merged;
+
+  lines.forEach((line, index) => {
+    const syllabus = line.syllabus || [];
+
+    [false, true].forEach(isBackground => {
+      const group = syllabus.filter(syl => !!syl.isBackground === isBackground);
+      if (group.some((syl, i) => i > 0 && syl.time < group[i - 1].time)) count('syllableOutOfOrder');
+    });
+    // Stable, so background words keep their place after the main words
+    syllabus.sort((a, b) => (!!a.isBackground - !!b.isBackground) || (a.time - b.time));
+
+    if (!(line.duration > 0)) {
+      const next = lines[index + 1];
+      const lastSyllableEnd = Math.max(0, ...syllabus.map(syl => syl.time + (syl.duration || 0)));
+      line.duration = next
+        ? Math.max(next.time - line.time, 0)
+        : Math.max(lastSyllableEnd - line.time, DEFAULT_LAST_LINE_MS);
+      count('missingDuration');
+    }
+
+    const lineEnd = line.time + line.duration;
+    syllabus.forEach((syl, i) => {
+      if (syl.duration > 0) return;
+      const next = syllabus.slice(i + 1).find(other => !!other.isBackground === !!syl.isBackground);
+      syl.duration = Math.max(0, (next ? next.time : lineEnd) - syl.time);
+      count('zeroSyllable');
+    });
+  });
+
+  lines.forEach((line, index) => {
+    const next = findNextBySinger(lines, index);
+    if (next && next.time > line.time && line.time + line.duration > next.time) {
+      line.duration = next.time - line.time;
+      count('overlap');
+    }
+  });
+
+  if (songEnd) {
+    const kept = lines.filter(line => line.time < songEnd);
+    count('pastEnd', lines.length - kept.length);
+    lines = kept;
+    lines.forEach(line => {
+      if (line.time + line.duration <= songEnd) return;
+      line.duration = songEnd - line.time;
+      (line.syllabus || []).forEach(syl => {
+        syl.duration = Math.max(0, Math.min(syl.time + syl.duration, songEnd) - syl.time);
+      });
+      count('pastEnd');
+    });
+  }
+
+  repaired.lyrics = lines;
+  return { lyrics: repaired, fixes };
+}
+
+if (typeof exports !== 'undefined') {
+  module.exports = { validateLyrics, repairLyrics };
+}
+
+if (typeof window !== 'undefined') {
+  if (typeof window.lyricspluslib == 'undefined') window.lyricspluslib = {};
+  window.lyricspluslib.validateLyrics = validateLyrics;
+  window.lyricspluslib.repairLyrics = repairLyrics;
+}
+
+export { validateLyrics, repairLyrics };
@@ -179,6 +179,9 @@ const translations = {
         refreshLyrics: "Refresh Lyrics",
         showTranslationOptions: "Show Translation Options"
     },
+    // The reference locale. Strings from pinSong onward (pinning, lyrics trace, export,
+    // sync editor and song offsets) are not translated yet; t() shows these English
+    // strings in every other locale until they are.
     'en-US': {
         loading: "Loading lyrics",
         notFound: "Unable to find the lyrics.",
@@ -192,7 +195,49 @@ const translations = {
         showOriginal: "Show Original",
         hideOriginal: "Hide Original",
         refreshLyrics: "Refresh Lyrics",
-        showTranslationOptions: "Show Translation Options"
+        showTranslationOptions: "Show Translation Options",
+        pinSong: "Pin Song",
+        unpinSong: "Unpin Song",
+        pinAlbum: "Pin Album",
+        unpinAlbum: "Unpin Album",
+        whyTheseLyrics: "Why These Lyrics?",
+        lyricsTraceOutcome: "Answered by",
+        lyricsTraceWinner: "Chosen provider",
+        lyricsTraceSkipped: "Skipped (cooling down)",
+        lyricsTraceMerged: "Merged from",
+        lyricsTraceLocalMatch: "Uploaded lyrics",
+        lyricsTraceNoMatch: "No match",
+        lyricsTraceYouTube: "YouTube captions",
+        lyricsTraceNegativeCache: "Remembered as not found",
+        lyricsTraceError: "Error",
+        lyricsTraceLines: "lines",
+        lyricsTraceCopy: "Copy as JSON",
+        lyricsTraceCopied: "Copied",
+        lyricsTraceClose: "Close",
+        exportLyrics: "Export Lyrics",
+        exportFormatLrc: "LRC",
+        exportFormatEnhancedLrc: "Enhanced LRC (word timing)",
+        exportApplySponsorBlock: "Use SponsorBlock-adjusted timing",
+        exportApplyOffset: "Apply my lyrics offset",
+        exportSave: "Save",
+        exportFailed: "Could not export these lyrics.",
+        syncLyrics: "Sync These Lyrics",
+        syncEditorTitle: "Sync Lyrics",
+        syncEditorHint: "Play the song and press Enter or Tap as each line starts. Backspace undoes the last tap; click a time to select it and nudge it with the arrow keys.",
+        syncModeLine: "Lines",
+        syncModeWord: "Words",
+        syncUndo: "Undo",
+        syncTap: "Tap",
+        syncSave: "Save",
+        syncCancel: "Cancel",
+        syncReplay: "Replay from this line",
+        syncNothingTapped: "Tap at least one line before saving.",
+        syncSaveFailed: "Could not save these lyrics.",
+        estimatedWordTiming: "Word timing is estimated",
+        offsetEarlier: "Show lyrics earlier for this song",
+        offsetLater: "Show lyrics later for this song",
+        offsetReset: "This song's lyrics offset. Click to reset (Alt+0)",
+        lyricsTraceTimingCorrection: "Timing corrected"
     },
     'es-ES': {
         loading: "Cargando letras",
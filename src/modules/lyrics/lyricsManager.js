@@ -19,6 +19,8 @@ if (typeof storageLocalGet === 'function') {
 let lastKnownSongInfo = null;
 let lastFetchedLyrics = null;
 let lastBaseLyrics = null;
+let lastLyricsTrace = null;           // Background's record of how lastBaseLyrics was found
+let lastExportableLyrics = null;      // Merged lyrics behind the display, before SponsorBlock and word-to-line conversion
 let lastTranslationResponse = null;
 let lastRomanizationResponse = null;
 
@@ -32,6 +34,7 @@ const TRANSLATION_SETTING_KEYS = ['translationProvider', 'geminiApiKey', 'gemini
 const ROMANIZATION_SETTING_KEYS = ['romanizationProvider', 'geminiRomanizationModel'];
 const RESTART_REQUIRED_KEYS = ['isEnabled', 'dynamicPlayer'];
 const LYRICS_SOURCE_KEYS = ['lyricsProvider', 'lyricsSourceOrder', 'customKpoeUrl', 'appleMusicTTMLBypass'];
+const PREFETCH_SETTING_KEYS = ['prefetchQueueCount'];
 
 
 /* =================================================================
@@ -132,6 +135,82 @@ function convertWordLyricsToLine(lyrics) {
   };
 }
 
+// CJK characters and Hangul blocks are sung one per syllable; anything else is split into words
+const ESTIMATED_UNIT_REGEX =
+  /[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff\uac00-\ud7af]\s*|[^\s\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff\uac00-\ud7af]+\s*/g;
+const ESTIMATED_CHARACTER_WEIGHT = 0.15;   // Long words take a little longer than their syllables alone suggest
+const ESTIMATED_MAX_MS_PER_SYLLABLE = 650; // Keeps a line from filling slowly across a long instrumental gap
+
+/**
+ * Guesses how many syllables a word has from its vowel groups. A trailing
+ * silent "e" ("make", "love") is not counted.
+ * @param {string} word - The word without surrounding whitespace.
+ * @returns {number} At least 1.
+ */
+function countSyllables(word) {
+  if (/^[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff\uac00-\ud7af]$/.test(word)) return 1;
+
+  const lower = word.toLowerCase();
+  let count = (lower.match(/[aeiouyàáâãäåæèéêëìíîïòóôõöøùúûüýÿœ]+/g) || []).length;
+  if (count > 1 && /[^aeiouyl]e$/.test(lower)) count--;
+  return Math.max(1, count);
+}
+
+/**
+ * Gives each line of Line-synced lyrics a syllabus spread over the line's
+ * time, weighted by syllable and character counts. The result is Word-synced
+ * lyrics flagged with `metadata.estimatedTiming`, shaped like the ones
+ * DataParser.parseKPoeFormat produces.
+ * @param {object} lyrics - Line-synced lyrics in the internal format.
+ * @returns {object} Word-type lyrics, or the original if not Line-synced.
+ */
+function estimateWordTimings(lyrics) {
+  if (lyrics.type !== "Line") return lyrics;
+
+  const data = lyrics.data.map(line => {
+    const units = (line.text || '').trim().match(ESTIMATED_UNIT_REGEX);
+    if (!units || !(line.duration > 0)) return { ...line, syllabus: [] };
+
+    const weights = units.map(unit => {
+      const word = unit.trim();
+      return countSyllables(word) + word.length * ESTIMATED_CHARACTER_WEIGHT;
+    });
+    const syllableCount = units.reduce((sum, unit) => sum + countSyllables(unit.trim()), 0);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    const startMs = line.startTime * 1000;
+    const spanMs = Math.min(line.duration * 1000, syllableCount * ESTIMATED_MAX_MS_PER_SYLLABLE);
+
+    let elapsed = 0;
+    const syllabus = units.map((text, index) => {
+      const time = Math.round(startMs + (elapsed / totalWeight) * spanMs);
+      elapsed += weights[index];
+      const end = Math.round(startMs + (elapsed / totalWeight) * spanMs);
+      return { text, time, duration: end - time, isBackground: false };
+    });
+
+    return { ...line, syllabus };
+  });
+
+  return {
+    ...lyrics,
+    type: "Word",
+    data,
+    metadata: { ...lyrics.metadata, estimatedTiming: true }
+  };
+}
+
+/**
+ * Brings the lyrics to the sync level the settings ask for: word timing is
+ * dropped when word-by-word is off and estimated for line-synced lyrics when
+ * the user opted in.
+ */
+function applyWordTimingSettings(lyrics) {
+  if (!currentSettings.wordByWord) return convertWordLyricsToLine(lyrics);
+  if (currentSettings.estimateWordTiming) return estimateWordTimings(lyrics);
+  return lyrics;
+}
+
 
 /* =================================================================
    HELPER FUNCTIONS - FETCHING LOGIC
@@ -184,6 +263,8 @@ async function fetchBaseLyrics(currentSong, isNewSong, forceReload, fetchId) {
 
   LyricsPlusAPI.cleanupLyrics();
   lastBaseLyrics = null;
+  lastLyricsTrace = null;
+  lastExportableLyrics = null;
   lastKnownSongInfo = null;
   lastTranslationResponse = null;
   lastRomanizationResponse = null;
@@ -199,8 +280,10 @@ async function fetchBaseLyrics(currentSong, isNewSong, forceReload, fetchId) {
     return null;
   }
 
+  lastLyricsTrace = response.trace || null;
+
   if (!response.success) {
-    console.warn('Failed to fetch original lyrics:', response.error);
+    console.warn('Failed to fetch original lyrics:', response.error, lastLyricsTrace);
     if (LyricsPlusAPI.displaySongNotFound) LyricsPlusAPI.displaySongNotFound();
     return null;
   }
@@ -301,7 +384,9 @@ function callDisplayLyricsAPI(lyrics, currentSong, displayMode) {
     fetchAndDisplayLyrics,
     setCurrentDisplayModeAndRender,
     currentSettings.largerTextMode,
-    audioCtx.outputLatency || 0
+    audioCtx.outputLatency || 0,
+    lastLyricsTrace,
+    lastExportableLyrics
   );
 }
 
@@ -311,10 +396,9 @@ function callDisplayLyricsAPI(lyrics, currentSong, displayMode) {
  */
 function renderPreliminaryBaseLyrics(baseLyrics, currentSong) {
   let lyrics = JSON.parse(JSON.stringify(baseLyrics));
+  lastExportableLyrics = { ...baseLyrics, sponsorBlockData: null };
 
-  if (lyrics.type === "Word" && !currentSettings.wordByWord) {
-    lyrics = convertWordLyricsToLine(lyrics);
-  }
+  lyrics = applyWordTimingSettings(lyrics);
 
   lyrics.type = normalizeLyricsType(lyrics.type);
   callDisplayLyricsAPI(lyrics, currentSong, 'none');
@@ -392,14 +476,20 @@ async function fetchAndDisplayLyrics(currentSong, isNewSong = false, forceReload
 
     const finalDisplayMode = determineFinalDisplayMode(effectiveMode, hasTranslation, hasRomanization);
 
-    if (lyrics.type === "Word" && !currentSettings.wordByWord) {
-      lyrics = convertWordLyricsToLine(lyrics);
-    }
-
+    const unadjustedData = lyrics.data;
     const adjustedData = await applySponsorBlock(lyrics, currentSong, fetchId);
     if (adjustedData === null) return; // Song changed mid-fetch
     lyrics.data = adjustedData;
 
+    // Exports keep the words and may leave the SponsorBlock shift out
+    lastExportableLyrics = {
+      ...lyrics,
+      data: unadjustedData,
+      sponsorBlockData: adjustedData !== unadjustedData ? adjustedData : null
+    };
+
+    lyrics = applyWordTimingSettings(lyrics);
+
     renderFinalLyrics(lyrics, currentSong, finalDisplayMode);
 
     lastKnownSongInfo = currentSong;
@@ -418,6 +508,46 @@ async function fetchAndDisplayLyrics(currentSong, isNewSong = false, forceReload
 }
 
 
+/* =================================================================
+   PREFETCHING UPCOMING SONGS
+   ================================================================= */
+
+function getPrefetchQueueCount() {
+  return Number(currentSettings.prefetchQueueCount) || 0;
+}
+
+/**
+ * Asks the injected song tracker for the songs queued after the current one.
+ * The tracker answers with a LYPLUS_QUEUE_UPDATED message.
+ */
+function requestUpcomingSongs() {
+  const count = getPrefetchQueueCount();
+  if (count > 0) window.postMessage({ type: 'LYPLUS_GET_QUEUE', count }, '*');
+}
+
+/**
+ * Hands the upcoming songs to the background, which warms the lyrics cache for them
+ * along with the translation and romanization the current display mode will ask for.
+ * An empty list still cancels whatever the previous song queued.
+ * @param {object[]} upcoming - Song info objects in queue order, as reported by the tracker.
+ */
+function prefetchUpcomingSongs(upcoming) {
+  if (getPrefetchQueueCount() <= 0) return;
+
+  const songs = (upcoming || []).filter(song => song?.title?.trim() && song.artist?.trim());
+  const actions = [];
+  if (currentDisplayMode === 'translate' || currentDisplayMode === 'both') actions.push('translate');
+  if (currentDisplayMode === 'romanize' || currentDisplayMode === 'both' || currentSettings.largerTextMode === "romanization") actions.push('romanize');
+
+  pBrowser.runtime.sendMessage({
+    type: 'PREFETCH_LYRICS',
+    songs,
+    actions,
+    targetLang: document.documentElement.getAttribute('lang')
+  }).catch(e => console.warn('Failed to queue prefetch:', e));
+}
+
+
 /* =================================================================
    PUBLIC API AND RENDER TRIGGER
    ================================================================= */
@@ -451,11 +581,19 @@ window.addEventListener('YOUPLUS_SETTINGS_UPDATED', ({ detail }) => {
   if (translationChanged) lastTranslationResponse = null;
   if (changedKeys.some(k => ROMANIZATION_SETTING_KEYS.includes(k))) lastRomanizationResponse = null;
 
+  if (changedKeys.some(k => PREFETCH_SETTING_KEYS.includes(k))) {
+    if (getPrefetchQueueCount() > 0) {
+      requestUpcomingSongs();
+    } else {
+      pBrowser.runtime.sendMessage({ type: 'CANCEL_PREFETCH' }).catch(() => {});
+    }
+  }
+
   lastProcessedDisplayMode = 'none';
 
   if (!lastKnownSongInfo) return;
 
-  const nonRenderingKeys = [...RESTART_REQUIRED_KEYS];
+  const nonRenderingKeys = [...RESTART_REQUIRED_KEYS, ...PREFETCH_SETTING_KEYS];
   const shouldRender = changedKeys.some(k => !nonRenderingKeys.includes(k));
 
   if (shouldRender) {
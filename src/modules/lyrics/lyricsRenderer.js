@@ -36,7 +36,15 @@ class LyricsPlusRenderer {
     this.translationButton = null;
     this.reloadButton = null;
     this.dropdownMenu = null;
+    this._dropdownBuildId = 0;
     this.buttonsWrapper = null;
+    this.syncEditor = null;
+
+    this.songOffset = null; // ms, null while the song follows the global lyricOffset
+    this._songOffsetKey = null;
+    this.offsetControls = null;
+    this.offsetBadge = null;
+    this._boundOffsetShortcutHandler = this._onOffsetShortcut.bind(this);
     this._boundLyricClickHandler = this._onLyricClick.bind(this);
 
     this.isProgrammaticScrolling = false;
@@ -1188,6 +1196,15 @@ class LyricsPlusRenderer {
     const container = document.createElement("div");
     container.className = "lyrics-plain-text-container";
 
+    const syncButton = document.createElement("button");
+    syncButton.className = "lyrics-sync-start-button";
+    syncButton.textContent = t("syncLyrics");
+    syncButton.addEventListener("click", (event) => {
+      event.stopPropagation();
+      this._openSyncEditor(lyrics);
+    });
+    container.appendChild(syncButton);
+
     const contentWrapper = document.createElement("div");
     contentWrapper.className = "lyrics-plain-text-content";
 
@@ -1219,6 +1236,17 @@ class LyricsPlusRenderer {
     fragment.appendChild(container);
   }
 
+  /**
+   * Opens the tap-to-sync editor over the plain lyrics of the current song.
+   * @param {object} lyrics - The plain lyrics being displayed.
+   * @private
+   */
+  _openSyncEditor(lyrics) {
+    this.syncEditor?.close();
+    this.syncEditor = new LyricsSyncEditor(this, lyrics);
+    this.syncEditor.open();
+  }
+
   /**
    * Applies the appropriate CSS classes to the container based on the display mode.
    * @param {HTMLElement} container - The lyrics container element.
@@ -1720,6 +1748,12 @@ class LyricsPlusRenderer {
     sourceDiv.className = "lyrics-source-provider";
     sourceDiv.innerText = `${t("source")} ${lyrics.metadata.source}`;
     metadataContainer.appendChild(sourceDiv);
+    if (lyrics.metadata.estimatedTiming) {
+      const estimatedDiv = document.createElement("span");
+      estimatedDiv.className = "lyrics-estimated-timing";
+      estimatedDiv.innerText = t("estimatedWordTiming");
+      metadataContainer.appendChild(estimatedDiv);
+    }
     container.appendChild(metadataContainer);
 
     const emptyDiv = document.createElement("div");
@@ -1770,7 +1804,7 @@ class LyricsPlusRenderer {
 
     if (this.cachedLyricsLines.length > 0) {
       const currentTime =
-        (this._getCurrentPlayerTime() - this.offsetLatency) * 1000 + (this.currentSettings.lyricOffset || 0);
+        (this._getCurrentPlayerTime() - this.offsetLatency) * 1000 + this._getLyricOffset();
       let activeIndex = this._getLineIndexAtTime(currentTime);
       if (activeIndex === -1) activeIndex = 0;
 
@@ -1798,6 +1832,10 @@ class LyricsPlusRenderer {
    * @param {object} currentSettings - The current user settings.
    * @param {Function} fetchAndDisplayLyricsFn - The function to fetch and display lyrics.
    * @param {Function} setCurrentDisplayModeAndRefetchFn - The function to set display mode and refetch.
+   * @param {string} largerTextMode - Which text is shown larger ('lyrics' or 'romanization').
+   * @param {number} offsetLatency - Audio output latency in seconds.
+   * @param {object|null} lyricsTrace - The background's record of how the lyrics were found.
+   * @param {object|null} exportableLyrics - The full lyrics behind the display, for export.
    */
   displayLyrics(
     lyrics,
@@ -1808,13 +1846,19 @@ class LyricsPlusRenderer {
     setCurrentDisplayModeAndRefetchFn,
     largerTextMode = "lyrics",
     offsetLatency = 0,
+    lyricsTrace = null,
+    exportableLyrics = null,
   ) {
     this.lastKnownSongInfo = songInfo;
+    this._loadSongOffset(songInfo);
+    this.lastLyricsTrace = lyricsTrace;
+    this.lastExportableLyrics = exportableLyrics;
     this.currentSettings = currentSettings;
     this.fetchAndDisplayLyricsFn = fetchAndDisplayLyricsFn;
     this.setCurrentDisplayModeAndRefetchFn = setCurrentDisplayModeAndRefetchFn;
     this.largerTextMode = largerTextMode;
     this.offsetLatency = offsetLatency;
+    this.syncEditor?.close();
 
     // Reset translation loading state if it was active
     this.setTranslationLoading(false);
@@ -2042,7 +2086,7 @@ class LyricsPlusRenderer {
     if (!this.uiConfig.disableNativeTick) {
       const sync = () => {
         const currentTime =
-          (this._getCurrentPlayerTime() - this.offsetLatency) * 1000 + (this.currentSettings.lyricOffset || 0);
+          (this._getCurrentPlayerTime() - this.offsetLatency) * 1000 + this._getLyricOffset();
         if (currentTime !== this.lastTime) {
           const isForceScroll = Math.abs(currentTime - this.lastTime) > 1000;
           this._updateLyricsHighlight(
@@ -2074,7 +2118,7 @@ class LyricsPlusRenderer {
    * @param {number} currentTime - The current video time in seconds.
    */
   updateCurrentTick(currentTime) {
-    currentTime = currentTime * 1000 + (this.currentSettings.lyricOffset || 0);
+    currentTime = currentTime * 1000 + this._getLyricOffset();
     const isForceScroll = Math.abs(currentTime - this.lastTime) > 1000;
     this._updateLyricsHighlight(
       currentTime - this.offsetLatency,
@@ -3182,6 +3226,44 @@ class LyricsPlusRenderer {
       }
     }
 
+    // Offset Controls Logic
+    if (!this.offsetControls) {
+      this.offsetControls = document.createElement("div");
+      this.offsetControls.id = "lyrics-plus-offset-controls";
+
+      const addOffsetButton = (label, deltaMs, title, shortcut) => {
+        const button = document.createElement("button");
+        button.textContent = label;
+        button.title = `${title} (${Math.abs(deltaMs)} ms, ${shortcut})`;
+        button.addEventListener("click", (event) => {
+          event.stopPropagation();
+          this._adjustSongOffset(deltaMs);
+        });
+        this.offsetControls.appendChild(button);
+      };
+      addOffsetButton("«", 500, t("offsetEarlier"), "Alt+Shift+[");
+      addOffsetButton("‹", 50, t("offsetEarlier"), "Alt+[");
+
+      this.offsetBadge = document.createElement("button");
+      this.offsetBadge.className = "lyrics-plus-offset-badge";
+      this.offsetBadge.title = t("offsetReset");
+      this.offsetBadge.addEventListener("click", (event) => {
+        event.stopPropagation();
+        this._setSongOffset(null);
+      });
+      this.offsetControls.appendChild(this.offsetBadge);
+
+      addOffsetButton("›", -50, t("offsetLater"), "Alt+]");
+      addOffsetButton("»", -500, t("offsetLater"), "Alt+Shift+]");
+
+      this.buttonsWrapper.appendChild(this.offsetControls);
+      document.addEventListener("keydown", this._boundOffsetShortcutHandler);
+      this._updateOffsetBadge();
+    } else if (!this.buttonsWrapper.contains(this.offsetControls)) {
+      this.buttonsWrapper.appendChild(this.offsetControls);
+    }
+    this.offsetControls.classList.toggle("hidden", this.currentLyricsType === "None");
+
     // Reload Button Logic
     if (!this.reloadButton) {
       this.reloadButton = document.createElement("button");
@@ -3201,6 +3283,98 @@ class LyricsPlusRenderer {
     }
   }
 
+  /**
+   * The offset in ms added to the player time: the song's own offset when
+   * the user set one, otherwise the global lyricOffset setting.
+   */
+  _getLyricOffset() {
+    return this.songOffset ?? (Number(this.currentSettings?.lyricOffset) || 0);
+  }
+
+  /**
+   * Asks the background for the offset saved for the song. The global offset
+   * applies until the answer arrives and when there is none.
+   * @param {object} songInfo - The song being displayed.
+   */
+  async _loadSongOffset(songInfo) {
+    const key = [songInfo?.title, songInfo?.artist, songInfo?.videoId || songInfo?.appleId || songInfo?.tidalId]
+      .join("|");
+    if (key === this._songOffsetKey) return;
+
+    this._songOffsetKey = key;
+    this.songOffset = null;
+    this._updateOffsetBadge();
+
+    const sendMessage = window.LyricsPlusAPI?.sendMessageToBackground;
+    if (!songInfo || !sendMessage) return;
+
+    const response = await sendMessage({ type: "GET_SONG_OFFSET", songInfo });
+    if (this._songOffsetKey !== key || !response?.success) return;
+    this.songOffset = response.offsetMs;
+    this._updateOffsetBadge();
+  }
+
+  _adjustSongOffset(deltaMs) {
+    const offsetMs = this._getLyricOffset() + deltaMs;
+    // Landing back on the global offset drops the song's own
+    const globalOffset = Number(this.currentSettings?.lyricOffset) || 0;
+    this._setSongOffset(offsetMs === globalOffset ? null : offsetMs);
+  }
+
+  /**
+   * Applies and saves the song's offset; null returns the song to the
+   * global setting.
+   * @param {number|null} offsetMs
+   */
+  _setSongOffset(offsetMs) {
+    const songInfo = this.lastKnownSongInfo;
+    const sendMessage = window.LyricsPlusAPI?.sendMessageToBackground;
+    if (!songInfo || !sendMessage) return;
+
+    this.songOffset = offsetMs;
+    this._updateOffsetBadge();
+
+    sendMessage({ type: "SET_SONG_OFFSET", songInfo, offsetMs }).then((response) => {
+      if (!response?.success) {
+        console.warn("LYPLUS: Saving the song offset failed:", response?.error);
+      }
+    });
+  }
+
+  _updateOffsetBadge() {
+    if (!this.offsetBadge) return;
+
+    const offsetMs = this._getLyricOffset();
+    const sign = offsetMs > 0 ? "+" : "−";
+    this.offsetBadge.textContent = Math.abs(offsetMs) >= 1000
+      ? `${sign}${(Math.abs(offsetMs) / 1000).toFixed(1)} s`
+      : `${sign}${Math.abs(offsetMs)} ms`;
+    this.offsetBadge.classList.toggle("hidden", offsetMs === 0);
+    this.offsetBadge.classList.toggle("song-specific", this.songOffset !== null);
+  }
+
+  /**
+   * Alt+[ and Alt+] move the lyrics 50 ms earlier or later, 500 ms with
+   * Shift; Alt+0 resets the song to the global offset.
+   */
+  _onOffsetShortcut(event) {
+    if (!event.altKey || event.ctrlKey || event.metaKey) return;
+    const target = event.target;
+    if (target?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName)) return;
+
+    const step = event.shiftKey ? 500 : 50;
+    const actions = {
+      BracketLeft: () => this._adjustSongOffset(step),
+      BracketRight: () => this._adjustSongOffset(-step),
+      Digit0: () => this._setSongOffset(null),
+    };
+    const action = actions[event.code];
+    if (!action || !this.lastKnownSongInfo) return;
+
+    event.preventDefault();
+    action();
+  }
+
   _createDropdownMenu(parentWrapper) {
     if (this.dropdownMenu) {
       this.dropdownMenu.innerHTML = "";
@@ -3337,6 +3511,349 @@ class LyricsPlusRenderer {
       });
       this.dropdownMenu.appendChild(optionDiv);
     }
+
+    if (this.lastLyricsTrace) {
+      const traceIconSVG = `<svg width="16" height="16" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+        <path d="M11 7h2v2h-2zm0 4h2v6h-2zm1-9C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8z" fill="currentColor"/>
+      </svg>`;
+
+      const optionDiv = document.createElement("div");
+      optionDiv.className = "dropdown-option";
+      const textSpan = document.createElement("span");
+      textSpan.textContent = t("whyTheseLyrics");
+      const iconDiv = document.createElement("div");
+      iconDiv.className = "dropdown-icon";
+      iconDiv.innerHTML = traceIconSVG;
+      optionDiv.appendChild(textSpan);
+      optionDiv.appendChild(iconDiv);
+      optionDiv.addEventListener("click", () => {
+        this.dropdownMenu.classList.add("hidden");
+        this._showLyricsTrace(this.lastLyricsTrace);
+      });
+      this.dropdownMenu.appendChild(optionDiv);
+    }
+
+    if (this.lastExportableLyrics?.data?.length && this.lastExportableLyrics.type !== "None") {
+      const exportIconSVG = `<svg width="16" height="16" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+        <path d="M19 12v7H5v-7H3v7c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2v-7h-2zm-6 .67l2.59-2.58L17 11.5l-5 5-5-5 1.41-1.41L11 12.67V3h2v9.67z" fill="currentColor"/>
+      </svg>`;
+
+      const optionDiv = document.createElement("div");
+      optionDiv.className = "dropdown-option";
+      const textSpan = document.createElement("span");
+      textSpan.textContent = t("exportLyrics");
+      const iconDiv = document.createElement("div");
+      iconDiv.className = "dropdown-icon";
+      iconDiv.innerHTML = exportIconSVG;
+      optionDiv.appendChild(textSpan);
+      optionDiv.appendChild(iconDiv);
+      optionDiv.addEventListener("click", () => {
+        this.dropdownMenu.classList.add("hidden");
+        this._showLyricsExport(this.lastExportableLyrics);
+      });
+      this.dropdownMenu.appendChild(optionDiv);
+    }
+
+    this._appendPinOptions();
+  }
+
+  /**
+   * Turns a lyrics trace into label/value rows. A cache hit is explained by
+   * the trace of the fetch that filled the cache, when one was kept.
+   * @param {object} trace - The trace sent with the lyrics.
+   * @returns {Array<[string, string]>}
+   */
+  _summarizeLyricsTrace(trace) {
+    const rows = [];
+    const origin = trace.cacheHit?.original || trace;
+
+    const outcome = trace.cacheHit
+      ? `${trace.outcome} (${trace.cacheHit.source})`
+      : trace.outcome;
+    rows.push([t("lyricsTraceOutcome"), outcome || "-"]);
+
+    if (origin.winner) {
+      rows.push([t("lyricsTraceWinner"), `${origin.winner.provider} (${origin.winner.reason})`]);
+    }
+
+    for (const provider of origin.providerOrder || []) {
+      const entry = origin.providers?.[provider];
+      if (!entry) continue;
+      const details = [entry.status];
+      if (entry.latencyMs !== undefined) details.push(`${entry.latencyMs} ms`);
+      if (entry.score) details.push(`score ${entry.score.total}`);
+      if (entry.type) details.push(entry.type);
+      if (entry.lineCount) details.push(`${entry.lineCount} ${t("lyricsTraceLines")}`);
+      if (entry.error) details.push(entry.error);
+      rows.push([provider, details.join(", ")]);
+    }
+
+    if (origin.skippedProviders?.length) {
+      rows.push([t("lyricsTraceSkipped"), origin.skippedProviders.join(", ")]);
+    }
+
+    if (origin.merged?.sources?.length) {
+      rows.push([t("lyricsTraceMerged"), origin.merged.sources.join(", ")]);
+    }
+
+    if (origin.timingCorrection) {
+      const { rate, offsetMs, basis } = origin.timingCorrection;
+      const correction = rate !== 1 ? `× ${rate}` : `${offsetMs > 0 ? "+" : ""}${offsetMs} ms`;
+      rows.push([t("lyricsTraceTimingCorrection"), `${correction} (${basis})`]);
+    }
+
+    const localMatch = trace.localMatch || origin.localMatch;
+    if (localMatch) {
+      rows.push([
+        t("lyricsTraceLocalMatch"),
+        localMatch.matched
+          ? `${localMatch.songId} (score ${localMatch.score.toFixed(2)})`
+          : `${t("lyricsTraceNoMatch")} (${localMatch.candidates})`,
+      ]);
+    }
+
+    if (origin.youtubeCaptions) {
+      const { tracks, found, latencyMs } = origin.youtubeCaptions;
+      rows.push([t("lyricsTraceYouTube"), `${found ? "ok" : "empty"}, ${tracks} tracks, ${latencyMs} ms`]);
+    }
+
+    if (trace.negativeCache) {
+      const { misses, expiresAt } = trace.negativeCache;
+      rows.push([t("lyricsTraceNegativeCache"), `${misses} × (${new Date(expiresAt).toLocaleString()})`]);
+    }
+
+    if (trace.error) {
+      rows.push([t("lyricsTraceError"), trace.error]);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Opens a dialog explaining where the current lyrics came from, with a
+   * button to copy the raw trace for bug reports.
+   * @param {object} trace - The trace sent with the lyrics.
+   */
+  _showLyricsTrace(trace) {
+    document.getElementById("lyrics-plus-trace-dialog")?.remove();
+
+    const overlay = document.createElement("div");
+    overlay.id = "lyrics-plus-trace-dialog";
+    overlay.addEventListener("click", (event) => {
+      if (event.target === overlay) overlay.remove();
+    });
+
+    const panel = document.createElement("div");
+    panel.className = "lyrics-trace-panel";
+
+    const title = document.createElement("h2");
+    title.textContent = t("whyTheseLyrics");
+    panel.appendChild(title);
+
+    const list = document.createElement("dl");
+    for (const [label, value] of this._summarizeLyricsTrace(trace)) {
+      const term = document.createElement("dt");
+      term.textContent = label;
+      const description = document.createElement("dd");
+      description.textContent = value;
+      list.appendChild(term);
+      list.appendChild(description);
+    }
+    panel.appendChild(list);
+
+    const actions = document.createElement("div");
+    actions.className = "lyrics-trace-actions";
+
+    const copyButton = document.createElement("button");
+    copyButton.textContent = t("lyricsTraceCopy");
+    copyButton.addEventListener("click", async () => {
+      try {
+        await navigator.clipboard.writeText(JSON.stringify(trace, null, 2));
+        copyButton.textContent = t("lyricsTraceCopied");
+      } catch (error) {
+        console.warn("LYPLUS: Failed to copy lyrics trace:", error);
+      }
+    });
+
+    const closeButton = document.createElement("button");
+    closeButton.textContent = t("lyricsTraceClose");
+    closeButton.addEventListener("click", () => overlay.remove());
+
+    actions.appendChild(copyButton);
+    actions.appendChild(closeButton);
+    panel.appendChild(actions);
+    overlay.appendChild(panel);
+    document.body.appendChild(overlay);
+  }
+
+  /**
+   * Opens a dialog that saves the current lyrics to a file. The background
+   * does the conversion; SponsorBlock-adjusted times and the user's lyric
+   * offset are offered when they apply.
+   * @param {object} lyrics - The full lyrics behind the display.
+   */
+  _showLyricsExport(lyrics) {
+    document.getElementById("lyrics-plus-export-dialog")?.remove();
+
+    const sendMessage = window.LyricsPlusAPI?.sendMessageToBackground;
+    const songInfo = this.lastKnownSongInfo || {};
+    const lyricOffset = this._getLyricOffset();
+
+    const overlay = document.createElement("div");
+    overlay.id = "lyrics-plus-export-dialog";
+    overlay.addEventListener("click", (event) => {
+      if (event.target === overlay) overlay.remove();
+    });
+
+    const panel = document.createElement("div");
+    panel.className = "lyrics-export-panel";
+
+    const title = document.createElement("h2");
+    title.textContent = t("exportLyrics");
+    panel.appendChild(title);
+
+    const formatSelect = document.createElement("select");
+    const formats = [
+      ["lrc", t("exportFormatLrc")],
+      ["elrc", t("exportFormatEnhancedLrc")],
+      ["ttml", "TTML"],
+      ["srt", "SRT"],
+      ["kpoe", "KPoe JSON"],
+    ];
+    for (const [value, label] of formats) {
+      if (value === "elrc" && lyrics.type !== "Word") continue;
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      formatSelect.appendChild(option);
+    }
+    panel.appendChild(formatSelect);
+
+    const addCheckbox = (label) => {
+      const row = document.createElement("label");
+      row.className = "lyrics-export-option";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      row.appendChild(checkbox);
+      row.appendChild(document.createTextNode(label));
+      panel.appendChild(row);
+      return checkbox;
+    };
+    const sponsorBlockCheckbox = lyrics.sponsorBlockData
+      ? addCheckbox(t("exportApplySponsorBlock"))
+      : null;
+    const offsetCheckbox = lyricOffset
+      ? addCheckbox(`${t("exportApplyOffset")} (${lyricOffset} ms)`)
+      : null;
+
+    const status = document.createElement("p");
+    status.className = "lyrics-export-status";
+    panel.appendChild(status);
+
+    const actions = document.createElement("div");
+    actions.className = "lyrics-export-actions";
+
+    const saveButton = document.createElement("button");
+    saveButton.textContent = t("exportSave");
+    saveButton.addEventListener("click", async () => {
+      if (!sendMessage) return;
+      saveButton.disabled = true;
+      const response = await sendMessage({
+        type: "EXPORT_LYRICS",
+        format: formatSelect.value,
+        lyrics: sponsorBlockCheckbox?.checked ? { ...lyrics, data: lyrics.sponsorBlockData } : lyrics,
+        // Lyrics show `lyricOffset` ms after their time, so the file moves the other way
+        offsetMs: offsetCheckbox?.checked ? -lyricOffset : 0,
+        translationLang: this.currentSettings?.customTranslateTarget || document.documentElement.lang || "",
+        songInfo,
+      });
+      saveButton.disabled = false;
+
+      if (!response?.success) {
+        console.warn("LYPLUS: Lyrics export failed:", response?.error);
+        status.textContent = t("exportFailed");
+        return;
+      }
+
+      const url = URL.createObjectURL(new Blob([response.content], { type: response.mimeType }));
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = response.fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      overlay.remove();
+    });
+
+    const closeButton = document.createElement("button");
+    closeButton.textContent = t("lyricsTraceClose");
+    closeButton.addEventListener("click", () => overlay.remove());
+
+    actions.appendChild(saveButton);
+    actions.appendChild(closeButton);
+    panel.appendChild(actions);
+    overlay.appendChild(panel);
+    document.body.appendChild(overlay);
+  }
+
+  /**
+   * Appends the pin/unpin entries for the current song and its album once the
+   * background has reported what is pinned. A menu rebuilt in the meantime
+   * discards the stale answer.
+   */
+  async _appendPinOptions() {
+    const songInfo = this.lastKnownSongInfo;
+    const sendMessage = window.LyricsPlusAPI?.sendMessageToBackground;
+    if (!songInfo || !sendMessage) return;
+
+    const buildId = ++this._dropdownBuildId;
+    const status = await sendMessage({ type: "GET_PIN_STATUS", songInfo });
+    if (!status?.success || buildId !== this._dropdownBuildId || !this.dropdownMenu) return;
+
+    const pinIconSVG = `<svg width="16" height="16" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+      <path d="M14 4v5c0 1.12.37 2.16 1 3H9c.65-.86 1-1.9 1-3V4h4m3-2H7c-.55 0-1 .45-1 1s.45 1 1 1h1v5c0 1.66-1.34 3-3 3v2h5.97v7l1 1 1-1v-7H19v-2c-1.66 0-3-1.34-3-3V4h1c.55 0 1-.45 1-1s-.45-1-1-1z" fill="currentColor"/>
+    </svg>`;
+
+    const unpinIconSVG = `<svg width="16" height="16" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+      <path d="M16 9V4h1c.55 0 1-.45 1-1s-.45-1-1-1H7c-.55 0-1 .45-1 1s.45 1 1 1h1v5c0 1.66-1.34 3-3 3v2h5.97v7l1 1 1-1v-7H19v-2c-1.66 0-3-1.34-3-3z" fill="currentColor"/>
+    </svg>`;
+
+    const addOption = (label, iconSVG, message) => {
+      const optionDiv = document.createElement("div");
+      optionDiv.className = "dropdown-option";
+      const textSpan = document.createElement("span");
+      textSpan.textContent = label;
+      const iconDiv = document.createElement("div");
+      iconDiv.className = "dropdown-icon";
+      iconDiv.innerHTML = iconSVG;
+      optionDiv.appendChild(textSpan);
+      optionDiv.appendChild(iconDiv);
+      optionDiv.addEventListener("click", async () => {
+        this.dropdownMenu.classList.add("hidden");
+        const response = await sendMessage(message);
+        if (!response?.success) {
+          console.warn(`LYPLUS: ${message.type} failed:`, response?.error);
+        }
+      });
+      this.dropdownMenu.appendChild(optionDiv);
+    };
+
+    const separator = document.createElement("div");
+    separator.className = "dropdown-separator";
+    this.dropdownMenu.appendChild(separator);
+
+    if (status.songKey) {
+      addOption(t("unpinSong"), unpinIconSVG, { type: "UNPIN", key: status.songKey });
+    } else {
+      addOption(t("pinSong"), pinIconSVG, { type: "PIN_SONG", songInfo });
+    }
+
+    if (status.albumKey) {
+      addOption(t("unpinAlbum"), unpinIconSVG, { type: "UNPIN", key: status.albumKey });
+    } else if (songInfo.album) {
+      addOption(t("pinAlbum"), pinIconSVG, { type: "PIN_ALBUM", songInfo });
+    }
   }
 
   _updateTranslationButtonText() {
@@ -3832,6 +4349,7 @@ class LyricsPlusRenderer {
    */
   cleanupLyrics() {
     this._removeSongInfoDisplay();
+    this.syncEditor?.close();
 
     // Event Cleanup
     const scrollContainer = this.lyricsContainer?.parentElement;
@@ -3898,6 +4416,12 @@ class LyricsPlusRenderer {
     // Clean up Control Buttons
     this._removeButton("translationButton");
     this._removeButton("reloadButton");
+    if (this.offsetControls) {
+      document.removeEventListener("keydown", this._boundOffsetShortcutHandler);
+      this.offsetControls.remove();
+      this.offsetControls = null;
+      this.offsetBadge = null;
+    }
     if (this.dropdownMenu) {
       this.dropdownMenu.remove();
       this.dropdownMenu = null;
@@ -7,6 +7,7 @@ const defaultSettings = {
     lyricsProviderOrder: 'kpoe,unison,binilyrics,lrclib',
     lyricsSourceOrder: 'apple,lyricsplus,qq,musixmatch,musixmatch-word',
     wordByWord: true,
+    estimateWordTiming: false, // spread line-synced lyrics over their words
     lightweight: false,
     isEnabled: true,
     useSponsorBlock: false,
@@ -37,6 +38,12 @@ const defaultSettings = {
     bkgOverlap: true,
     animatedAlbumArt: true,
     customKpoeUrl: '',
+    mergeProviderResults: false,
+    autoCorrectTiming: false, // fix offsets and tempo of lyrics timed against another edit
+    prefetchQueueCount: 0, // upcoming songs to prefetch, 0 disables
+    cacheQuotaMB: 50, // least recently used lyrics and translations are evicted beyond this
+    customProviders: [], // [{ id, name, urlTemplate, format: 'kpoe'|'lrc'|'ttml'|'srt'|'vtt'|'ass'|'plain', payloadPath }]
+    importFilenamePatterns: '', // bulk import, one per line; empty uses the built-in patterns
     appleMusicTTMLBypass: false,
     openRouterApiKey: '',
     openRouterModel: 'google/gemma-3n-e2b-it:free',
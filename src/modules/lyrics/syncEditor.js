@@ -0,0 +1,360 @@
+// Matches a CJK character or a run of anything else, each with its trailing space
+const SYNC_WORD_REGEX =
+  /[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff]\s*|[^\s\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff]+\s*/g;
+
+const SYNC_NUDGE_MS = 50;
+const SYNC_REPLAY_LEAD_MS = 2000;
+
+/**
+ * Turns plain lyrics into synced ones while the song plays. The user taps as
+ * each line (or word) starts; taps can be undone, nudged and redone from any
+ * line. Durations are left to the background, which repairs the lyrics
+ * before saving them to the local library.
+ */
+class LyricsSyncEditor {
+  /**
+   * @param {LyricsPlusRenderer} renderer - The renderer the editor opens in.
+   * @param {object} lyrics - The plain lyrics being displayed.
+   */
+  constructor(renderer, lyrics) {
+    this.renderer = renderer;
+    this.metadata = lyrics.metadata || {};
+    this.lines = lyrics.data
+      .filter((line) => line.text && line.text.trim())
+      .map((line) => {
+        const text = line.text.trim();
+        return {
+          text,
+          element: Array.isArray(line.element) || !line.element
+            ? { key: "", songPart: "", singer: "" }
+            : line.element,
+          time: null,
+          words: (text.match(SYNC_WORD_REGEX) || [text]).map((word) => ({
+            text: word,
+            time: null,
+          })),
+        };
+      });
+
+    this.mode = "line";
+    this.cursor = { line: 0, word: 0 };
+    this.selected = null;
+    this.history = [];
+    this.element = null;
+    this.clockTimer = null;
+    this._boundKeyHandler = this._onKeyDown.bind(this);
+  }
+
+  open() {
+    const container = this.renderer._getContainer();
+    if (!container) return;
+
+    this.element = document.createElement("div");
+    this.element.className = "lyrics-sync-editor";
+
+    const header = document.createElement("div");
+    header.className = "lyrics-sync-header";
+
+    const title = document.createElement("h2");
+    title.textContent = t("syncEditorTitle");
+    this.clockElement = document.createElement("span");
+    this.clockElement.className = "lyrics-sync-clock";
+    header.appendChild(title);
+    header.appendChild(this.clockElement);
+    this.element.appendChild(header);
+
+    const hint = document.createElement("p");
+    hint.className = "lyrics-sync-hint";
+    hint.textContent = t("syncEditorHint");
+    this.element.appendChild(hint);
+
+    const toolbar = document.createElement("div");
+    toolbar.className = "lyrics-sync-toolbar";
+    this.modeButtons = {};
+    for (const [mode, label] of [["line", t("syncModeLine")], ["word", t("syncModeWord")]]) {
+      this.modeButtons[mode] = this._createButton(label, () => this.setMode(mode));
+      toolbar.appendChild(this.modeButtons[mode]);
+    }
+    toolbar.appendChild(this._createButton(`−${SYNC_NUDGE_MS} ms`, () => this.nudge(-SYNC_NUDGE_MS)));
+    toolbar.appendChild(this._createButton(`+${SYNC_NUDGE_MS} ms`, () => this.nudge(SYNC_NUDGE_MS)));
+    toolbar.appendChild(this._createButton(t("syncUndo"), () => this.undo()));
+    this.element.appendChild(toolbar);
+
+    this.listElement = document.createElement("ol");
+    this.listElement.className = "lyrics-sync-lines";
+    this.element.appendChild(this.listElement);
+
+    this.statusElement = document.createElement("p");
+    this.statusElement.className = "lyrics-sync-status";
+    this.element.appendChild(this.statusElement);
+
+    const actions = document.createElement("div");
+    actions.className = "lyrics-sync-actions";
+    const tapButton = this._createButton(t("syncTap"), () => this.tap());
+    tapButton.classList.add("lyrics-sync-tap");
+    this.saveButton = this._createButton(t("syncSave"), () => this.save());
+    actions.appendChild(tapButton);
+    actions.appendChild(this.saveButton);
+    actions.appendChild(this._createButton(t("syncCancel"), () => this.close()));
+    this.element.appendChild(actions);
+
+    container.classList.add("sync-editing");
+    container.appendChild(this.element);
+    window.addEventListener("keydown", this._boundKeyHandler, true);
+    this.clockTimer = setInterval(() => {
+      this.clockElement.textContent = this._formatTime(this._now());
+    }, 100);
+
+    this._render();
+  }
+
+  close() {
+    window.removeEventListener("keydown", this._boundKeyHandler, true);
+    clearInterval(this.clockTimer);
+    this.clockTimer = null;
+    this.element?.parentElement?.classList.remove("sync-editing");
+    this.element?.remove();
+    this.element = null;
+    if (this.renderer.syncEditor === this) this.renderer.syncEditor = null;
+  }
+
+  setMode(mode) {
+    if (mode === this.mode) return;
+    this.mode = mode;
+    this.cursor = { line: 0, word: 0 };
+    this.selected = null;
+    this.history = [];
+    this._render();
+  }
+
+  /**
+   * Records the current playback time for the line or word at the cursor
+   * and moves the cursor on.
+   */
+  tap() {
+    const line = this.lines[this.cursor.line];
+    if (!line) return;
+
+    const now = this._now();
+    const stamp = this.mode === "word" ? line.words[this.cursor.word] : line;
+    this.history.push({ stamp, time: stamp.time, cursor: { ...this.cursor } });
+    stamp.time = now;
+    this.selected = stamp;
+
+    if (this.mode === "word" && this.cursor.word < line.words.length - 1) {
+      this.cursor.word++;
+    } else {
+      this.cursor = { line: this.cursor.line + 1, word: 0 };
+    }
+    this._render();
+  }
+
+  undo() {
+    const entry = this.history.pop();
+    if (!entry) return;
+    entry.stamp.time = entry.time;
+    this.cursor = entry.cursor;
+    this.selected = entry.time === null ? null : entry.stamp;
+    this._render();
+  }
+
+  nudge(deltaMs) {
+    if (!this.selected || this.selected.time === null) return;
+    this.selected.time = Math.max(0, this.selected.time + deltaMs);
+    this._render();
+  }
+
+  /**
+   * Plays the song again from shortly before the line and moves the cursor
+   * there, so the following taps redo the timing from that line on.
+   */
+  replayFrom(index) {
+    const earlier = this.lines
+      .slice(0, index + 1)
+      .map((line) => this._lineTime(line))
+      .filter((time) => time !== null);
+    const from = earlier.length ? earlier[earlier.length - 1] : 0;
+
+    this.renderer._seekPlayerTo(Math.max(0, from - SYNC_REPLAY_LEAD_MS) / 1000);
+    this.cursor = { line: index, word: 0 };
+    this._render();
+  }
+
+  /**
+   * Builds KPoe lyrics from the tapped lines. Untapped lines are left out
+   * and an untapped word joins the word before it.
+   */
+  toKPoe() {
+    const lyrics = [];
+
+    for (const line of this.lines) {
+      const time = this._lineTime(line);
+      if (time === null) continue;
+
+      const syllabus = [];
+      if (this.mode === "word") {
+        for (const word of line.words) {
+          if (word.time === null) {
+            syllabus[syllabus.length - 1].text += word.text;
+          } else {
+            syllabus.push({ time: word.time, duration: 0, text: word.text });
+          }
+        }
+        syllabus[syllabus.length - 1].text = syllabus[syllabus.length - 1].text.trimEnd();
+      }
+
+      lyrics.push({ time, duration: 0, text: line.text, syllabus, element: line.element });
+    }
+
+    return {
+      type: this.mode === "word" ? "Word" : "Line",
+      metadata: {
+        source: "Local Files",
+        songWriters: this.metadata.songWriters || [],
+        title: this.renderer.lastKnownSongInfo?.title || "",
+        language: this.metadata.language || "",
+        agents: {},
+        totalDuration: "",
+      },
+      lyrics,
+    };
+  }
+
+  async save() {
+    const jsonLyrics = this.toKPoe();
+    if (jsonLyrics.lyrics.length === 0) {
+      this.statusElement.textContent = t("syncNothingTapped");
+      return;
+    }
+
+    const sendMessage = window.LyricsPlusAPI?.sendMessageToBackground;
+    const songInfo = this.renderer.lastKnownSongInfo;
+    if (!sendMessage || !songInfo) return;
+
+    this.saveButton.disabled = true;
+    const response = await sendMessage({ type: "SAVE_SYNCED_LYRICS", songInfo, jsonLyrics });
+    if (!this.element) return;
+    this.saveButton.disabled = false;
+
+    if (!response?.success) {
+      console.warn("LYPLUS: Saving synced lyrics failed:", response?.error);
+      this.statusElement.textContent = t("syncSaveFailed");
+      return;
+    }
+
+    this.close();
+    this.renderer.fetchAndDisplayLyricsFn?.(songInfo, true, false);
+  }
+
+  _lineTime(line) {
+    return this.mode === "word" ? line.words[0].time : line.time;
+  }
+
+  // The time the user hears, which is what they tap to
+  _now() {
+    return Math.max(
+      0,
+      Math.round((this.renderer._getCurrentPlayerTime() - this.renderer.offsetLatency) * 1000),
+    );
+  }
+
+  _formatTime(ms) {
+    const centis = Math.floor(ms / 10);
+    const minutes = Math.floor(centis / 6000);
+    const seconds = String(Math.floor(centis / 100) % 60).padStart(2, "0");
+    return `${minutes}:${seconds}.${String(centis % 100).padStart(2, "0")}`;
+  }
+
+  _createButton(label, onClick) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.addEventListener("click", (event) => {
+      event.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  _createStamp(stamp, text) {
+    const span = document.createElement("span");
+    span.className = "lyrics-sync-stamp";
+    span.classList.toggle("selected", stamp === this.selected);
+    span.classList.toggle("untimed", stamp.time === null);
+    span.textContent = text;
+    span.addEventListener("click", (event) => {
+      event.stopPropagation();
+      if (stamp.time === null) return;
+      this.selected = stamp;
+      this._render();
+    });
+    return span;
+  }
+
+  _render() {
+    if (!this.element) return;
+
+    for (const [mode, button] of Object.entries(this.modeButtons)) {
+      button.classList.toggle("active", mode === this.mode);
+    }
+    this.statusElement.textContent = "";
+    this.listElement.innerHTML = "";
+
+    let cursorRow = null;
+    this.lines.forEach((line, index) => {
+      const row = document.createElement("li");
+      row.className = "lyrics-sync-line";
+      const isCursorLine = index === this.cursor.line;
+      row.classList.toggle("cursor", isCursorLine);
+      if (isCursorLine) cursorRow = row;
+
+      const replayButton = this._createButton("↺", () => this.replayFrom(index));
+      replayButton.className = "lyrics-sync-replay";
+      replayButton.title = t("syncReplay");
+      row.appendChild(replayButton);
+
+      if (this.mode === "line") {
+        const time = line.time === null ? "–:––.––" : this._formatTime(line.time);
+        row.appendChild(this._createStamp(line, time));
+        const text = document.createElement("span");
+        text.className = "lyrics-sync-text";
+        text.textContent = line.text;
+        row.appendChild(text);
+      } else {
+        const words = document.createElement("span");
+        words.className = "lyrics-sync-text";
+        line.words.forEach((word, wordIndex) => {
+          const wordElement = this._createStamp(word, word.text);
+          wordElement.classList.add("lyrics-sync-word");
+          wordElement.classList.toggle("cursor", isCursorLine && wordIndex === this.cursor.word);
+          if (word.time !== null) wordElement.title = this._formatTime(word.time);
+          words.appendChild(wordElement);
+        });
+        row.appendChild(words);
+      }
+
+      this.listElement.appendChild(row);
+    });
+
+    cursorRow?.scrollIntoView({ block: "center", behavior: "smooth" });
+  }
+
+  _onKeyDown(event) {
+    const target = event.target;
+    if (target?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName)) return;
+
+    const actions = {
+      Enter: () => this.tap(),
+      ArrowDown: () => this.tap(),
+      Backspace: () => this.undo(),
+      ArrowLeft: () => this.nudge(-SYNC_NUDGE_MS),
+      ArrowRight: () => this.nudge(SYNC_NUDGE_MS),
+    };
+    const action = actions[event.key];
+    if (!action || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    // The player has its own shortcuts on these keys
+    event.preventDefault();
+    event.stopPropagation();
+    action();
+  }
+}
@@ -260,6 +260,7 @@ document.addEventListener('DOMContentLoaded', () => {
         let cacheCount = 0;
         let artSizeKB = 0;
         let artCacheCount = 0;
+        let quotaKB = 0;
         let fetched = false;
 
         if (typeof pBrowser !== 'undefined' && pBrowser.runtime && pBrowser.runtime.sendMessage) {
@@ -268,6 +269,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (response && response.success) {
                     sizeKB = response.sizeKB || 0;
                     cacheCount = response.cacheCount || 0;
+                    quotaKB = response.quotaKB || 0;
                     artSizeKB = response.artSizeKB || 0;
                     artCacheCount = response.artCacheCount || 0;
                     fetched = true;
@@ -281,7 +283,7 @@ document.addEventListener('DOMContentLoaded', () => {
             try {
                 const [lyricsStats, translationsStats] = await Promise.all([
                     openIndexedDB("LyricsCacheDB", "lyrics"),
-                    openIndexedDB("TranslationsCacheDB", "translations")
+                    openIndexedDB("TranslationsDB", "translations")
                 ]);
                 sizeKB = lyricsStats.sizeKB + translationsStats.sizeKB;
                 cacheCount = lyricsStats.count + translationsStats.count;
@@ -316,7 +318,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const lSizeMB = (sizeKB / 1024).toFixed(2);
 
-        if (cacheSizeElement) cacheSizeElement.textContent = `${lSizeMB} MB`;
+        if (cacheSizeElement) {
+            cacheSizeElement.textContent = quotaKB
+                ? `${lSizeMB} / ${Math.round(quotaKB / 1024)} MB (${Math.round(sizeKB / quotaKB * 100)}%)`
+                : `${lSizeMB} MB`;
+        }
         if (cacheCountElement) cacheCountElement.textContent = cacheCount.toString();
         if (artCacheCountElement) artCacheCountElement.textContent = artCacheCount.toString();
     }
@@ -334,39 +340,44 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
-        // Direct clear fallback for IndexedDB & Chrome Storage
-        try {
-            const clearDB = (dbName, storeName) => new Promise((resolve) => {
-                const req = indexedDB.open(dbName);
-                req.onsuccess = (e) => {
-                    const db = e.target.result;
-                    if (db.objectStoreNames.contains(storeName)) {
-                        const tx = db.transaction([storeName], "readwrite");
-                        tx.objectStore(storeName).clear();
-                        tx.oncomplete = () => { db.close(); resolve(); };
-                        tx.onerror = () => { db.close(); resolve(); };
-                    } else { db.close(); resolve(); }
-                };
-                req.onerror = () => resolve();
-            });
+        // Direct clear fallback for IndexedDB & Chrome Storage, when the background could not do it
+        if (!success) {
+            try {
+                // Cache stores keep a running byte count in their "meta" store, reset along with the data
+                const clearDB = (dbName, storeName) => new Promise((resolve) => {
+                    const req = indexedDB.open(dbName);
+                    req.onsuccess = (e) => {
+                        const db = e.target.result;
+                        if (db.objectStoreNames.contains(storeName)) {
+                            const hasMeta = db.objectStoreNames.contains("meta");
+                            const tx = db.transaction(hasMeta ? [storeName, "meta"] : [storeName], "readwrite");
+                            tx.objectStore(storeName).clear();
+                            if (hasMeta) tx.objectStore("meta").put({ key: "usage", bytes: 0 });
+                            tx.oncomplete = () => { db.close(); resolve(); };
+                            tx.onerror = () => { db.close(); resolve(); };
+                        } else { db.close(); resolve(); }
+                    };
+                    req.onerror = () => resolve();
+                });
 
-            await Promise.all([
-                clearDB("LyricsCacheDB", "lyrics"),
-                clearDB("TranslationsCacheDB", "translations")
-            ]);
+                await Promise.all([
+                    clearDB("LyricsCacheDB", "lyrics"),
+                    clearDB("TranslationsDB", "translations")
+                ]);
 
-            if (typeof pBrowser !== 'undefined' && pBrowser.storage && pBrowser.storage.local) {
-                const all = await new Promise((resolve) => pBrowser.storage.local.get(null, resolve));
-                if (all) {
-                    const keysToRemove = Object.keys(all).filter(key => key.startsWith("bls_"));
-                    if (keysToRemove.length > 0) {
-                        await new Promise((resolve) => pBrowser.storage.local.remove(keysToRemove, resolve));
+                if (typeof pBrowser !== 'undefined' && pBrowser.storage && pBrowser.storage.local) {
+                    const all = await new Promise((resolve) => pBrowser.storage.local.get(null, resolve));
+                    if (all) {
+                        const keysToRemove = Object.keys(all).filter(key => key.startsWith("bls_"));
+                        if (keysToRemove.length > 0) {
+                            await new Promise((resolve) => pBrowser.storage.local.remove(keysToRemove, resolve));
+                        }
                     }
                 }
+                success = true;
+            } catch (e) {
+                console.error("YouLy+: Direct cache clear error:", e);
             }
-            success = true;
-        } catch (e) {
-            console.error("YouLy+: Direct cache clear error:", e);
         }
 
         if (success) {
@@ -71,7 +71,10 @@ export function updateCacheSize() {
             }
             if (response && response.success) {
                 const sizeMB = (response.sizeKB / 1024).toFixed(2);
-                document.getElementById('cache-size').textContent = `${sizeMB} MB used (${response.cacheCount} songs cached)`;
+                const quotaMB = Math.round((response.quotaKB || 0) / 1024);
+                document.getElementById('cache-size').textContent = quotaMB
+                    ? `${sizeMB} MB of ${quotaMB} MB used (${response.cacheCount} songs cached)`
+                    : `${sizeMB} MB used (${response.cacheCount} songs cached)`;
             } else {
                 console.error("Error getting cache size from response:", response ? response.error : "No response");
                 document.getElementById('cache-size').textContent = `Could not retrieve cache size.`;
@@ -106,13 +109,14 @@ export function clearCache() {
     }
 }
 
-export function uploadLocalLyrics(songInfo, jsonLyrics) {
+export function uploadLocalLyrics(songInfo, jsonLyrics, format) {
     return new Promise((resolve, reject) => {
         if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
             pBrowser.runtime.sendMessage({
                 type: 'UPLOAD_LOCAL_LYRICS',
                 songInfo,
-                jsonLyrics
+                jsonLyrics,
+                format
             }, (response) => {
                 if (pBrowser.runtime.lastError) {
                     console.error("Error uploading local lyrics:", pBrowser.runtime.lastError.message);
@@ -154,6 +158,54 @@ export function getLocalLyricsList() {
     });
 }
 
+export function fetchLocalLyrics(songId) {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage({ type: 'FETCH_LOCAL_LYRICS', songId }, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error("Error fetching local lyrics:", pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(response);
+                } else {
+                    console.error("Error fetching local lyrics from response:", response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn("pBrowser.runtime.sendMessage is not available. Skipping local lyrics retrieval.");
+            reject('Local lyrics retrieval feature is unavailable in this context.');
+        }
+    });
+}
+
+/**
+ * Changes an uploaded entry without replacing it. `changes` may hold
+ * `songInfo`, and `jsonLyrics` with the `format` of the new file.
+ */
+export function updateLocalLyrics(songId, changes) {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage({ type: 'UPDATE_LOCAL_LYRICS', songId, ...changes }, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error("Error updating local lyrics:", pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(response);
+                } else {
+                    console.error("Error updating local lyrics from response:", response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn("pBrowser.runtime.sendMessage is not available. Skipping local lyrics update.");
+            reject('Local lyrics update feature is unavailable in this context.');
+        }
+    });
+}
+
 export function deleteLocalLyrics(songId) {
     return new Promise((resolve, reject) => {
         if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
@@ -176,6 +228,242 @@ export function deleteLocalLyrics(songId) {
     });
 }
 
+export function getProviderHealth() {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage({ type: 'GET_PROVIDER_HEALTH' }, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error("Error getting provider health:", pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(response.stats);
+                } else {
+                    console.error("Error getting provider health from response:", response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn("pBrowser.runtime.sendMessage is not available. Skipping provider health retrieval.");
+            reject('Provider health feature is unavailable in this context.');
+        }
+    });
+}
+
+export function resetProviderHealth() {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage({ type: 'RESET_PROVIDER_HEALTH' }, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error("Error resetting provider health:", pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(response);
+                } else {
+                    console.error("Error resetting provider health from response:", response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn("pBrowser.runtime.sendMessage is not available. Skipping provider health reset.");
+            reject('Provider health feature is unavailable in this context.');
+        }
+    });
+}
+
+export function getTranslationMemoryStats() {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage({ type: 'GET_TRANSLATION_MEMORY_STATS' }, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error("Error getting translation memory stats:", pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(response.stats);
+                } else {
+                    console.error("Error getting translation memory stats from response:", response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn("pBrowser.runtime.sendMessage is not available. Skipping translation memory stats retrieval.");
+            reject('Translation memory feature is unavailable in this context.');
+        }
+    });
+}
+
+export function purgeTranslationMemory() {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage({ type: 'PURGE_TRANSLATION_MEMORY' }, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error("Error purging translation memory:", pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(response);
+                } else {
+                    console.error("Error purging translation memory from response:", response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn("pBrowser.runtime.sendMessage is not available. Skipping translation memory purge.");
+            reject('Translation memory feature is unavailable in this context.');
+        }
+    });
+}
+
+export function getPinnedList() {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage({ type: 'GET_PINNED_LIST' }, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error("Error getting pinned list:", pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(response.pinnedList);
+                } else {
+                    console.error("Error getting pinned list from response:", response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn("pBrowser.runtime.sendMessage is not available. Skipping pinned list retrieval.");
+            reject('Pinned lyrics feature is unavailable in this context.');
+        }
+    });
+}
+
+export function unpinEntry(key) {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage({ type: 'UNPIN', key }, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error("Error unpinning:", pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(response);
+                } else {
+                    console.error("Error unpinning from response:", response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn("pBrowser.runtime.sendMessage is not available. Skipping unpin.");
+            reject('Pinned lyrics feature is unavailable in this context.');
+        }
+    });
+}
+
+export function redownloadPinned(key) {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage({ type: 'REDOWNLOAD_PINNED', key }, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error("Error re-downloading pinned lyrics:", pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(response);
+                } else {
+                    console.error("Error re-downloading pinned lyrics from response:", response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn("pBrowser.runtime.sendMessage is not available. Skipping re-download.");
+            reject('Pinned lyrics feature is unavailable in this context.');
+        }
+    });
+}
+
+function sendBackupMessage(message) {
+    return new Promise((resolve, reject) => {
+        if (pBrowser && pBrowser.runtime && typeof pBrowser.runtime.sendMessage === 'function') {
+            pBrowser.runtime.sendMessage(message, (response) => {
+                if (pBrowser.runtime.lastError) {
+                    console.error(`Error in ${message.type}:`, pBrowser.runtime.lastError.message);
+                    return reject(pBrowser.runtime.lastError.message);
+                }
+                if (response && response.success) {
+                    resolve(response);
+                } else {
+                    console.error(`Error in ${message.type} from response:`, response ? response.error : "No response");
+                    reject(response ? response.error : 'Unknown error');
+                }
+            });
+        } else {
+            console.warn("pBrowser.runtime.sendMessage is not available. Skipping backup.");
+            reject('Backup feature is unavailable in this context.');
+        }
+    });
+}
+
+// Archives travel one page of records per message: a whole library in a
+// single message would exceed the runtime message size limit.
+export async function exportBackup() {
+    const { manifest, stores: storeNames } = await sendBackupMessage({ type: 'EXPORT_BACKUP' });
+    const stores = {};
+
+    for (const name of storeNames) {
+        let after = null;
+        do {
+            const page = await sendBackupMessage({ type: 'EXPORT_BACKUP_PAGE', store: name, after });
+            if (Array.isArray(page.records)) {
+                stores[name] = stores[name] || [];
+                stores[name].push(...page.records);
+            } else {
+                stores[name] = page.records;
+            }
+            after = page.next;
+        } while (after != null);
+    }
+
+    const counts = Object.fromEntries(Object.entries(stores).map(([name, records]) =>
+        [name, Array.isArray(records) ? records.length : Object.keys(records || {}).length]
+    ));
+    return { manifest: { ...manifest, counts }, stores };
+}
+
+export async function importBackup(archive, mode) {
+    // A file without stores is not an archive, whatever its manifest says
+    const { stores: storeNames, pageSize } = await sendBackupMessage({
+        type: 'IMPORT_BACKUP',
+        manifest: archive?.stores ? archive.manifest : null,
+        mode
+    });
+    const summary = {};
+
+    for (const name of storeNames) {
+        const records = archive.stores[name];
+        // Every store gets at least one page; the art cache is an object and goes whole
+        const pages = [];
+        if (Array.isArray(records)) {
+            for (let i = 0; i === 0 || i < records.length; i += pageSize) {
+                pages.push(records.slice(i, i + pageSize));
+            }
+        } else {
+            pages.push(records);
+        }
+
+        summary[name] = { added: 0, updated: 0, skipped: 0 };
+        for (const page of pages) {
+            const { counts } = await sendBackupMessage({ type: 'IMPORT_BACKUP_PAGE', store: name, records: page, mode });
+            summary[name].added += counts.added;
+            summary[name].updated += counts.updated;
+            summary[name].skipped += counts.skipped;
+        }
+    }
+
+    await sendBackupMessage({ type: 'IMPORT_BACKUP_FINISH' });
+    return summary;
+}
+
 export function setupSettingsMessageListener(callback) {
     if (typeof window.addEventListener === 'function') {
         window.addEventListener('message', (event) => {
@@ -194,6 +482,8 @@ if (pBrowser && pBrowser.storage) {
         if (area === 'local') {
             const newSettings = {};
             for (let key in changes) {
+                // Skip non-settings entries (art cache, provider health, ...) so they never end up in saved settings
+                if (!(key in defaultSettings)) continue;
                 newSettings[key] = changes[key].newValue;
             }
             console.log("Settings updated via storage (background/shared):", newSettings);
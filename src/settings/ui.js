@@ -1,5 +1,8 @@
-import { loadSettings, saveSettings, updateSettings, getSettings, updateCacheSize, clearCache, setupSettingsMessageListener, uploadLocalLyrics, getLocalLyricsList, deleteLocalLyrics } from './settingsManager.js';
-import { parseSyncedLyrics, parseAppleTTML, convertToStandardJson, v1Tov2 } from '../lib/parser.js';
+import { loadSettings, saveSettings, updateSettings, getSettings, updateCacheSize, clearCache, setupSettingsMessageListener, uploadLocalLyrics, getLocalLyricsList, fetchLocalLyrics, updateLocalLyrics, deleteLocalLyrics, getProviderHealth, resetProviderHealth, getPinnedList, unpinEntry, redownloadPinned, exportBackup, importBackup, getTranslationMemoryStats, purgeTranslationMemory } from './settingsManager.js';
+import { parseSyncedLyrics, parseAppleTTML, parseNeteaseYRC, parseQQQRC, parseKugouKRC, parseSRT, parseWebVTT, parseASS, convertToStandardJson, v1Tov2 } from '../lib/parser.js';
+import { exportLyrics } from '../lib/exporter.js';
+import { validateLyrics, repairLyrics } from '../lib/validator.js';
+import { IMPORT_EXTENSIONS, DEFAULT_FILENAME_PATTERNS, getExtension, guessSongInfo } from '../lib/importer.js';
 
 let currentSettings = getSettings();
 
@@ -13,6 +16,10 @@ const SVG_ICONS = {
     visibilityOff: 'M12 7c2.76 0 5 2.24 5 5 0 .65-.13 1.26-.36 1.83l2.92 2.92c1.51-1.26 2.7-2.89 3.43-4.75-1.73-4.39-6-7.5-11-7.5-1.4 0-2.74.25-3.98.7l2.16 2.16C10.74 7.13 11.35 7 12 7zM2 4.27l2.28 2.28.46.46C3.08 8.3 1.78 10.02 1 12c1.73 4.39 6 7.5 11 7.5 1.55 0 3.03-.3 4.38-.84l.42.42L19.73 22 21 20.73 3.27 3 2 4.27zM7.53 9.8l1.55 1.55c-.05.21-.08.43-.08.65 0 1.66 1.34 3 3 3 .22 0 .44-.03.65-.08l1.55 1.55c-.67.33-1.41.53-2.2.53-2.76 0-5-2.24-5-5 0-.79.2-1.53.53-2.2zm4.31-.78l3.15 3.15.02-.16c0-1.66-1.34-3-3-3l-.17.01z',
     uploadFile: 'M14 2H6c-1.1 0-1.99.9-1.99 2L4 20c0 1.1.89 2 1.99 2H18c1.1 0 2-.9 2-2V8l-6-6zm4 18H6V4h7v5h5v11zM8 15.01l1.41 1.41L11 14.84V19h2v-4.16l1.59 1.59L16 15.01 12.01 11z',
     hourglassEmpty: 'M6 2v6l2 2-2 2v6h12v-6l-2-2 2-2V2H6zm10 14.5l-4-2-4 2V17h8v-.5zm0-9l-4 2-4-2V5h8v2.5z',
+    refresh: 'M17.65 6.35C16.2 4.9 14.21 4 12 4c-4.42 0-7.99 3.58-7.99 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08c-.82 2.33-3.04 4-5.65 4-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z',
+    edit: 'M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z',
+    download: 'M19 12v7H5v-7H3v7c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2v-7h-2zm-6 .67l2.59-2.58L17 11.5l-5 5-5-5 1.41-1.41L11 12.67V3h2v9.67z',
+    album: 'M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 14.5c-2.49 0-4.5-2.01-4.5-4.5S9.51 7.5 12 7.5s4.5 2.01 4.5 4.5-2.01 4.5-4.5 4.5zm0-5.5c-.55 0-1 .45-1 1s.45 1 1 1 1-.45 1-1-.45-1-1-1z',
 };
 
 function createSvgIcon(pathD) {
@@ -113,12 +120,18 @@ function setupAutoSaveListeners() {
         // General
         { id: 'enabled', key: 'isEnabled', type: 'checkbox' },
         { id: 'wordByWord', key: 'wordByWord', type: 'checkbox' },
+        { id: 'estimate-word-timing', key: 'estimateWordTiming', type: 'checkbox' },
         { id: 'sponsor-block', key: 'useSponsorBlock', type: 'checkbox' },
         { id: 'bypass-apple', key: 'appleMusicTTMLBypass', type: 'checkbox' },
         { id: 'prefer-unison-video', key: 'preferUnisonVideo', type: 'checkbox' },
 
         // Sources
         { id: 'custom-kpoe-url', key: 'customKpoeUrl', type: 'value', debounce: 500 },
+        { id: 'merge-provider-results', key: 'mergeProviderResults', type: 'checkbox' },
+        { id: 'auto-correct-timing', key: 'autoCorrectTiming', type: 'checkbox' },
+
+        // Local Lyrics
+        { id: 'bulk-import-patterns', key: 'importFilenamePatterns', type: 'value', debounce: 500 },
 
         // Translation
         { id: 'translation-provider', key: 'translationProvider', type: 'value' },
@@ -153,6 +166,8 @@ function setupAutoSaveListeners() {
 
         // Cache
         { id: 'cache-strategy', key: 'cacheStrategy', type: 'value' },
+        { id: 'prefetch-queue-count', key: 'prefetchQueueCount', type: 'value' },
+        { id: 'cache-quota', key: 'cacheQuotaMB', type: 'value' },
     ];
 
     autoSaveControls.forEach(control => {
@@ -218,9 +233,12 @@ function updateUI(settings) {
     // General
     setCheck('enabled', currentSettings.isEnabled);
     setCheck('wordByWord', currentSettings.wordByWord);
+    setCheck('estimate-word-timing', currentSettings.estimateWordTiming);
     setCheck('sponsor-block', currentSettings.useSponsorBlock);
     setCheck('bypass-apple', currentSettings.appleMusicTTMLBypass);
     setCheck('prefer-unison-video', currentSettings.preferUnisonVideo);
+    setCheck('merge-provider-results', currentSettings.mergeProviderResults);
+    setCheck('auto-correct-timing', currentSettings.autoCorrectTiming);
 
     // Sources
     setVal('custom-kpoe-url', currentSettings.customKpoeUrl);
@@ -265,9 +283,16 @@ function updateUI(settings) {
     setVal('overridePaletteColor', currentSettings.overridePaletteColor);
     setVal('custom-css', currentSettings.customCSS);
 
+    // Local Lyrics
+    setVal('bulk-import-patterns', currentSettings.importFilenamePatterns || DEFAULT_FILENAME_PATTERNS.join('\n'));
+
     // Cache
     setVal('cache-strategy', currentSettings.cacheStrategy);
     updateCustomSelectDisplay('cache-strategy');
+    setVal('prefetch-queue-count', String(currentSettings.prefetchQueueCount ?? 0));
+    updateCustomSelectDisplay('prefetch-queue-count');
+    setVal('cache-quota', String(currentSettings.cacheQuotaMB ?? 50));
+    updateCustomSelectDisplay('cache-quota');
 
     // Visibility Toggles
     toggleKpoeSourcesVisibility();
@@ -282,8 +307,12 @@ function updateUI(settings) {
 
     populateDraggableProviders();
     populateDraggableSources();
+    populateCustomProvidersList();
     updateCacheSize();
     populateLocalLyricsList();
+    populateProviderHealth();
+    populatePinnedList();
+    updateTranslationMemoryStats();
 }
 
 // Handle tab switching in top tab container
@@ -305,7 +334,27 @@ setupSettingsMessageListener(updateUI);
 
 let draggedItem = null;
 
+const BUILT_IN_PROVIDERS = ['kpoe', 'customKpoe', 'unison', 'lrclib'];
+const CUSTOM_PROVIDER_PREFIX = 'custom:';
+const CUSTOM_PROVIDER_FORMAT_KEYS = {
+    'kpoe': 'optionFormatKpoe',
+    'lrc': 'optionFormatLrc',
+    'ttml': 'optionFormatTtml',
+    'srt': 'optionFormatSrt',
+    'vtt': 'optionFormatVtt',
+    'ass': 'optionFormatAss',
+    'plain': 'optionFormatPlain'
+};
+
+function getCustomProviders() {
+    return Array.isArray(currentSettings.customProviders) ? currentSettings.customProviders : [];
+}
+
 function getSourceDisplayName(sourceName) {
+    if (sourceName.startsWith(CUSTOM_PROVIDER_PREFIX)) {
+        const definition = getCustomProviders().find(p => CUSTOM_PROVIDER_PREFIX + p.id === sourceName);
+        return definition?.name || sourceName.slice(CUSTOM_PROVIDER_PREFIX.length);
+    }
     const sourceKeys = {
         'kpoe': 'sourceNameLyricsPlusProvider',
         'customKpoe': 'sourceNameCustomKpoe',
@@ -367,7 +416,7 @@ function createDraggableProviderItem(providerName) {
 function populateDraggableProviders() {
     const draggableContainer = document.getElementById('provider-order-draggable');
     const availableProvidersDropdown = document.getElementById('available-providers-dropdown');
-    const allowedProviders = ['kpoe', 'customKpoe', 'unison', 'lrclib'];
+    const allowedProviders = [...BUILT_IN_PROVIDERS, ...getCustomProviders().map(p => CUSTOM_PROVIDER_PREFIX + p.id)];
 
     if (!draggableContainer || !availableProvidersDropdown) return;
 
@@ -475,6 +524,99 @@ function removeProvider(providerName) {
     showStatusMessage('add-provider-status', msg('msgSourceRemoved', getSourceDisplayName(providerName)), false);
 }
 
+function populateCustomProvidersList() {
+    const listContainer = document.getElementById('custom-providers-list');
+    const emptyMessage = document.getElementById('no-custom-providers-message');
+    if (!listContainer) return;
+
+    listContainer.innerHTML = '';
+    listContainer.appendChild(emptyMessage);
+
+    const customProviders = getCustomProviders();
+    emptyMessage.style.display = customProviders.length === 0 ? 'block' : 'none';
+
+    customProviders.forEach(definition => {
+        const listItem = document.createElement('div');
+        listItem.className = 'draggable-source-item';
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'source-name';
+        nameSpan.textContent = `${definition.name} (${msg(CUSTOM_PROVIDER_FORMAT_KEYS[definition.format]) || definition.format})`;
+        nameSpan.title = definition.urlTemplate;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'm3-button icon remove-source-button';
+        removeBtn.title = msg('titleRemoveSource') || 'Remove';
+        removeBtn.appendChild(createSvgIcon(SVG_ICONS.delete));
+        removeBtn.onclick = () => removeCustomProvider(definition.id);
+
+        listItem.appendChild(nameSpan);
+        listItem.appendChild(removeBtn);
+        listContainer.appendChild(listItem);
+    });
+}
+
+function addCustomProvider() {
+    const nameInput = document.getElementById('custom-provider-name');
+    const urlInput = document.getElementById('custom-provider-url');
+    const formatSelect = document.getElementById('custom-provider-format');
+    const pathInput = document.getElementById('custom-provider-path');
+
+    const name = nameInput.value.trim();
+    const urlTemplate = urlInput.value.trim();
+    if (!name || !/^https?:\/\//i.test(urlTemplate)) {
+        showStatusMessage('custom-provider-status', msg('msgCustomProviderRequired'), true);
+        return;
+    }
+
+    const definition = {
+        id: Date.now().toString(36),
+        name,
+        urlTemplate,
+        format: formatSelect.value || 'kpoe',
+        payloadPath: pathInput.value.trim()
+    };
+
+    const providers = (currentSettings.lyricsProviderOrder || 'kpoe,unison,lrclib').split(',').filter(s => s?.trim());
+    providers.push(CUSTOM_PROVIDER_PREFIX + definition.id);
+
+    currentSettings.customProviders = [...getCustomProviders(), definition];
+    currentSettings.lyricsProviderOrder = providers.join(',');
+    updateSettings({
+        customProviders: currentSettings.customProviders,
+        lyricsProviderOrder: currentSettings.lyricsProviderOrder
+    });
+    saveSettings();
+    showReloadNotification('lyricsProviderOrder');
+
+    nameInput.value = ''; urlInput.value = ''; pathInput.value = '';
+    populateCustomProvidersList();
+    populateDraggableProviders();
+    showStatusMessage('custom-provider-status', msg('msgCustomProviderAdded', name), false);
+}
+
+function removeCustomProvider(definitionId) {
+    const definition = getCustomProviders().find(p => p.id === definitionId);
+    if (!definition || !confirm(msg('confirmDeleteCustomProvider', definition.name))) return;
+
+    const providerId = CUSTOM_PROVIDER_PREFIX + definitionId;
+    const providers = (currentSettings.lyricsProviderOrder || 'kpoe,unison,lrclib').split(',').filter(s => s?.trim() && s !== providerId);
+
+    currentSettings.customProviders = getCustomProviders().filter(p => p.id !== definitionId);
+    currentSettings.lyricsProviderOrder = (providers.length ? providers : ['kpoe']).join(',');
+    updateSettings({
+        customProviders: currentSettings.customProviders,
+        lyricsProviderOrder: currentSettings.lyricsProviderOrder
+    });
+    saveSettings();
+    showReloadNotification('lyricsProviderOrder');
+
+    populateCustomProvidersList();
+    populateDraggableProviders();
+    toggleKpoeSourcesVisibility();
+    showStatusMessage('custom-provider-status', msg('msgCustomProviderRemoved', definition.name), false);
+}
+
 function addProviderDragDropListeners() {
     const draggableContainer = document.getElementById('provider-order-draggable');
     if (!draggableContainer || draggableContainer.dataset.dragListenersAttached) return;
@@ -788,6 +930,7 @@ function addTouchListeners() {
 
 document.getElementById('add-provider-button').addEventListener('click', addProvider);
 document.getElementById('add-source-button').addEventListener('click', addSource);
+document.getElementById('add-custom-provider-button').addEventListener('click', addCustomProvider);
 
 document.getElementById('add-lyrics-fab').addEventListener('click', () => {
     document.getElementById('upload-lyrics-modal').style.display = 'flex';
@@ -802,7 +945,54 @@ document.querySelector('#upload-lyrics-modal .modal-scrim').addEventListener('cl
 });
 
 document.getElementById('modal-upload-lyrics-button').addEventListener('click', handleUploadLocalLyrics);
+document.getElementById('modal-upload-fix-button').addEventListener('click', handleFixAndUploadLocalLyrics);
+// Any change to the form invalidates the report it was validated with
+['modal-upload-song-title', 'modal-upload-artist-name', 'modal-upload-album-name', 'modal-upload-song-duration',
+    'modal-upload-lyrics-file', 'modal-upload-translation-file'].forEach(id => {
+    document.getElementById(id).addEventListener('change', clearUploadValidation);
+});
 document.getElementById('refresh-local-lyrics-list').addEventListener('click', populateLocalLyricsList);
+document.getElementById('local-lyrics-search').addEventListener('input', debounce(renderLocalLyricsList, 200));
+['local-lyrics-type-filter', 'local-lyrics-sort'].forEach(id => {
+    document.getElementById(id).addEventListener('change', renderLocalLyricsList);
+});
+
+document.getElementById('open-bulk-import').addEventListener('click', () => {
+    document.getElementById('bulk-import-modal').style.display = 'flex';
+});
+['#bulk-import-modal .close-button', '#bulk-import-modal .modal-scrim'].forEach(selector => {
+    document.querySelector(selector).addEventListener('click', () => {
+        document.getElementById('bulk-import-modal').style.display = 'none';
+    });
+});
+document.getElementById('bulk-import-files').addEventListener('change', handleBulkImportFiles);
+document.getElementById('bulk-import-folder').addEventListener('change', handleBulkImportFiles);
+document.getElementById('bulk-import-patterns').addEventListener('input', debounce(refreshBulkImportGuesses, 500));
+document.getElementById('bulk-import-button').addEventListener('click', handleBulkImport);
+document.getElementById('refresh-provider-health').addEventListener('click', populateProviderHealth);
+document.getElementById('refresh-pinned-list').addEventListener('click', populatePinnedList);
+document.getElementById('reset-provider-health').addEventListener('click', async () => {
+    if (!confirm(msg('confirmResetProviderHealth'))) return;
+    try {
+        await resetProviderHealth();
+        showStatusMessage('provider-health-status', msg('msgProviderHealthReset'), false);
+        populateProviderHealth();
+    } catch (error) {
+        showStatusMessage('provider-health-status', msg('msgProviderHealthError', String(error)), true);
+    }
+});
+
+document.getElementById('refresh-translation-memory').addEventListener('click', updateTranslationMemoryStats);
+document.getElementById('purge-translation-memory').addEventListener('click', async () => {
+    if (!confirm(msg('confirmPurgeTranslationMemory'))) return;
+    try {
+        await purgeTranslationMemory();
+        showStatusMessage('translation-memory-status', msg('msgTranslationMemoryPurged'), false);
+        updateTranslationMemoryStats();
+    } catch (error) {
+        showStatusMessage('translation-memory-status', msg('msgTranslationMemoryError', String(error)), true);
+    }
+});
 
 document.getElementById('override-translate-target').addEventListener('change', (e) => {
     currentSettings.overrideTranslateTarget = e.target.checked;
@@ -906,11 +1096,99 @@ function toggleRomanizationModelVisibility() {
     toggleElementVisibility('gemini-romanization-model-group', isVisible);
 }
 
+// Parsed upload waiting for the user to act on its validation report
+let pendingUpload = null;
+
+const VALIDATION_MESSAGE_KEYS = {
+    empty: 'issueEmpty',
+    invalidTime: 'issueInvalidTime',
+    outOfOrder: 'issueOutOfOrder',
+    duplicateTime: 'issueDuplicateTime',
+    overlap: 'issueOverlap',
+    missingDuration: 'issueMissingDuration',
+    pastEnd: 'issuePastEnd',
+    zeroSyllable: 'issueZeroSyllable',
+    syllableOutOfOrder: 'issueSyllableOutOfOrder'
+};
+
+// "3:45", "1:02:03.5", "225" or TTML's "225.4s", in seconds; 0 when unknown
+function parseSongDuration(value) {
+    const text = String(value || '').trim().replace(/s$/, '');
+    if (!text) return 0;
+    const seconds = text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+}
+
+function parseUploadedLyrics(format, lyricsContent, wordSyncedOptions) {
+    let parsedLyrics;
+    switch (format) {
+        case 'lrc': case 'elrc': parsedLyrics = parseSyncedLyrics(lyricsContent); break;
+        case 'ttml': parsedLyrics = parseAppleTTML(lyricsContent); break;
+        case 'yrc': parsedLyrics = parseNeteaseYRC(lyricsContent, wordSyncedOptions); break;
+        case 'qrc': parsedLyrics = parseQQQRC(lyricsContent, wordSyncedOptions); break;
+        case 'krc': parsedLyrics = parseKugouKRC(lyricsContent, wordSyncedOptions); break;
+        case 'srt': parsedLyrics = parseSRT(lyricsContent); break;
+        case 'vtt': parsedLyrics = parseWebVTT(lyricsContent); break;
+        case 'ass': case 'ssa': parsedLyrics = parseASS(lyricsContent); break;
+        case 'json':
+            parsedLyrics = JSON.parse(lyricsContent);
+            const firstItem = parsedLyrics.lyrics?.[0];
+            if (firstItem && firstItem.isLineEnding !== undefined) {
+                parsedLyrics = v1Tov2(parsedLyrics);
+            }
+            return parsedLyrics;
+        default: throw new Error('Unsupported lyrics format.');
+    }
+    return convertToStandardJson(parsedLyrics);
+}
+
+function clearUploadValidation() {
+    pendingUpload = null;
+    document.getElementById('modal-upload-validation').style.display = 'none';
+    document.getElementById('modal-upload-validation-list').innerHTML = '';
+    document.getElementById('modal-upload-fix-button').style.display = 'none';
+}
+
+function showUploadValidation(report) {
+    const container = document.getElementById('modal-upload-validation');
+    const list = document.getElementById('modal-upload-validation-list');
+    list.innerHTML = '';
+
+    const addIssues = (issues, className) => issues.forEach(issue => {
+        const item = document.createElement('li');
+        item.className = className;
+        const text = msg(VALIDATION_MESSAGE_KEYS[issue.code]) || issue.code;
+        item.textContent = issue.line ? msg('labelIssueLine', [String(issue.line), text]) : text;
+        list.appendChild(item);
+    });
+    addIssues(report.errors, 'validation-error');
+    addIssues(report.warnings, 'validation-warning');
+
+    document.getElementById('modal-upload-validation-summary').textContent =
+        msg('msgValidationSummary', [String(report.errors.length), String(report.warnings.length)]);
+    container.style.display = 'block';
+    document.getElementById('modal-upload-fix-button').style.display = 'inline-flex';
+}
+
+async function saveUploadedLyrics(songInfo, jsonLyrics, format, successMessage) {
+    await uploadLocalLyrics(songInfo, jsonLyrics, format);
+    showStatusMessage('modal-upload-status', successMessage, false);
+    ['modal-upload-song-title', 'modal-upload-artist-name', 'modal-upload-album-name', 'modal-upload-song-duration',
+        'modal-upload-lyrics-file', 'modal-upload-translation-file'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    clearUploadValidation();
+    document.getElementById('upload-lyrics-modal').style.display = 'none';
+    populateLocalLyricsList();
+}
+
 async function handleUploadLocalLyrics() {
     const titleInput = document.getElementById('modal-upload-song-title');
     const artistInput = document.getElementById('modal-upload-artist-name');
     const albumInput = document.getElementById('modal-upload-album-name');
+    const durationInput = document.getElementById('modal-upload-song-duration');
     const lyricsFileInput = document.getElementById('modal-upload-lyrics-file');
+    const translationFileInput = document.getElementById('modal-upload-translation-file');
     const uploadButton = document.getElementById('modal-upload-lyrics-button');
     const uploadButtonIcon = uploadButton.querySelector('.icon-svg');
 
@@ -918,12 +1196,31 @@ async function handleUploadLocalLyrics() {
     const artist = artistInput.value.trim();
     const album = albumInput.value.trim();
     const lyricsFile = lyricsFileInput.files[0];
+    const translationFile = translationFileInput.files[0];
 
     if (!title || !artist || !lyricsFile) {
         showStatusMessage('modal-upload-status', msg('msgUploadRequired'), true);
         return;
     }
 
+    // A second click uploads the file as it is, once the user has seen the warnings
+    if (pendingUpload) {
+        if (pendingUpload.report.errors.length > 0) {
+            showStatusMessage('modal-upload-status', msg('msgUploadHasErrors'), true);
+            return;
+        }
+        if (!confirm(msg('msgUploadWarningsConfirm'))) return;
+        uploadButton.disabled = true;
+        try {
+            await saveUploadedLyrics(pendingUpload.songInfo, pendingUpload.lyrics, pendingUpload.format, msg('msgUploadSuccess'));
+        } catch (error) {
+            showStatusMessage('modal-upload-status', msg('msgUploadError', String(error.message || error)), true);
+        } finally {
+            uploadButton.disabled = false;
+        }
+        return;
+    }
+
     const getFileExtension = (filename) => filename.split('.').pop().toLowerCase();
     const format = getFileExtension(lyricsFile.name);
 
@@ -934,27 +1231,22 @@ async function handleUploadLocalLyrics() {
     const reader = new FileReader();
     reader.onload = async (e) => {
         try {
-            const lyricsContent = e.target.result;
-            const songInfo = { title, artist, album };
-            let parsedLyrics;
-            switch (format) {
-                case 'lrc': case 'elrc': parsedLyrics = parseSyncedLyrics(lyricsContent); break;
-                case 'ttml': parsedLyrics = parseAppleTTML(lyricsContent); break;
-                case 'json':
-                    parsedLyrics = JSON.parse(lyricsContent);
-                    const firstItem = parsedLyrics.lyrics?.[0];
-                    if (firstItem && firstItem.isLineEnding !== undefined) {
-                        parsedLyrics = v1Tov2(parsedLyrics);
-                    }
-                    break;
-                default: throw new Error('Unsupported lyrics format.');
+            // Word-synced formats from Chinese platforms ship their translation as a separate LRC
+            const wordSyncedOptions = { title, translation: translationFile ? await translationFile.text() : '' };
+            const jsonLyrics = parseUploadedLyrics(format, e.target.result, wordSyncedOptions);
+            const duration = parseSongDuration(durationInput.value) || parseSongDuration(jsonLyrics.metadata?.totalDuration);
+            const songInfo = { title, artist, album, ...(duration ? { duration } : {}) };
+
+            const report = validateLyrics(jsonLyrics, { duration });
+            if (report.errors.length === 0 && report.warnings.length === 0) {
+                await saveUploadedLyrics(songInfo, jsonLyrics, format, msg('msgUploadSuccess'));
+                return;
             }
-            const jsonLyrics = format === 'json' ? parsedLyrics : convertToStandardJson(parsedLyrics);
-            await uploadLocalLyrics(songInfo, jsonLyrics);
-            showStatusMessage('modal-upload-status', msg('msgUploadSuccess'), false);
-            titleInput.value = ''; artistInput.value = ''; albumInput.value = ''; lyricsFileInput.value = '';
-            document.getElementById('upload-lyrics-modal').style.display = 'none';
-            populateLocalLyricsList();
+
+            pendingUpload = { songInfo, lyrics: jsonLyrics, report, format };
+            showUploadValidation(report);
+            showStatusMessage('modal-upload-status',
+                msg(report.errors.length > 0 ? 'msgUploadHasErrors' : 'msgUploadHasWarnings'), report.errors.length > 0);
         } catch (error) {
             showStatusMessage('modal-upload-status', msg('msgUploadError', String(error.message || error)), true);
         } finally {
@@ -970,55 +1262,715 @@ async function handleUploadLocalLyrics() {
     reader.readAsText(lyricsFile);
 }
 
+async function handleFixAndUploadLocalLyrics() {
+    if (!pendingUpload) return;
+    const fixButton = document.getElementById('modal-upload-fix-button');
+    const { songInfo, format } = pendingUpload;
+
+    const { lyrics, fixes } = repairLyrics(pendingUpload.lyrics, { duration: songInfo.duration });
+    const report = validateLyrics(lyrics, { duration: songInfo.duration });
+    if (report.errors.length > 0) {
+        pendingUpload = { songInfo, lyrics, report, format };
+        showUploadValidation(report);
+        showStatusMessage('modal-upload-status', msg('msgUploadHasErrors'), true);
+        return;
+    }
+
+    fixButton.disabled = true;
+    try {
+        const fixCount = Object.values(fixes).reduce((sum, count) => sum + count, 0);
+        await saveUploadedLyrics(songInfo, lyrics, format, msg('msgUploadFixed', String(fixCount)));
+    } catch (error) {
+        showStatusMessage('modal-upload-status', msg('msgUploadError', String(error.message || error)), true);
+    } finally {
+        fixButton.disabled = false;
+    }
+}
+
+// Files picked for bulk import, with the song guessed for each and what importing it did
+let bulkImportRows = [];
+
+const BULK_IMPORT_FIELDS = ['title', 'artist', 'album', 'duration'];
+
+function getFilenamePatterns() {
+    const patterns = document.getElementById('bulk-import-patterns').value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+    return patterns.length > 0 ? patterns : DEFAULT_FILENAME_PATTERNS;
+}
+
+async function handleBulkImportFiles(e) {
+    // A folder brings along covers and other files that are not lyrics
+    const files = [...e.target.files].filter(file => IMPORT_EXTENSIONS.includes(getExtension(file.name)));
+    e.target.value = '';
+    if (files.length === 0) {
+        showStatusMessage('bulk-import-status', msg('msgBulkImportNoFiles'), true);
+        return;
+    }
+
+    const patterns = getFilenamePatterns();
+    bulkImportRows = await Promise.all(files.map(async file => {
+        const name = file.webkitRelativePath || file.name;
+        const row = { name, format: getExtension(name), content: null, fields: {}, edited: new Set(), result: null };
+        try {
+            row.content = await file.text();
+            row.fields = guessSongInfo(name, row.content, patterns);
+        } catch (error) {
+            row.result = { success: false, text: msg('msgFileReadError') };
+        }
+        return row;
+    }));
+
+    renderBulkImportRows();
+    showStatusMessage('bulk-import-status', msg('msgBulkImportReview', String(bulkImportRows.length)), false);
+}
+
+// Guesses again with the current patterns, keeping whatever the user typed
+function refreshBulkImportGuesses() {
+    if (bulkImportRows.length === 0) return;
+    const patterns = getFilenamePatterns();
+    bulkImportRows.forEach(row => {
+        if (row.content === null || row.result?.success) return;
+        const guess = guessSongInfo(row.name, row.content, patterns);
+        BULK_IMPORT_FIELDS.forEach(field => {
+            if (!row.edited.has(field)) row.fields[field] = guess[field];
+        });
+    });
+    renderBulkImportRows();
+}
+
+function setBulkImportResult(row, result) {
+    row.result = result;
+    if (!row.resultCell) return;
+    row.resultCell.textContent = result ? result.text : '';
+    row.resultCell.className = `bulk-import-result${result ? (result.success ? ' success' : ' error') : ''}`;
+}
+
+function renderBulkImportRows() {
+    const tbody = document.getElementById('bulk-import-rows');
+    tbody.innerHTML = '';
+
+    bulkImportRows.forEach(row => {
+        const tr = document.createElement('tr');
+
+        const fileCell = document.createElement('td');
+        fileCell.className = 'bulk-import-file';
+        fileCell.textContent = row.name;
+        fileCell.title = row.name;
+        tr.appendChild(fileCell);
+
+        BULK_IMPORT_FIELDS.forEach(field => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = row.fields[field] || '';
+            input.disabled = row.content === null || !!row.result?.success;
+            const required = field === 'title' || field === 'artist';
+            input.classList.toggle('missing', required && !input.value.trim());
+            input.addEventListener('input', () => {
+                row.fields[field] = input.value;
+                row.edited.add(field);
+                input.classList.toggle('missing', required && !input.value.trim());
+            });
+            cell.appendChild(input);
+            tr.appendChild(cell);
+        });
+
+        row.resultCell = document.createElement('td');
+        tr.appendChild(row.resultCell);
+        setBulkImportResult(row, row.result);
+
+        tbody.appendChild(tr);
+    });
+
+    document.getElementById('bulk-import-review').style.display = bulkImportRows.length > 0 ? 'block' : 'none';
+    document.getElementById('bulk-import-button').disabled = bulkImportRows.length === 0;
+}
+
+/**
+ * Imports one reviewed file. Fixable problems are repaired without asking,
+ * as there is no one to ask for each file of a folder.
+ * @returns {Promise<{success: boolean, text: string}>}
+ */
+async function importBulkRow(row) {
+    const title = (row.fields.title || '').trim();
+    const artist = (row.fields.artist || '').trim();
+    const album = (row.fields.album || '').trim();
+    if (!title || !artist) {
+        return { success: false, text: msg('msgBulkImportMissingFields') };
+    }
+
+    try {
+        const jsonLyrics = parseUploadedLyrics(row.format, row.content, { title, translation: '' });
+        const duration = parseSongDuration(row.fields.duration) || parseSongDuration(jsonLyrics.metadata?.totalDuration);
+        const songInfo = { title, artist, album, ...(duration ? { duration } : {}) };
+
+        let lyrics = jsonLyrics;
+        let fixCount = 0;
+        let report = validateLyrics(lyrics, { duration });
+        if (report.errors.length > 0 || report.warnings.length > 0) {
+            const repaired = repairLyrics(lyrics, { duration });
+            lyrics = repaired.lyrics;
+            fixCount = Object.values(repaired.fixes).reduce((sum, count) => sum + count, 0);
+            report = validateLyrics(lyrics, { duration });
+        }
+        if (report.errors.length > 0) {
+            const code = report.errors[0].code;
+            return { success: false, text: msg(VALIDATION_MESSAGE_KEYS[code]) || code };
+        }
+
+        await uploadLocalLyrics(songInfo, lyrics, row.format);
+        return {
+            success: true,
+            text: fixCount > 0 ? msg('msgBulkImportFixed', String(fixCount)) : msg('msgBulkImportSuccess')
+        };
+    } catch (error) {
+        return { success: false, text: String(error.message || error) };
+    }
+}
+
+async function handleBulkImport() {
+    const importButton = document.getElementById('bulk-import-button');
+    const pending = bulkImportRows.filter(row => row.content !== null && !row.result?.success);
+    if (pending.length === 0) return;
+
+    importButton.disabled = true;
+    showStatusMessage('bulk-import-status', msg('msgUploading'), false);
+
+    let imported = 0;
+    for (const row of pending) {
+        const result = await importBulkRow(row);
+        setBulkImportResult(row, result);
+        if (result.success) imported++;
+    }
+
+    // Imported rows are locked; failed ones can be corrected and imported again
+    renderBulkImportRows();
+    const failed = bulkImportRows.filter(row => !row.result?.success).length;
+    showStatusMessage('bulk-import-status', msg('msgBulkImportDone', [String(imported), String(failed)]), failed > 0);
+    populateLocalLyricsList();
+}
+
+// The whole library as last fetched; search, filter and sort work on this copy
+let localLyricsEntries = [];
+let editingLocalLyricsId = null;
+
+const LOCAL_LYRICS_EDIT_FIELDS = [
+    ['title', 'labelSongTitle'],
+    ['artist', 'labelArtistName'],
+    ['album', 'labelBulkImportAlbum'],
+    ['duration', 'labelBulkImportDuration'],
+    ['videoId', 'labelLinkVideoId'],
+    ['appleId', 'labelLinkAppleId'],
+    ['tidalId', 'labelLinkTidalId'],
+    ['isrc', 'labelLinkIsrc']
+];
+
+const SYNC_TYPE_MESSAGE_KEYS = { Word: 'syncTypeWord', Line: 'syncTypeLine' };
+
+function getSyncTypeName(type) {
+    return msg(SYNC_TYPE_MESSAGE_KEYS[type] || 'syncTypeUnsynced');
+}
+
+function formatLocalLyricsDetails(item) {
+    const { album, videoId, appleId, tidalId, isrc } = item.songInfo;
+    const linked = [videoId, appleId, tidalId, isrc].some(Boolean);
+    return [
+        album,
+        item.format ? item.format.toUpperCase() : null,
+        getSyncTypeName(item.type),
+        new Date(item.timestamp).toLocaleDateString(),
+        linked ? msg('labelLinked') : null
+    ].filter(Boolean).join(' · ');
+}
+
 async function populateLocalLyricsList() {
     const listContainer = document.getElementById('local-lyrics-list');
     const noLyricsMessage = document.getElementById('no-local-lyrics-message');
     if (!listContainer) return;
 
+    try {
+        localLyricsEntries = await getLocalLyricsList();
+        renderLocalLyricsList();
+    } catch (error) {
+        console.error("Failed to load local lyrics list:", error);
+        listContainer.innerHTML = '';
+        listContainer.appendChild(noLyricsMessage);
+        noLyricsMessage.textContent = msg('msgErrorLoadingLocalLyrics', String(error.message || error));
+        noLyricsMessage.style.display = 'block';
+    }
+}
+
+function getVisibleLocalLyrics() {
+    const query = document.getElementById('local-lyrics-search').value.trim().toLowerCase();
+    const typeFilter = document.getElementById('local-lyrics-type-filter').value;
+    const sort = document.getElementById('local-lyrics-sort').value;
+
+    const matchesQuery = item => !query || Object.values(item.songInfo)
+        .concat(item.format || [])
+        .some(value => String(value).toLowerCase().includes(query));
+    const matchesType = item => typeFilter === 'all'
+        || (typeFilter === 'other' ? !SYNC_TYPE_MESSAGE_KEYS[item.type] : item.type === typeFilter);
+    const byText = getText => (a, b) => (getText(a) || '').localeCompare(getText(b) || '')
+        || b.timestamp - a.timestamp;
+    const comparators = {
+        newest: (a, b) => b.timestamp - a.timestamp,
+        oldest: (a, b) => a.timestamp - b.timestamp,
+        title: byText(item => item.songInfo.title),
+        artist: byText(item => item.songInfo.artist),
+        format: byText(item => item.format)
+    };
+
+    return localLyricsEntries
+        .filter(item => matchesQuery(item) && matchesType(item))
+        .sort(comparators[sort] || comparators.newest);
+}
+
+function renderLocalLyricsList() {
+    const listContainer = document.getElementById('local-lyrics-list');
+    const noLyricsMessage = document.getElementById('no-local-lyrics-message');
     listContainer.innerHTML = '';
     listContainer.appendChild(noLyricsMessage);
+    noLyricsMessage.textContent = msg('msgNoLocalLyrics');
+    noLyricsMessage.style.display = localLyricsEntries.length === 0 ? 'block' : 'none';
+
+    const visible = getVisibleLocalLyrics();
+    document.getElementById('local-lyrics-count').textContent = localLyricsEntries.length > 0
+        ? msg('msgLocalLyricsCount', [String(visible.length), String(localLyricsEntries.length)])
+        : '';
+
+    visible.forEach(item => {
+        const name = `${item.songInfo.title} - ${item.songInfo.artist}`;
+        const listItem = document.createElement('div');
+        listItem.className = 'draggable-source-item local-lyrics-item';
+        listItem.dataset.songId = item.songId;
+        const musicIcon = createSvgIcon(SVG_ICONS.musicNote);
+        musicIcon.classList.add('drag-handle');
+
+        const info = document.createElement('div');
+        info.className = 'local-lyrics-info';
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'source-name';
+        nameSpan.textContent = name;
+        const details = document.createElement('span');
+        details.className = 'local-lyrics-details';
+        details.textContent = formatLocalLyricsDetails(item);
+        info.appendChild(nameSpan);
+        info.appendChild(details);
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'm3-button icon';
+        editBtn.title = msg('buttonEditLocalLyrics');
+        editBtn.appendChild(createSvgIcon(SVG_ICONS.edit));
+        editBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            editingLocalLyricsId = editingLocalLyricsId === item.songId ? null : item.songId;
+            renderLocalLyricsList();
+        });
+
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'm3-button icon';
+        exportBtn.title = msg('buttonExportLyrics');
+        exportBtn.appendChild(createSvgIcon(SVG_ICONS.download));
+        exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            exportLocalLyrics(item);
+        });
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'm3-button icon remove-source-button';
+        removeBtn.title = 'Delete local lyrics';
+        removeBtn.appendChild(createSvgIcon(SVG_ICONS.delete));
+        removeBtn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            if (confirm(msg('confirmDeleteLyrics', name))) {
+                try {
+                    await deleteLocalLyrics(item.songId);
+                    showStatusMessage('local-lyrics-status', msg('msgLocalLyricsDeleted'), false);
+                    populateLocalLyricsList();
+                } catch (error) {
+                    showStatusMessage('local-lyrics-status', msg('msgDeleteError', String(error)), true);
+                }
+            }
+        });
+
+        listItem.appendChild(musicIcon);
+        listItem.appendChild(info);
+        listItem.appendChild(editBtn);
+        listItem.appendChild(exportBtn);
+        listItem.appendChild(removeBtn);
+        listContainer.appendChild(listItem);
+
+        if (editingLocalLyricsId === item.songId) {
+            listContainer.appendChild(createLocalLyricsEditor(item));
+        }
+    });
+}
+
+function formatPreviewTime(ms) {
+    const centis = Math.floor(Math.max(0, ms) / 10);
+    const seconds = String(Math.floor(centis / 100) % 60).padStart(2, '0');
+    return `${Math.floor(centis / 6000)}:${seconds}.${String(centis % 100).padStart(2, '0')}`;
+}
+
+function renderLocalLyricsPreview(container, lyrics) {
+    container.innerHTML = '';
+    const lines = lyrics?.lyrics || [];
+    const timed = Boolean(SYNC_TYPE_MESSAGE_KEYS[lyrics?.type]);
+
+    const summary = document.createElement('p');
+    summary.className = 'local-lyrics-preview-summary';
+    summary.textContent = msg('msgLocalLyricsPreview', [getSyncTypeName(lyrics?.type), String(lines.length)]);
+    container.appendChild(summary);
+
+    const list = document.createElement('ol');
+    list.className = 'local-lyrics-preview-lines';
+    lines.forEach(line => {
+        const item = document.createElement('li');
+        if (timed) {
+            const time = document.createElement('time');
+            time.textContent = formatPreviewTime(line.time);
+            item.appendChild(time);
+        }
+        item.appendChild(document.createTextNode(line.text));
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+/**
+ * The panel under a library entry for changing its song details, the IDs it
+ * is linked to and its lyrics file, with a preview of the lyrics it holds.
+ */
+function createLocalLyricsEditor(item) {
+    const editor = document.createElement('div');
+    editor.className = 'local-lyrics-editor';
+
+    const fields = document.createElement('div');
+    fields.className = 'local-lyrics-editor-fields';
+    const inputs = {};
+    LOCAL_LYRICS_EDIT_FIELDS.forEach(([field, labelKey]) => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.id = `local-lyrics-edit-${field}`;
+        input.placeholder = ' ';
+        input.value = item.songInfo[field] ?? '';
+        const label = document.createElement('label');
+        label.htmlFor = input.id;
+        label.textContent = msg(labelKey);
+        group.appendChild(input);
+        group.appendChild(label);
+        fields.appendChild(group);
+        inputs[field] = input;
+    });
+    editor.appendChild(fields);
+
+    const fileGroup = document.createElement('div');
+    fileGroup.className = 'setting-item';
+    const fileLabel = document.createElement('label');
+    fileLabel.className = 'form-group-label';
+    fileLabel.textContent = msg('labelReplaceLyricsFile');
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = IMPORT_EXTENSIONS.map(extension => `.${extension}`).join(',');
+    fileGroup.appendChild(fileLabel);
+    fileGroup.appendChild(fileInput);
+    editor.appendChild(fileGroup);
+
+    const preview = document.createElement('div');
+    preview.className = 'local-lyrics-preview';
+    editor.appendChild(preview);
+    fetchLocalLyrics(item.songId)
+        .then(({ lyrics }) => renderLocalLyricsPreview(preview, lyrics))
+        .catch(error => {
+            preview.textContent = msg('msgErrorLoadingLocalLyrics', String(error.message || error));
+        });
+
+    // The replacement is parsed as soon as it is picked, so the preview shows what will be saved
+    let replacement = null;
+    fileInput.addEventListener('change', async () => {
+        replacement = null;
+        const file = fileInput.files[0];
+        if (!file) return;
+        try {
+            const format = getExtension(file.name);
+            const lyrics = parseUploadedLyrics(format, await file.text(), { title: inputs.title.value.trim(), translation: '' });
+            replacement = { lyrics, format };
+            renderLocalLyricsPreview(preview, lyrics);
+        } catch (error) {
+            showStatusMessage('local-lyrics-status', msg('msgUploadError', String(error.message || error)), true);
+        }
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'modal-actions';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'm3-button outlined';
+    cancelBtn.textContent = msg('buttonCancel');
+    cancelBtn.addEventListener('click', () => {
+        editingLocalLyricsId = null;
+        renderLocalLyricsList();
+    });
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'm3-button filled';
+    saveBtn.textContent = msg('buttonSaveLocalLyrics');
+    saveBtn.addEventListener('click', async () => {
+        saveBtn.disabled = true;
+        try {
+            await saveLocalLyricsEdits(item, inputs, replacement);
+        } finally {
+            saveBtn.disabled = false;
+        }
+    });
+    actions.appendChild(cancelBtn);
+    actions.appendChild(saveBtn);
+    editor.appendChild(actions);
+
+    return editor;
+}
+
+async function saveLocalLyricsEdits(item, inputs, replacement) {
+    const values = Object.fromEntries(Object.entries(inputs).map(([field, input]) => [field, input.value.trim()]));
+    if (!values.title || !values.artist) {
+        showStatusMessage('local-lyrics-status', msg('msgBulkImportMissingFields'), true);
+        return;
+    }
+
+    const duration = parseSongDuration(values.duration);
+    const songInfo = { ...values, duration: duration || undefined };
+    const changes = { songInfo };
+
+    if (replacement) {
+        // As with files synced in the lyrics panel, fixable problems are repaired without asking
+        const { lyrics } = repairLyrics(replacement.lyrics, { duration });
+        const report = validateLyrics(lyrics, { duration });
+        if (report.errors.length > 0) {
+            const code = report.errors[0].code;
+            showStatusMessage('local-lyrics-status', msg(VALIDATION_MESSAGE_KEYS[code]) || code, true);
+            return;
+        }
+        changes.jsonLyrics = lyrics;
+        changes.format = replacement.format;
+    }
+
+    try {
+        await updateLocalLyrics(item.songId, changes);
+        editingLocalLyricsId = null;
+        showStatusMessage('local-lyrics-status', msg('msgLocalLyricsUpdated'), false);
+        populateLocalLyricsList();
+    } catch (error) {
+        showStatusMessage('local-lyrics-status', msg('msgUploadError', String(error.message || error)), true);
+    }
+}
+
+async function exportLocalLyrics(item) {
+    const format = document.getElementById('local-lyrics-export-format').value;
+    try {
+        const { lyrics } = await fetchLocalLyrics(item.songId);
+        const file = exportLyrics(lyrics, format, { songInfo: item.songInfo });
+        const blob = new Blob([file.content], { type: file.mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = file.fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        showStatusMessage('local-lyrics-status', msg('msgExportLyricsError', String(error.message || error)), true);
+    }
+}
+
+function getProviderHealthName(id) {
+    if (/^https?:\/\//.test(id)) {
+        try {
+            return `${getSourceDisplayName('kpoe')} · ${new URL(id).host}`;
+        } catch (e) {
+            return id;
+        }
+    }
+    return getSourceDisplayName(id);
+}
+
+function formatProviderHealthDetails(stat) {
+    const format = value => value === null ? '-' : String(value);
+    const lines = [
+        msg('labelProviderHealthStats', [
+            stat.successRate === null ? '-' : `${Math.round(stat.successRate * 100)}%`,
+            format(stat.p50),
+            format(stat.p95),
+            String(stat.total)
+        ])
+    ];
+
+    if (stat.cooldownUntil) {
+        lines.push(msg('labelProviderHealthCooldown', new Date(stat.cooldownUntil).toLocaleTimeString()));
+    }
+    if (stat.lastFailure) {
+        lines.push(msg('labelProviderHealthLastFailure', [
+            new Date(stat.lastFailure.time).toLocaleString(),
+            stat.lastFailure.reason
+        ]));
+    }
+    return lines;
+}
+
+async function populateProviderHealth() {
+    const listContainer = document.getElementById('provider-health-list');
+    const emptyMessage = document.getElementById('no-provider-health-message');
+    if (!listContainer) return;
+
+    listContainer.innerHTML = '';
+    listContainer.appendChild(emptyMessage);
+
+    try {
+        const stats = await getProviderHealth();
+        emptyMessage.style.display = stats.length === 0 ? 'block' : 'none';
+
+        stats.sort((a, b) => getProviderHealthName(a.id).localeCompare(getProviderHealthName(b.id)));
+        stats.forEach(stat => {
+            const listItem = document.createElement('div');
+            listItem.className = 'draggable-source-item provider-health-item';
+            if (stat.cooldownUntil) listItem.classList.add('cooling-down');
+
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'source-name';
+            nameSpan.textContent = getProviderHealthName(stat.id);
+            nameSpan.title = stat.id;
+
+            const details = document.createElement('span');
+            details.className = 'provider-health-details';
+            formatProviderHealthDetails(stat).forEach(line => {
+                const lineSpan = document.createElement('span');
+                lineSpan.textContent = line;
+                details.appendChild(lineSpan);
+            });
+
+            listItem.appendChild(nameSpan);
+            listItem.appendChild(details);
+            listContainer.appendChild(listItem);
+        });
+    } catch (error) {
+        console.error("Failed to load provider health:", error);
+        emptyMessage.textContent = msg('msgProviderHealthError', String(error.message || error));
+        emptyMessage.style.display = 'block';
+    }
+}
+
+async function updateTranslationMemoryStats() {
+    const statsText = document.getElementById('translation-memory-stats');
+    if (!statsText) return;
 
     try {
-        const lyricsList = await getLocalLyricsList();
-        noLyricsMessage.style.display = lyricsList.length === 0 ? 'block' : 'none';
+        const stats = await getTranslationMemoryStats();
+        statsText.textContent = msg('labelTranslationMemoryStats', [
+            String(stats.entries),
+            (stats.sizeKB / 1024).toFixed(2),
+            String(Math.round(stats.hitRate * 100)),
+            String(stats.hits),
+            String(stats.hits + stats.misses)
+        ]);
+    } catch (error) {
+        console.error("Failed to load translation memory stats:", error);
+        statsText.textContent = msg('msgTranslationMemoryError', String(error.message || error));
+    }
+}
 
-        lyricsList.forEach(item => {
+function getPinnedName(item) {
+    return item.type === 'album'
+        ? `${item.album} - ${item.artist}`
+        : `${item.songInfo.title} - ${item.songInfo.artist}`;
+}
+
+function formatPinnedDetails(item) {
+    if (item.type === 'album') {
+        return msg('labelPinnedAlbumSongs', String(item.songCount));
+    }
+
+    const details = [msg('labelPinnedSongDetails', [item.lyricsType || '-', String(item.translationCount)])];
+    if (item.albumKey) details.push(msg('labelPinnedViaAlbum'));
+    return details.join(' · ');
+}
+
+async function populatePinnedList() {
+    const listContainer = document.getElementById('pinned-list');
+    const emptyMessage = document.getElementById('no-pinned-message');
+    if (!listContainer) return;
+
+    listContainer.innerHTML = '';
+    listContainer.appendChild(emptyMessage);
+
+    try {
+        const pinnedList = await getPinnedList();
+        emptyMessage.style.display = pinnedList.length === 0 ? 'block' : 'none';
+
+        // Albums first, then songs, each alphabetically
+        pinnedList.sort((a, b) => (a.type === b.type ? 0 : a.type === 'album' ? -1 : 1)
+            || getPinnedName(a).localeCompare(getPinnedName(b)));
+        pinnedList.forEach(item => {
             const listItem = document.createElement('div');
-            listItem.className = 'draggable-source-item';
-            listItem.dataset.songId = item.songId;
-            const musicIcon = createSvgIcon(SVG_ICONS.musicNote);
-            musicIcon.classList.add('drag-handle');
+            listItem.className = 'draggable-source-item pinned-item';
+            listItem.dataset.key = item.key;
+            const typeIcon = createSvgIcon(item.type === 'album' ? SVG_ICONS.album : SVG_ICONS.musicNote);
+            typeIcon.classList.add('drag-handle');
 
             const nameSpan = document.createElement('span');
             nameSpan.className = 'source-name';
-            nameSpan.textContent = `${item.songInfo.title} - ${item.songInfo.artist}`;
+            nameSpan.textContent = getPinnedName(item);
+
+            const details = document.createElement('span');
+            details.className = 'pinned-details';
+            details.textContent = formatPinnedDetails(item);
+
+            const redownloadBtn = document.createElement('button');
+            redownloadBtn.className = 'm3-button icon';
+            redownloadBtn.title = msg('buttonRedownloadPinned');
+            redownloadBtn.appendChild(createSvgIcon(SVG_ICONS.refresh));
+            redownloadBtn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                redownloadBtn.disabled = true;
+                try {
+                    const { updated, failed } = await redownloadPinned(item.key);
+                    showStatusMessage('pinned-status', msg('msgPinnedRedownloaded', [String(updated), String(failed)]), failed > 0 && updated === 0);
+                    populatePinnedList();
+                } catch (error) {
+                    showStatusMessage('pinned-status', msg('msgPinnedError', String(error)), true);
+                    redownloadBtn.disabled = false;
+                }
+            });
 
             const removeBtn = document.createElement('button');
             removeBtn.className = 'm3-button icon remove-source-button';
-            removeBtn.title = 'Delete local lyrics';
+            removeBtn.title = msg('buttonUnpin');
             removeBtn.appendChild(createSvgIcon(SVG_ICONS.delete));
-
-            listItem.appendChild(musicIcon);
-            listItem.appendChild(nameSpan);
-            listItem.appendChild(removeBtn);
-            listItem.querySelector('.remove-source-button').addEventListener('click', async (e) => {
+            removeBtn.addEventListener('click', async (e) => {
                 e.stopPropagation();
-                if (confirm(msg('confirmDeleteLyrics', `${item.songInfo.title} - ${item.songInfo.artist}`))) {
+                if (confirm(msg('confirmUnpin', getPinnedName(item)))) {
                     try {
-                        await deleteLocalLyrics(item.songId);
-                        showStatusMessage('local-lyrics-status', msg('msgLocalLyricsDeleted'), false);
-                        populateLocalLyricsList();
+                        await unpinEntry(item.key);
+                        showStatusMessage('pinned-status', msg('msgUnpinned'), false);
+                        populatePinnedList();
                     } catch (error) {
-                        showStatusMessage('local-lyrics-status', msg('msgDeleteError', String(error)), true);
+                        showStatusMessage('pinned-status', msg('msgPinnedError', String(error)), true);
                     }
                 }
             });
+
+            listItem.appendChild(typeIcon);
+            listItem.appendChild(nameSpan);
+            listItem.appendChild(details);
+            listItem.appendChild(redownloadBtn);
+            listItem.appendChild(removeBtn);
             listContainer.appendChild(listItem);
         });
     } catch (error) {
-        console.error("Failed to load local lyrics list:", error);
-        noLyricsMessage.textContent = msg('msgErrorLoadingLocalLyrics', String(error.message || error));
-        noLyricsMessage.style.display = 'block';
+        console.error("Failed to load pinned list:", error);
+        emptyMessage.textContent = msg('msgPinnedError', String(error.message || error));
+        emptyMessage.style.display = 'block';
     }
 }
 
@@ -1121,6 +2073,63 @@ function importSettings(event) {
     reader.readAsText(file);
 }
 
+async function exportBackupArchive() {
+    try {
+        const archive = await exportBackup();
+        const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        const date = new Date().toISOString().slice(0, 10);
+        a.download = `newsync-backup-${date}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        showStatusMessage('backup-status', msg('msgBackupExported'), false);
+    } catch (error) {
+        console.error('Failed to export backup:', error);
+        showStatusMessage('backup-status', msg('msgBackupError', String(error.message || error)), true);
+    }
+}
+
+function importBackupArchive(event) {
+    const file = event.target.files[0];
+    if (!file) {
+        return;
+    }
+
+    const mode = document.getElementById('backup-import-mode').value || 'merge';
+    if (mode === 'replace' && !confirm(msg('confirmBackupReplace'))) {
+        event.target.value = '';
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+        try {
+            const summary = await importBackup(JSON.parse(e.target.result), mode);
+            const totals = Object.values(summary).reduce((acc, counts) => ({
+                restored: acc.restored + counts.added + counts.updated,
+                skipped: acc.skipped + counts.skipped
+            }), { restored: 0, skipped: 0 });
+            showStatusMessage('backup-status', msg('msgBackupImported', [String(totals.restored), String(totals.skipped)]), false);
+            updateCacheSize();
+            populateLocalLyricsList();
+            populatePinnedList();
+        } catch (error) {
+            console.error('Failed to import backup:', error);
+            showStatusMessage('backup-status', msg('msgBackupError', String(error.message || error)), true);
+        } finally {
+            event.target.value = '';
+        }
+    };
+    reader.onerror = () => {
+        showStatusMessage('backup-status', msg('msgFileReadError'), true);
+    };
+    reader.readAsText(file);
+}
+
 document.addEventListener('DOMContentLoaded', () => {
     loadSettings((settings) => {
         initCustomSelects(); // Init custom selects first
@@ -1157,6 +2166,12 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('import-settings-file').click();
     });
     document.getElementById('import-settings-file').addEventListener('change', importSettings);
+
+    document.getElementById('export-backup-button').addEventListener('click', exportBackupArchive);
+    document.getElementById('import-backup-button').addEventListener('click', () => {
+        document.getElementById('import-backup-file').click();
+    });
+    document.getElementById('import-backup-file').addEventListener('change', importBackupArchive);
 });
 
 function updateCustomSelectDisplay(selectId) {
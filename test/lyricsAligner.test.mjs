@@ -0,0 +1,78 @@
+// Run with `node --test test/`
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LyricsAligner } from '../src/background/utils/lyricsAligner.js';
+
+/**
+ * Line-synced lyrics with one line every 10 seconds from `first` to `last`,
+ * timed against a recording `sourceDuration` seconds long.
+ */
+function lineLyrics(first, last, sourceDuration, title = 'Song') {
+  const data = [];
+  for (let time = first; time <= last; time += 10) {
+    data.push({ text: `Line at ${time}`, startTime: time, endTime: time + 4, duration: 4, syllabus: [] });
+  }
+  return { type: 'Line', data, metadata: { title, duration: sourceDuration } };
+}
+
+test('shifts lyrics timed against an edit with an intro that overrun the song', () => {
+  // Music video with a 30 s intro; the song playing is the 200 s audio
+  const lyrics = lineLyrics(40, 220, 230);
+  const correction = LyricsAligner.detect(lyrics, { title: 'Song', duration: 200 });
+
+  assert.deepEqual(correction, { rate: 1, offsetMs: -30000, basis: 'duration', sourceDuration: 230 });
+
+  const corrected = LyricsAligner.apply(lyrics, correction);
+  assert.equal(corrected.data[0].startTime, 10);
+  assert.equal(corrected.data.at(-1).startTime, 190);
+  assert.equal(corrected.data.at(-1).endTime, 194);
+  assert.deepEqual(corrected.metadata.timingCorrection, correction);
+});
+
+test('does not shift lyrics when the song only has a longer outro', () => {
+  // Lyrics fit the 200 s source; the 215 s song playing runs on after them
+  const lyrics = lineLyrics(10, 190, 200);
+  assert.equal(LyricsAligner.detect(lyrics, { title: 'Song', duration: 215 }), null);
+});
+
+test('does not shift lyrics for a longer song with an extra intro', () => {
+  // Without audio there is no telling an intro from an outro or a longer bridge
+  const lyrics = lineLyrics(10, 190, 200);
+  assert.equal(LyricsAligner.detect(lyrics, { title: 'Song (Official Video)', duration: 230 }), null);
+});
+
+test('does not shift lyrics that start too early for the difference to be an intro', () => {
+  // A 30 s shorter edit cut in the middle: the first line at 10 s rules out a 30 s intro
+  const lyrics = lineLyrics(10, 220, 230);
+  assert.equal(LyricsAligner.detect(lyrics, { title: 'Song (Radio Edit)', duration: 200 }), null);
+});
+
+test('compresses lyrics for a sped-up song', () => {
+  const lyrics = lineLyrics(10, 190, 200);
+  const correction = LyricsAligner.detect(lyrics, { title: 'Song (Sped Up)', duration: 160 });
+
+  assert.equal(correction.rate, 1.25);
+  assert.equal(correction.offsetMs, 0);
+  assert.equal(correction.variant, 'spedUp');
+
+  const corrected = LyricsAligner.apply(lyrics, correction);
+  assert.equal(corrected.data[0].startTime, 8);
+  assert.equal(corrected.data.at(-1).startTime, 152);
+  assert.equal(corrected.data.at(-1).duration, 3.2);
+});
+
+test('stretches lyrics for a slowed song', () => {
+  const lyrics = lineLyrics(10, 190, 200);
+  const correction = LyricsAligner.detect(lyrics, { title: 'Song (Slowed + Reverb)', duration: 240 });
+
+  assert.equal(correction.rate, 0.8333);
+  assert.equal(correction.variant, 'slowed');
+  assert.equal(LyricsAligner.apply(lyrics, correction).data[0].startTime, 12);
+});
+
+test('leaves lyrics alone that are already for the tempo variant playing', () => {
+  const lyrics = lineLyrics(10, 150, 160, 'Song (Sped Up)');
+  assert.equal(LyricsAligner.detect(lyrics, { title: 'Song (Sped Up)', duration: 160 }), null);
+});
@@ -0,0 +1,23 @@
+// Run with `node --test test/`
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LyricsScorer } from '../src/background/utils/lyricsScorer.js';
+import { LyricsAligner } from '../src/background/utils/lyricsAligner.js';
+
+const blank = {
+  type: 'Line',
+  data: [{ text: '', startTime: 12, endTime: 15 }, { text: '', startTime: 20, endTime: 24 }],
+  metadata: { duration: 230 }
+};
+
+test('gives lyrics without text an empty span', () => {
+  assert.deepEqual(LyricsScorer.getTimedSpan(blank), { start: 0, end: 0, lineCount: 0 });
+});
+
+test('scores lyrics without text without NaN', () => {
+  const { total } = LyricsScorer.score(blank, { title: 'Song', artist: 'Artist', duration: 200 });
+  assert.ok(Number.isFinite(total), `total was ${total}`);
+  assert.equal(LyricsAligner.detect(blank, { title: 'Song', duration: 200 }), null);
+});
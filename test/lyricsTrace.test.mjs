@@ -0,0 +1,62 @@
+// Run with `node --test test/`
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LyricsTrace } from '../src/background/utils/lyricsTrace.js';
+import { ProviderError } from '../src/background/utils/providerError.js';
+
+const song = { title: 'Ditto', artist: 'NewJeans', duration: 186 };
+const lyrics = { type: 'Line', data: [{ text: 'Stay in the middle', startTime: 10, duration: 2 }], metadata: { source: 'LRCLIB' } };
+
+function abortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+test('records a timed-out provider apart from one without lyrics', async () => {
+  const trace = new LyricsTrace(song, 'key');
+  trace.setProviderOrder(['kpoe', 'lrclib', 'unison', 'binilyrics'], ['kpoe', 'lrclib', 'unison', 'binilyrics']);
+
+  const results = await Promise.all([
+    trace.timeProvider('kpoe', Promise.reject(new ProviderError('kpoe', 'timeout', 'Timed out'))),
+    trace.timeProvider('lrclib', Promise.resolve(null)),
+    trace.timeProvider('unison', Promise.reject(new ProviderError('unison', 'error', 'HTTP 503'))),
+    trace.timeProvider('binilyrics', Promise.resolve(lyrics))
+  ]);
+
+  assert.deepEqual(results, [null, null, null, lyrics]);
+
+  const { providers } = trace.finish('provider', lyrics).toJSON();
+  assert.equal(providers.kpoe.status, 'timeout');
+  assert.equal(providers.kpoe.error, 'Timed out');
+  assert.equal(providers.lrclib.status, 'empty');
+  assert.equal(providers.unison.status, 'error');
+  assert.equal(providers.unison.error, 'HTTP 503');
+  assert.equal(providers.binilyrics.status, 'ok');
+  assert.equal(providers.binilyrics.lineCount, 1);
+});
+
+test('records a provider aborted by the race as aborted', async () => {
+  const trace = new LyricsTrace(song, 'key');
+  const controller = new AbortController();
+  controller.abort();
+
+  await trace.timeProvider('lrclib', Promise.resolve(null), controller.signal);
+  assert.equal(trace.providers.lrclib.status, 'aborted');
+});
+
+test('classifies fetch errors as timeouts, failures or caller aborts', () => {
+  const timedOut = new AbortController();
+  timedOut.abort();
+
+  assert.equal(ProviderError.fromFetchError('lrclib', abortError(), timedOut.signal).kind, 'timeout');
+  assert.equal(ProviderError.fromFetchError('lrclib', abortError(), new AbortController().signal), null);
+  assert.equal(ProviderError.fromFetchError('lrclib', new TypeError('Failed to fetch')).kind, 'error');
+
+  const failure = ProviderError.fromResponse('lrclib', { status: 503, statusText: 'Service Unavailable' });
+  assert.equal(failure.kind, 'error');
+  assert.equal(failure.message, 'HTTP 503 Service Unavailable');
+  assert.equal(ProviderError.fromFetchError('lrclib', failure), failure);
+});
@@ -0,0 +1,38 @@
+// Run with `node --test test/`
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../src/background/constants.js';
+import { SongMatcher } from '../src/background/utils/songMatcher.js';
+
+const original = { title: 'Ditto', artist: 'NewJeans', duration: 186 };
+
+test('matches the same song across spelling differences', () => {
+  const match = SongMatcher.findBestMatch(original, [{ title: 'Ditto', artist: 'New Jeans', duration: 186 }]);
+  assert.ok(match);
+  assert.equal(match.match.versionMismatch, false);
+});
+
+for (const title of ['Ditto (Remix)', 'Ditto (Sped Up)', 'Ditto - Slowed', 'Ditto (Live)', 'Ditto (Acoustic Version)']) {
+  test(`does not serve "${title}" for the original`, () => {
+    const upload = { title, artist: 'NewJeans', duration: 186 };
+    const match = SongMatcher.score(upload, original);
+
+    assert.equal(match.versionMismatch, true);
+    assert.ok(match.score < CONFIG.MATCHING.MIN_CONFIDENCE, `scored ${match.score}`);
+    assert.equal(SongMatcher.findBestMatch(original, [upload]), null);
+  });
+}
+
+test('matches a tagged version against the same version', () => {
+  const spedUp = { title: 'Ditto (Sped Up)', artist: 'NewJeans', duration: 150 };
+  const match = SongMatcher.findBestMatch(spedUp, [{ title: 'Ditto (sped up)', artist: 'NewJeans', duration: 150 }]);
+  assert.ok(match);
+});
+
+test('gives spellings that differ in spacing and punctuation the same search key', () => {
+  const keys = SongMatcher.searchKeys({ title: "Don't Stop", artist: 'New Jeans' });
+  assert.deepEqual(SongMatcher.searchKeys({ title: 'Dont Stop (Official Video)', artist: 'NewJeans' }), keys);
+  assert.deepEqual(SongMatcher.searchKeys({ title: 'Don’t-Stop', artist: 'NEWJEANS' }), keys);
+});